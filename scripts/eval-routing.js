@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+/**
+ * Routing Evaluation for lols-router
+ *
+ * Runs a labeled JSONL dataset ({ messages, expected_category } per line) through
+ * the same detectCategory code path lols-smart uses (image check, routing rules,
+ * embeddings, routing model) and reports accuracy, a confusion matrix,
+ * per-category precision/recall and latency percentiles.
+ *
+ * Diff mode evaluates the dataset twice - with a second router prompt file or a
+ * second routing model - and lists the examples whose category changed.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Dataset fields that are not part of the chat completion body
+// (headers and key feed routing rules like the HTTP request would)
+const LABEL_FIELDS = ['expected_category', 'id', 'headers', 'key'];
+
+/**
+ * Parse a JSONL dataset
+ * @returns {Array<{ id, line, payload, context, expected }>}
+ */
+function loadDataset(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const examples = [];
+
+  lines.forEach((text, i) => {
+    if (!text.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: invalid JSON (${err.message})`);
+    }
+    if (!Array.isArray(entry.messages) || typeof entry.expected_category !== 'string') {
+      throw new Error(`${file}:${i + 1}: expected { messages: [...], expected_category: "..." }`);
+    }
+
+    const payload = { ...entry };
+    LABEL_FIELDS.forEach(field => delete payload[field]);
+    examples.push({
+      id: entry.id ?? examples.length + 1,
+      line: i + 1,
+      payload,
+      context: { headers: entry.headers || {}, key: entry.key || null },
+      expected: entry.expected_category
+    });
+  });
+
+  return examples;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+function lastUserPreview(payload, length = 60) {
+  const { lastUserText } = require('../src/helpers/routing-rules');
+  const text = lastUserText(payload).replace(/\s+/g, ' ').trim();
+  return text.length > length ? text.slice(0, length - 3) + '...' : text;
+}
+
+/**
+ * Run detectCategory's own logging only when asked (--verbose)
+ */
+async function quietly(verbose, fn) {
+  if (verbose) return fn();
+  const original = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = original;
+  }
+}
+
+/**
+ * Classify every example with detectCategory
+ * @param {Array} examples - From loadDataset
+ * @param {object} [options] - { label, routerPrompt (template text), verbose }
+ * @returns {Promise<object>} Report (see summarize)
+ */
+async function evaluate(examples, options = {}) {
+  const { detectCategory } = require('../src/helpers/model-router');
+  const results = [];
+
+  for (const example of examples) {
+    const startedAt = process.hrtime.bigint();
+    const routing = await quietly(options.verbose, () => detectCategory(example.payload, {
+      ...example.context,
+      routerPrompt: options.routerPrompt
+    }));
+    const ms = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    results.push({
+      id: example.id,
+      line: example.line,
+      text: lastUserPreview(example.payload),
+      expected: example.expected,
+      predicted: routing.category,
+      method: routing.method,
+      rule: routing.rule,
+      output: routing.output,
+      ms: Math.round(ms * 10) / 10
+    });
+  }
+
+  return summarize(results, options.label || 'router');
+}
+
+/**
+ * Accuracy, confusion matrix, per-category precision/recall/F1 and latency
+ */
+function summarize(results, label) {
+  const categories = [...new Set(results.flatMap(r => [r.expected, r.predicted]))].sort();
+  const confusion = {};
+  for (const expected of categories) {
+    confusion[expected] = Object.fromEntries(categories.map(predicted => [predicted, 0]));
+  }
+  results.forEach(r => { confusion[r.expected][r.predicted]++; });
+
+  const perCategory = {};
+  for (const category of categories) {
+    const truePositives = confusion[category][category];
+    const predicted = categories.reduce((sum, expected) => sum + confusion[expected][category], 0);
+    const support = categories.reduce((sum, p) => sum + confusion[category][p], 0);
+    const precision = predicted > 0 ? truePositives / predicted : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    perCategory[category] = { precision, recall, f1, support, predicted };
+  }
+
+  const methods = {};
+  results.forEach(r => { methods[r.method] = (methods[r.method] || 0) + 1; });
+
+  const latencies = results.map(r => r.ms);
+  const correct = results.filter(r => r.expected === r.predicted).length;
+
+  return {
+    label,
+    total: results.length,
+    correct,
+    accuracy: results.length > 0 ? correct / results.length : 0,
+    methods,
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p90: percentile(latencies, 90),
+      p99: percentile(latencies, 99),
+      max: latencies.length > 0 ? Math.max(...latencies) : 0,
+      mean: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length * 10) / 10 : 0
+    },
+    perCategory,
+    confusion,
+    results
+  };
+}
+
+/**
+ * Compare two reports over the same dataset
+ */
+function compareReports(a, b) {
+  const fixed = [];
+  const broken = [];
+  const changed = [];
+
+  a.results.forEach((before, i) => {
+    const after = b.results[i];
+    if (!after || before.predicted === after.predicted) return;
+
+    const entry = { id: before.id, line: before.line, text: before.text, expected: before.expected, before: before.predicted, after: after.predicted };
+    if (before.predicted !== before.expected && after.predicted === after.expected) fixed.push(entry);
+    else if (before.predicted === before.expected && after.predicted !== after.expected) broken.push(entry);
+    else changed.push(entry);
+  });
+
+  const categories = [...new Set([...Object.keys(a.perCategory), ...Object.keys(b.perCategory)])].sort();
+  const perCategory = {};
+  for (const category of categories) {
+    const before = a.perCategory[category] || { precision: 0, recall: 0 };
+    const after = b.perCategory[category] || { precision: 0, recall: 0 };
+    perCategory[category] = {
+      precision: after.precision - before.precision,
+      recall: after.recall - before.recall
+    };
+  }
+
+  return {
+    before: a.label,
+    after: b.label,
+    accuracy: b.accuracy - a.accuracy,
+    latencyP50Ms: b.latencyMs.p50 - a.latencyMs.p50,
+    perCategory,
+    fixed,
+    broken,
+    changed
+  };
+}
+
+const pct = value => `${(value * 100).toFixed(1)}%`;
+const signed = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+
+function printReport(report, showErrors) {
+  console.log(`\n📊 Routing evaluation: ${report.label}`);
+  console.log('='.repeat(60));
+  console.log(`Accuracy: ${pct(report.accuracy)} (${report.correct}/${report.total})`);
+  console.log(`Methods:  ${Object.entries(report.methods).map(([m, n]) => `${m} ${n}`).join(', ')}`);
+  const l = report.latencyMs;
+  console.log(`Latency:  p50 ${l.p50}ms  p90 ${l.p90}ms  p99 ${l.p99}ms  max ${l.max}ms  mean ${l.mean}ms`);
+
+  const categories = Object.keys(report.perCategory);
+  const width = Math.max(10, ...categories.map(c => c.length)) + 2;
+
+  console.log('\nPer category:');
+  console.log('  ' + 'category'.padEnd(width) + 'precision'.padStart(10) + 'recall'.padStart(10) + 'f1'.padStart(10) + 'support'.padStart(10));
+  for (const [category, stats] of Object.entries(report.perCategory)) {
+    console.log('  ' + category.padEnd(width) + pct(stats.precision).padStart(10) + pct(stats.recall).padStart(10) +
+      pct(stats.f1).padStart(10) + String(stats.support).padStart(10));
+  }
+
+  console.log('\nConfusion matrix (rows: expected, columns: predicted):');
+  const cell = Math.max(8, ...categories.map(c => c.length + 2));
+  console.log('  ' + ''.padEnd(width) + categories.map(c => c.padStart(cell)).join(''));
+  for (const expected of categories) {
+    console.log('  ' + expected.padEnd(width) + categories.map(p => String(report.confusion[expected][p]).padStart(cell)).join(''));
+  }
+
+  if (showErrors) {
+    const errors = report.results.filter(r => r.expected !== r.predicted);
+    console.log(`\nMisclassified (${errors.length}):`);
+    for (const r of errors) {
+      const output = r.output !== undefined ? ` [router said: ${JSON.stringify(r.output)}]` : '';
+      console.log(`  #${r.id} expected ${r.expected}, got ${r.predicted} via ${r.method}${output}: ${r.text}`);
+    }
+  }
+}
+
+function printDiff(diff) {
+  console.log(`\n🔀 Diff: ${diff.before} → ${diff.after}`);
+  console.log('='.repeat(60));
+  console.log(`Accuracy: ${signed(diff.accuracy)} points`);
+  console.log(`Latency p50: ${diff.latencyP50Ms >= 0 ? '+' : ''}${Math.round(diff.latencyP50Ms * 10) / 10}ms`);
+  console.log('\nPer category (points):');
+  for (const [category, delta] of Object.entries(diff.perCategory)) {
+    console.log(`  ${category.padEnd(12)} precision ${signed(delta.precision).padStart(7)}   recall ${signed(delta.recall).padStart(7)}`);
+  }
+
+  const list = (title, entries) => {
+    console.log(`\n${title} (${entries.length}):`);
+    entries.forEach(e => console.log(`  #${e.id} expected ${e.expected}: ${e.before} → ${e.after}: ${e.text}`));
+  };
+  list('✅ Fixed', diff.fixed);
+  list('❌ Broken', diff.broken);
+  list('↔️  Changed (still wrong)', diff.changed);
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a models.json model as a scratch routing model (same settings startRouter uses)
+ * @returns {Promise<{ port, stop }>}
+ */
+async function startScratchRouter(modelName, modelsConfig) {
+  const { startLlama, stopLlama, waitReady } = require('../src/helpers/llama');
+  const models = modelsConfig.models || modelsConfig['llama-models'] || {};
+  const modelConfig = models[modelName];
+  if (!modelConfig) {
+    throw new Error(`unknown model: ${modelName}`);
+  }
+
+  const port = await getFreePort();
+  const routerSettings = modelsConfig.router || {};
+  const proc = startLlama({
+    repo: modelConfig.repo,
+    file: modelConfig.file,
+    port,
+    context: routerSettings.context
+  });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 5 * 60 * 1000);
+  proc.then(() => controller.abort(), () => controller.abort());
+  try {
+    await waitReady(port, controller.signal);
+  } catch (err) {
+    await stopLlama(proc);
+    throw new Error(`routing model ${modelName} did not start`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return { port, stop: () => stopLlama(proc) };
+}
+
+function parseArgs(argv) {
+  const options = { dataset: null };
+  const valueFlags = {
+    '--port': 'port',
+    '--model': 'model',
+    '--prompt': 'prompt',
+    '--compare-port': 'comparePort',
+    '--compare-model': 'compareModel',
+    '--compare-prompt': 'comparePrompt',
+    '--json': 'json',
+    '--min-accuracy': 'minAccuracy'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      options[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--show-errors') {
+      options.showErrors = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`unknown option: ${arg}`);
+    } else {
+      options.dataset = arg;
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+🎯 Routing Evaluation
+
+Usage: node scripts/eval-routing.js <dataset.jsonl> [options]
+
+Each dataset line is a chat completion body plus its label:
+  {"messages": [{"role": "user", "content": "Fix this segfault"}], "expected_category": "code"}
+
+Options:
+  --port <n>               Routing model already listening on this port
+                           (default: models.json router.port, e.g. a running lols-router)
+  --model <name>           Start this models.json model as the routing model instead
+  --prompt <file>          Router prompt template (default: router systemPromptPath/systemPrompt)
+  --compare-prompt <file>  Diff: evaluate again with this prompt
+  --compare-model <name>   Diff: evaluate again with this routing model
+  --compare-port <n>       Diff: evaluate again against the routing model on this port
+  --show-errors            List misclassified examples with the routing model's reply
+  --json <file>            Write the full report (and diff) as JSON
+  --min-accuracy <0-1>     Exit with code 1 when a run scores below this (CI)
+  --verbose                Show the router's own logging
+  --help, -h               Show this help message
+
+Examples:
+  npm run eval-routing -- test/routing-eval-sample.jsonl --show-errors
+  npm run eval-routing -- data.jsonl --compare-prompt prompts/router-classifier-v2.md
+  npm run eval-routing -- data.jsonl --model qwen2.5-0.5b-instruct --compare-model qwen2.5-1.5b-instruct
+  npm run eval-routing -- data.jsonl --port 3999 --min-accuracy 0.9   # stub router in CI
+
+Routing rules (router.rules) and router.mode "embedding" apply exactly as in lols-smart;
+the "Methods" line shows how many examples each stage decided.
+    `);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.dataset) {
+    printHelp();
+    return options.help ? 0 : 1;
+  }
+
+  const { loadModels, resolveSystemPrompt } = require('../src/helpers/config');
+  const { attachRouter } = require('../src/helpers/router-manager');
+  const { isLlamaOnPort } = require('../src/helpers/llama');
+  const modelsConfig = loadModels();
+
+  const examples = loadDataset(options.dataset);
+  console.log(`📂 ${examples.length} examples from ${options.dataset}`);
+
+  const readPrompt = file => {
+    const prompt = resolveSystemPrompt({ systemPromptPath: file });
+    if (!prompt) throw new Error(`prompt file not found: ${file}`);
+    return prompt;
+  };
+
+  // Baseline run, plus the comparison run in diff mode
+  const base = { port: options.port, model: options.model, prompt: options.prompt };
+  const runs = [{ ...base, label: options.model || (options.prompt ? path.basename(options.prompt) : 'router') }];
+  if (options.comparePrompt || options.compareModel || options.comparePort) {
+    const compare = {
+      port: options.comparePort || (options.compareModel ? undefined : base.port),
+      model: options.compareModel || (options.comparePort ? undefined : base.model),
+      prompt: options.comparePrompt || base.prompt
+    };
+    const label = options.compareModel || (options.comparePort ? `port ${options.comparePort}` : path.basename(options.comparePrompt));
+    runs.push({ ...compare, label: label === runs[0].label ? `${label} (compare)` : label });
+  }
+
+  const reports = [];
+  for (const run of runs) {
+    let scratch = null;
+    let port = run.port ? parseInt(run.port) : modelsConfig.router?.port;
+
+    if (run.model) {
+      console.log(`🚀 Starting routing model ${run.model}...`);
+      scratch = await startScratchRouter(run.model, modelsConfig);
+      port = scratch.port;
+    } else if (!port || !(await isLlamaOnPort(port))) {
+      throw new Error(`no routing model answering on port ${port}; start lols-router, or pass --port or --model`);
+    }
+
+    try {
+      attachRouter(port, run.model);
+      reports.push(await evaluate(examples, {
+        label: run.label,
+        routerPrompt: run.prompt ? readPrompt(run.prompt) : undefined,
+        verbose: options.verbose
+      }));
+    } finally {
+      if (scratch) await scratch.stop();
+    }
+    printReport(reports[reports.length - 1], options.showErrors);
+  }
+
+  const diff = reports.length === 2 ? compareReports(reports[0], reports[1]) : null;
+  if (diff) printDiff(diff);
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify({ dataset: options.dataset, runs: reports, diff }, null, 2));
+    console.log(`\n💾 Report written to ${options.json}`);
+  }
+
+  if (options.minAccuracy !== undefined) {
+    const threshold = parseFloat(options.minAccuracy);
+    const failing = reports.filter(r => r.accuracy < threshold);
+    if (failing.length > 0) {
+      console.log(`\n❌ Accuracy below ${pct(threshold)}: ${failing.map(r => `${r.label} ${pct(r.accuracy)}`).join(', ')}`);
+      return 1;
+    }
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error('\n❌ Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadDataset, evaluate, summarize, compareReports, percentile };
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Config Validation for lols-router
+ *
+ * Checks config.json and models.json against schemas/ and against each other
+ * (model references, ports, whisper files, prompt paths) without starting the
+ * server. Exits 1 when there are errors; warnings alone exit 0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readConfigFile, validateConfig, formatIssue } = require('../src/helpers/config');
+
+function parseArgs(argv) {
+  const options = {};
+  const valueFlags = {
+    '--config': 'config',
+    '--models': 'models',
+    '--json': 'json'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      options[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+🔎 Config Validation
+
+Usage: npm run validate-config -- [options]
+
+Without options the files lols-router would load are checked
+(.env/ first, then the project root, then src/).
+
+Options:
+  --config <file>   config.json to check instead
+  --models <file>   models.json to check instead
+  --json <file>     Write { valid, errors, warnings, files } to a file
+  --strict          Exit 1 on warnings too
+`);
+}
+
+/**
+ * Read an explicit file, or the one lols-router would load
+ */
+function readFile(explicit, filename) {
+  if (!explicit) {
+    return readConfigFile(filename);
+  }
+  const file = path.resolve(explicit);
+  try {
+    return { data: JSON.parse(fs.readFileSync(file, 'utf8')), path: file };
+  } catch (err) {
+    throw new Error(`${explicit}: ${err.message}`);
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printHelp();
+    return 0;
+  }
+
+  const configFile = readFile(options.config, 'config.json');
+  const modelsFile = readFile(options.models, 'models.json');
+  const result = validateConfig(configFile.data, modelsFile.data);
+  const files = { config: configFile.path, models: modelsFile.path };
+
+  console.log(`\n🔎 Validating ${files.config}`);
+  console.log(`           and ${files.models}\n`);
+
+  result.errors.forEach(issue => console.log(`❌ ${formatIssue(issue)}`));
+  result.warnings.forEach(issue => console.log(`⚠️  ${formatIssue(issue)}`));
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    console.log('✅ No problems found');
+  } else {
+    console.log(`\n${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+  }
+
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify({ ...result, files }, null, 2));
+  }
+
+  if (!result.valid) return 1;
+  return options.strict && result.warnings.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (err) {
+    console.error('\n❌ Error:', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,63 @@
+const express = require("express");
+const { getModels } = require("../helpers/config-store");
+const { getCacheInventory, findCacheFile, getDeleteBlocker, deleteCacheFile, formatBytes } = require("../helpers/model-cache");
+const { getResidentModels } = require("../helpers/orchestrator");
+const { isRouterRunning } = require("../helpers/router-manager");
+const { getDownloads } = require("../helpers/downloader");
+const { createLogger } = require("../helpers/logger");
+
+const router = express.Router();
+const log = createLogger("cache");
+
+/**
+ * Models whose files are loaded right now: resident models and the routing model
+ */
+function runningModels() {
+  const modelsConfig = getModels();
+  const running = getResidentModels().map(entry => ({ name: entry.name, lastUsed: entry.lastUsed }));
+  if (isRouterRunning() && modelsConfig.router?.model) {
+    running.push({ name: modelsConfig.router.model, router: true });
+  }
+  return running;
+}
+
+/**
+ * GET /admin/cache - Model files in the llama.cpp cache and whisper.cpp models directory
+ * with size, the models.json entries that use them, last use and free disk space
+ */
+router.get("/admin/cache", (req, res) => {
+  res.json(getCacheInventory(getModels(), { running: runningModels() }));
+});
+
+/**
+ * DELETE /admin/cache/:file - Delete a cached model file (?location=llama|whisper when the name is in both)
+ * Refused with 409 for files of loaded models, the routing model and running downloads
+ */
+router.delete("/admin/cache/:file", (req, res) => {
+  const running = runningModels();
+  const inventory = getCacheInventory(getModels(), { running });
+  const entry = findCacheFile(inventory, req.params.file, req.query.location);
+
+  if (!entry) {
+    return res.status(404).json({ error: { message: `Not a cached model file: ${req.params.file}`, type: "invalid_request_error" } });
+  }
+
+  const downloading = getDownloads()
+    .filter(job => job.status === "downloading")
+    .flatMap(job => job.files.map(file => file.path));
+  const blocker = getDeleteBlocker(entry, { running, downloading });
+  if (blocker) {
+    return res.status(409).json({ error: { message: blocker, type: "invalid_request_error" } });
+  }
+
+  try {
+    const freed = deleteCacheFile(entry);
+    log.info(`Deleted ${entry.path} (${formatBytes(freed)})${entry.referencedBy.length > 0 ? `, used by ${entry.referencedBy.join(", ")}` : ""}`);
+    res.json({ deleted: entry.name, path: entry.path, bytes: freed, referencedBy: entry.referencedBy });
+  } catch (err) {
+    log.error(`Failed to delete ${entry.path}:`, err.message);
+    res.status(500).json({ error: { message: err.message, type: "server_error" } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require("express");
+const fs = require("fs");
+const { getModels } = require("../helpers/config-store");
+const { buildLlamaCommand, formatCommand } = require("../helpers/llama");
+const { buildLaunchConfig, getLaunchedCommand, loadModel, stopModel, setPinned, getResidentModels } = require("../helpers/orchestrator");
+const { buildRouterStartConfig, getRouterCommand } = require("../helpers/router-manager");
+const { getDownloadFiles, getMissingFiles, downloadModel, getDownload, getDownloads } = require("../helpers/downloader");
+const { createLogger } = require("../helpers/logger");
+
+const router = express.Router();
+const log = createLogger("admin-models");
+
+// Environment values that are shown masked in previews
+const SECRET_ENV = /token|key|secret|password/i;
+
+function maskEnv(env) {
+  return Object.fromEntries(Object.entries(env).map(([name, value]) => [name, SECRET_ENV.test(name) ? "***" : value]));
+}
+
+/**
+ * Launch preview for one llama.cpp launch configuration, plus the running process if there is one
+ * running.matches is false when the config changed since the process started
+ */
+function describeCommand(launchConfig, launched) {
+  const { bin, args, env, notes } = buildLlamaCommand(launchConfig);
+  const preview = {
+    command: formatCommand(bin, args),
+    bin,
+    binFound: fs.existsSync(bin),
+    args,
+    env: maskEnv(env),
+    notes,
+    running: null
+  };
+
+  if (launched) {
+    preview.running = {
+      pid: launched.pid,
+      command: formatCommand(launched.bin, launched.args),
+      matches: JSON.stringify(launched.args) === JSON.stringify(args)
+    };
+  }
+  return preview;
+}
+
+function modelCommand(name, model) {
+  return { name, port: model.port, ...describeCommand(buildLaunchConfig(model), getLaunchedCommand(name)) };
+}
+
+function routerCommand(modelsConfig, definitions) {
+  const settings = modelsConfig.router;
+  const model = settings && definitions[settings.model];
+  if (!model) return null;
+
+  const launched = getRouterCommand();
+  return {
+    name: settings.model,
+    port: settings.port,
+    ...describeCommand(buildRouterStartConfig(settings, model), launched && launched.modelName === settings.model ? launched : null)
+  };
+}
+
+function llamaModels(definitions) {
+  return Object.entries(definitions).filter(([, model]) => (model.type || "llama-cpp") === "llama-cpp");
+}
+
+/**
+ * GET /admin/models/commands - The llama-server command every llama.cpp model (and the routing model)
+ * would be started with: binary, arguments, extra environment and launch notes
+ */
+router.get("/admin/models/commands", (req, res) => {
+  const modelsConfig = getModels();
+  const definitions = modelsConfig.models || modelsConfig["llama-models"] || {};
+
+  res.json({
+    models: llamaModels(definitions).map(([name, model]) => modelCommand(name, model)),
+    router: routerCommand(modelsConfig, definitions)
+  });
+});
+
+/**
+ * GET /admin/models/:name/command - Launch preview for one llama.cpp model
+ */
+router.get("/admin/models/:name/command", (req, res) => {
+  const modelsConfig = getModels();
+  const definitions = modelsConfig.models || modelsConfig["llama-models"] || {};
+  const model = definitions[req.params.name];
+
+  if (!model) {
+    return res.status(404).json({ error: { message: `Unknown model: ${req.params.name}`, type: "invalid_request_error" } });
+  }
+  if ((model.type || "llama-cpp") !== "llama-cpp") {
+    return res.status(400).json({ error: { message: `${req.params.name} is a ${model.type} model, not started with llama-server`, type: "invalid_request_error" } });
+  }
+
+  res.json(modelCommand(req.params.name, model));
+});
+
+/**
+ * POST /admin/models/:name/download - Fetch a model's GGUF (all shards) and mmproj into the llama.cpp cache
+ * Returns 202 with the job right away; progress follows as "downloadProgress" WebSocket events
+ * and on GET /admin/downloads. 200 when every file is already there
+ */
+router.post("/admin/models/:name/download", async (req, res) => {
+  const modelsConfig = getModels();
+  const definitions = modelsConfig.models || modelsConfig["llama-models"] || {};
+  const model = definitions[req.params.name];
+
+  if (!model) {
+    return res.status(404).json({ error: { message: `Unknown model: ${req.params.name}`, type: "invalid_request_error" } });
+  }
+  if (getDownloadFiles(model).length === 0) {
+    const reason = (model.type || "llama-cpp") !== "llama-cpp"
+      ? `${req.params.name} is a ${model.type} model`
+      : `${req.params.name} is loaded from a local path`;
+    return res.status(400).json({ error: { message: `${reason}, nothing to download`, type: "invalid_request_error" } });
+  }
+
+  if (getMissingFiles(model).length === 0) {
+    return res.json(await downloadModel(req.params.name, model));
+  }
+  downloadModel(req.params.name, model).catch(() => {}); // Failures are reported on the job
+  res.status(202).json(getDownload(req.params.name));
+});
+
+/**
+ * GET /admin/downloads - Current and finished downloads of this session
+ */
+router.get("/admin/downloads", (req, res) => {
+  res.json({ downloads: getDownloads() });
+});
+
+/**
+ * Model definition for a lifecycle route; sends 404 for unknown and 400 for remote models
+ */
+function localModel(req, res) {
+  const modelsConfig = getModels();
+  const model = (modelsConfig.models || modelsConfig["llama-models"] || {})[req.params.name];
+
+  if (!model) {
+    res.status(404).json({ error: { message: `Unknown model: ${req.params.name}`, type: "invalid_request_error" } });
+    return null;
+  }
+  if (model.type === "remote") {
+    res.status(400).json({ error: { message: `${req.params.name} is a remote model and is not loaded locally`, type: "invalid_request_error" } });
+    return null;
+  }
+  return model;
+}
+
+async function loadAndRespond(req, res, options) {
+  try {
+    const loaded = await loadModel(req.params.name, options);
+    res.json({ model: loaded });
+  } catch (err) {
+    log.error(`loading ${req.params.name} failed:`, err.message);
+    res.status(500).json({ error: { message: err.message, type: "server_error" } });
+  }
+}
+
+/**
+ * POST /admin/models/:name/load - Load a model now (waits for the GPU lock, evicts LRU models if needed)
+ * Responds once the model is ready with its resident entry
+ */
+router.post("/admin/models/:name/load", async (req, res) => {
+  if (!localModel(req, res)) return;
+  await loadAndRespond(req, res, {});
+});
+
+/**
+ * POST /admin/models/:name/unload - Unload a model after its in-flight requests finish (also unpins it)
+ */
+router.post("/admin/models/:name/unload", async (req, res) => {
+  if (!localModel(req, res)) return;
+
+  try {
+    const unloaded = await stopModel(req.params.name);
+    res.json({ model: req.params.name, unloaded });
+  } catch (err) {
+    log.error(`unloading ${req.params.name} failed:`, err.message);
+    res.status(500).json({ error: { message: err.message, type: "server_error" } });
+  }
+});
+
+/**
+ * POST /admin/models/:name/pin - Load a model if needed and never evict it for another model
+ * DELETE /admin/models/:name/pin - Make it evictable again (it stays loaded)
+ */
+router.post("/admin/models/:name/pin", async (req, res) => {
+  if (!localModel(req, res)) return;
+  await loadAndRespond(req, res, { pin: true });
+});
+
+router.delete("/admin/models/:name/pin", (req, res) => {
+  if (!localModel(req, res)) return;
+
+  setPinned(req.params.name, false);
+  const loaded = getResidentModels().find(entry => entry.name === req.params.name);
+  res.json({ model: req.params.name, pinned: false, loaded: Boolean(loaded) });
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require("express");
+const path = require("path");
+const { reload, getLastReload } = require("../helpers/config-store");
+const { readConfigFile, validateConfig } = require("../helpers/config");
+
+const router = express.Router();
+
+/**
+ * POST /admin/reload - Re-read config.json, models.json, the keys file and prompts now
+ * 200 with the reload summary; 400 when validation rejected the files (the running configuration is kept)
+ */
+router.post("/admin/reload", (req, res) => {
+  const summary = reload({ reason: "POST /admin/reload" });
+  res.status(summary.ok ? 200 : 400).json(summary);
+});
+
+/**
+ * GET /admin/reload - Result of the most recent reload (file watch or POST)
+ */
+router.get("/admin/reload", (req, res) => {
+  res.json({ last: getLastReload() });
+});
+
+/**
+ * GET /admin/config/validate - Validate config.json and models.json as they are on disk now
+ * Returns { valid, errors, warnings, files } with issues as { file, path, message };
+ * nothing is reloaded
+ */
+router.get("/admin/config/validate", (req, res) => {
+  const projectRoot = path.join(__dirname, "../..");
+  const files = {};
+  const data = {};
+  const errors = [];
+
+  for (const [key, filename] of [["config", "config.json"], ["models", "models.json"]]) {
+    try {
+      const file = readConfigFile(filename);
+      files[key] = path.relative(projectRoot, file.path);
+      data[key] = file.data;
+    } catch (err) {
+      errors.push({ file: filename, path: "", message: err.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.json({ valid: false, errors, warnings: [], files });
+  }
+
+  res.json({ ...validateConfig(data.config, data.models), files });
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require("express");
 const multer = require("multer");
-const { withGpu, ensureModel, getCurrentPort } = require("../helpers/orchestrator");
-const { loadModels } = require("../helpers/config");
+const { acquireModel, parsePriority } = require("../helpers/orchestrator");
+const { getModels } = require("../helpers/config-store");
+const { checkModelAllowed } = require("../helpers/auth");
 const { fetch, FormData, File } = require("undici");
 const fs = require("fs");
 const path = require("path");
@@ -52,6 +53,7 @@ router.post("/v1/audio/transcriptions", upload.single('file'), async (req, res)
   }
 
   let tempFilePath = null;
+  let lease = null;
 
   try {
     log("transcription request received");
@@ -74,7 +76,7 @@ router.post("/v1/audio/transcriptions", upload.single('file'), async (req, res)
     log("requested model:", modelName);
 
     // Get model config
-    const modelsConfig = loadModels();
+    const modelsConfig = getModels();
     const models = modelsConfig.models || {};
     const modelConfig = models[modelName];
 
@@ -98,13 +100,27 @@ router.post("/v1/audio/transcriptions", upload.single('file'), async (req, res)
       });
     }
 
+    const notAllowed = checkModelAllowed(req.apiKey, modelName);
+    if (notAllowed) {
+      log("error: model not allowed for API key");
+      return res.status(403).json({
+        error: {
+          message: notAllowed,
+          type: "invalid_request_error",
+          param: "model",
+          code: "model_not_allowed"
+        }
+      });
+    }
+
     // Ensure whisper model is loaded (GPU orchestration)
     log("ensuring whisper model is loaded...");
-    await withGpu(async () => {
-      await ensureModel(modelName, modelConfig);
+    lease = await acquireModel(modelName, modelConfig, {
+      id: rid,
+      priority: parsePriority(req.headers['x-lols-priority'])
     });
 
-    const port = getCurrentPort();
+    const port = lease.port;
     log("whisper model ready on port:", port);
 
     // Save uploaded file temporarily (whisper-server needs a file path)
@@ -177,6 +193,8 @@ router.post("/v1/audio/transcriptions", upload.single('file'), async (req, res)
       }
     });
   } finally {
+    if (lease) lease.release();
+
     // Clean up temp file
     if (tempFilePath && fs.existsSync(tempFilePath)) {
       try {
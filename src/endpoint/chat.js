@@ -1,16 +1,256 @@
 const express = require("express");
-const { selectModel } = require("../helpers/model-router");
-const { withGpu, ensureModel, getCurrentPort, getCurrentModel } = require("../helpers/orchestrator");
+const { selectModel, resolveFallbackChain, getCategoryConfig } = require("../helpers/model-router");
+const { acquireModel, parsePriority } = require("../helpers/orchestrator");
 const { proxyToRemoteAPI } = require("../helpers/remote-api");
 const config = require("../helpers/config");
 const { resolveSystemPrompt } = config;
 const { fetch } = require("undici");
-const { truncateContext } = require("../helpers/context-truncate");
-const { convertOpenAIToAnthropic, convertOpenAIStreamToAnthropic } = require("../helpers/anthropic-converter");
+const { compactContext, resolveCompaction } = require("../helpers/context-compaction");
+const { createMessageCounter } = require("../helpers/tokenizer");
+const { convertOpenAIToAnthropic, AnthropicStreamConverter, anthropicError } = require("../helpers/anthropic-converter");
+const { checkTokenQuota, recordTokens, checkModelAllowed } = require("../helpers/auth");
+const { createRecord, finishRecord, StreamCapture } = require("../helpers/audit-log");
+const { observeRequest } = require("../helpers/metrics");
 
 const router = express.Router();
 
-router.post("/v1/chat/completions", async (req, res) => {
+/**
+ * Input token budget for one model: its context window (per llama-server slot)
+ * minus the completion reserve (max_tokens). Overrides, highest first:
+ * x-max-input-tokens header (capped at the context budget), category
+ * maxInputTokens, model maxInputTokens. Models without a context size use
+ * config.context.defaultMaxInputTokens.
+ * @returns {{ maxInputTokens: number, contextTokens: number|null, source: string }}
+ */
+function resolveInputBudget(plan, maxTokens, req) {
+  const categoryConfig = getCategoryConfig(plan.category);
+  const parallel = plan.config?.performance?.parallel || 1;
+  const contextTokens = plan.config?.context ? Math.floor(plan.config.context / parallel) : null;
+  const contextBudget = contextTokens ? Math.max(contextTokens - maxTokens, 0) : null;
+
+  let budget = { maxInputTokens: config.context?.defaultMaxInputTokens || 24000, contextTokens, source: "default" };
+  if (contextBudget !== null) {
+    budget = { maxInputTokens: contextBudget, contextTokens, source: "model context" };
+  }
+  if (plan.config?.maxInputTokens) {
+    budget = { maxInputTokens: plan.config.maxInputTokens, contextTokens, source: "model config" };
+  }
+  if (categoryConfig?.maxInputTokens) {
+    budget = { maxInputTokens: categoryConfig.maxInputTokens, contextTokens, source: "category config" };
+  }
+
+  const headerLimit = parseInt(req.headers['x-max-input-tokens']);
+  if (headerLimit > 0) {
+    const capped = contextBudget !== null ? Math.min(headerLimit, contextBudget) : headerLimit;
+    budget = { maxInputTokens: capped, contextTokens, source: "header" };
+  }
+
+  return budget;
+}
+
+/**
+ * What to do when the input does not fit: "truncate" (drop oldest messages) or "error"
+ * (400 context_length_exceeded). Category setting overrides model, model overrides config.
+ */
+function resolveOverflowMode(plan) {
+  const categoryConfig = getCategoryConfig(plan.category);
+  return categoryConfig?.contextOverflow || plan.config?.contextOverflow || config.context?.overflow || "truncate";
+}
+
+/**
+ * Build the upstream payload for one model: max_tokens, context truncation,
+ * system prompt injection and timeout. Runs again for each fallback model,
+ * since limits and model-level prompts differ per model.
+ * @param {object} body - OpenAI chat completion body from the client
+ * @param {object} plan - { model, config, category, categorySystemPrompt } from selectModel
+ * @param {object} req - Express request (for x-request-timeout and x-max-input-tokens)
+ * @param {Function} log - Request-scoped logger
+ * @param {object} [options] - { dryRun } for POST /v1/route (no summarizer call)
+ * @returns {Promise<object>} { payload, systemPromptSource, actualSystemPrompt, truncation, inputBudget, inputTokens, contextError, timeoutSeconds, timeoutSource }
+ *   contextError is set (with truncation and inputBudget only) when the input is over budget in "error" mode;
+ *   inputTokens counts the final messages, injected system prompt included
+ */
+async function preparePayload(body, plan, req, log, options = {}) {
+  const payload = { ...body };
+
+  // Apply max_tokens: use the LARGER of request value or model config
+  const requestedMaxTokens = payload.max_tokens || payload.n_predict || 0;
+  const modelMaxTokens = plan.config?.maxTokens || 2000;
+  
+  if (requestedMaxTokens < modelMaxTokens) {
+    payload.max_tokens = modelMaxTokens;
+    log("max_tokens set to " + modelMaxTokens + " (model config overrides request=" + requestedMaxTokens + ")");
+  } else if (requestedMaxTokens > 0) {
+    payload.max_tokens = requestedMaxTokens;
+    log("max_tokens=" + requestedMaxTokens + " (from request, higher than model config=" + modelMaxTokens + ")");
+  } else {
+    payload.max_tokens = modelMaxTokens;
+    log("max_tokens=" + modelMaxTokens + " (defaulted from model config)");
+  }
+
+  // Context budget: model context window minus the completion reserve
+  const budget = resolveInputBudget(plan, payload.max_tokens, req);
+  const maxContextTokens = budget.maxInputTokens;
+  log(`input token budget: ${maxContextTokens} (${budget.source}${budget.contextTokens ? `, context ${budget.contextTokens}` : ""})`);
+
+  // System Prompt Priority (resolved before compaction: a summary message is not the client's system prompt):
+  // 1. User-provided system message (messages[0] with role="system") - HIGHEST (if config allows)
+  // 2. Category-level systemPromptPath/systemPrompt (from lols-smart config)
+  // 3. Model-level systemPromptPath/systemPrompt (from models.json) - LOWEST
+  
+  const ignoreRoleSystem = config?.systemPrompt?.ignoreRoleSystem || false;
+  let userProvidedSystemPrompt = null;
+  let systemPromptSource = null; // Track source for UI display
+  let actualSystemPrompt = null; // Track actual prompt used
+  
+  if (payload.messages && Array.isArray(payload.messages) && payload.messages.length > 0) {
+    // Check if first message is a system prompt
+    if (payload.messages[0].role === "system") {
+      const detectedPrompt = payload.messages[0].content;
+      
+      if (ignoreRoleSystem) {
+        // Config says to ignore user system prompts - strip them
+        log("user-provided system prompt detected but IGNORED (config: ignoreRoleSystem=true)");
+        payload.messages = payload.messages.filter(msg => msg.role !== "system");
+      } else {
+        // Accept user-provided system prompt
+        userProvidedSystemPrompt = detectedPrompt;
+        actualSystemPrompt = detectedPrompt;
+        systemPromptSource = "user-provided";
+        log("user-provided system prompt detected (length: " + userProvidedSystemPrompt.length + " chars)");
+      }
+    }
+  }
+  
+  // If no user-provided system prompt (or ignored), inject configured system prompt
+  if (!userProvidedSystemPrompt && payload.messages && Array.isArray(payload.messages)) {
+    const systemPrompt = plan.categorySystemPrompt || resolveSystemPrompt(plan.config);
+    
+    if (systemPrompt) {
+      systemPromptSource = plan.categorySystemPrompt ? "category-level" : "model-level";
+      actualSystemPrompt = systemPrompt;
+      log("injecting system prompt:", systemPromptSource);
+      payload.messages = [
+        { role: "system", content: systemPrompt },
+        ...payload.messages
+      ];
+    } else {
+      systemPromptSource = "none";
+      log("no system prompt configured");
+    }
+  } else if (userProvidedSystemPrompt) {
+    log("using user-provided system prompt (priority: highest)");
+  }
+  
+  let truncation = null;
+  let counter = null;
+  if (payload.messages && payload.messages.length > 0) {
+    // Real tokenizer counts when available (resident llama-server or GGUF vocabulary)
+    counter = await createMessageCounter(payload.messages, plan.model, plan.config);
+    const approx = counter.source === "estimate" ? "~" : "";
+
+    if (resolveOverflowMode(plan) === "error") {
+      const inputTokens = payload.messages.reduce((sum, msg) => sum + counter.count(msg), 0);
+      truncation = {
+        original: payload.messages.length,
+        truncated: payload.messages.length,
+        removed: 0,
+        inputTokens,
+        limit: maxContextTokens,
+        tokenizer: counter.source
+      };
+      if (inputTokens > maxContextTokens) {
+        log(`context length exceeded: ${approx}${inputTokens} tokens (limit: ${maxContextTokens}, tokenizer: ${counter.source})`);
+        const limitText = budget.contextTokens
+          ? `This model's maximum context length is ${budget.contextTokens} tokens, of which ${maxContextTokens} are available for input (${payload.max_tokens} reserved for the completion).`
+          : `This model's maximum input length is ${maxContextTokens} tokens.`;
+        return {
+          truncation,
+          inputBudget: budget,
+          contextError: `${limitText} However, your messages resulted in ${inputTokens} tokens. Please reduce the length of the messages.`
+        };
+      }
+      log(`context within limit: ${approx}${inputTokens} tokens (limit: ${maxContextTokens}, tokenizer: ${counter.source})`);
+    } else {
+      const compaction = resolveCompaction(plan.config, getCategoryConfig(plan.category));
+      const result = await compactContext(payload.messages, maxContextTokens, {
+        countTokens: counter.count,
+        tokenizer: counter.source,
+        compaction,
+        dryRun: options.dryRun
+      });
+      truncation = result.stats;
+      const totalTokens = result.stats.systemTokens + result.stats.conversationTokens;
+      if (result.stats.removed > 0 || result.stats.toolResultsShortened > 0) {
+        const summarized = result.stats.summarized ? ` (summarized${result.stats.summaryCached ? ", cached" : ""})` : "";
+        const shortened = result.stats.toolResultsShortened ? `, ${result.stats.toolResultsShortened} tool results shortened` : "";
+        log(`context compacted with ${compaction.strategy}: removed ${result.stats.removed} messages${summarized}${shortened}, ${approx}${totalTokens} tokens (limit: ${maxContextTokens}, tokenizer: ${counter.source})`);
+      } else {
+        log(`context within limit: ${approx}${totalTokens} tokens (limit: ${maxContextTokens}, tokenizer: ${counter.source})`);
+      }
+      payload.messages = result.messages;
+    }
+  }
+
+  // Get timeout from custom header, model config, or use default
+  const headerTimeout = parseInt(req.headers['x-request-timeout']);
+  const modelTimeout = plan.config?.timeout;
+  const timeoutSeconds = headerTimeout || modelTimeout || 30;
+  const timeoutSource = headerTimeout ? "header" : (modelTimeout ? "model config" : "fallback");
+  log("request timeout:", timeoutSeconds + "s (" + timeoutSource + ")");
+
+  return {
+    payload,
+    systemPromptSource,
+    actualSystemPrompt,
+    truncation,
+    inputBudget: budget,
+    inputTokens: counter ? payload.messages.reduce((sum, msg) => sum + counter.count(msg), 0) : 0,
+    timeoutSeconds,
+    timeoutSource
+  };
+}
+
+/**
+ * x-lols-* headers explaining a routing decision (real responses and POST /v1/route)
+ * @param {object} plan - Plan that answered (selectModel / resolveFallbackChain)
+ * @param {object} prepared - Result of preparePayload
+ * @returns {object} Header name -> value
+ */
+function routeHeaders(plan, prepared) {
+  // Header values must be plain ASCII
+  const clean = value => String(value).replace(/[^\x20-\x7e]/g, "?");
+  const headers = {};
+
+  if (plan.category) headers["x-lols-category"] = clean(plan.category);
+  if (plan.routing) {
+    headers["x-lols-routing"] = clean(plan.routing.method);
+    if (plan.routing.rule) headers["x-lols-rule"] = clean(plan.routing.rule);
+    if (plan.routing.confidence !== undefined) headers["x-lols-confidence"] = String(plan.routing.confidence);
+  }
+  if (prepared.systemPromptSource) headers["x-lols-system-prompt"] = prepared.systemPromptSource;
+
+  const stats = prepared.truncation;
+  if (stats) {
+    const tokens = stats.inputTokens ?? stats.systemTokens + stats.conversationTokens;
+    headers["x-lols-context"] = `tokens=${tokens}; limit=${stats.limit}; removed=${stats.removed}; tokenizer=${stats.tokenizer}` +
+      (stats.strategy ? `; strategy=${stats.strategy}` : "");
+  }
+  if (prepared.payload) headers["x-lols-max-tokens"] = String(prepared.payload.max_tokens);
+  if (prepared.timeoutSeconds) headers["x-lols-timeout"] = String(prepared.timeoutSeconds);
+
+  return headers;
+}
+
+/**
+ * Run a chat completion through routing, truncation, system prompt injection and the model
+ * Shared by /v1/chat/completions and /v1/messages (which converts its body to OpenAI format first)
+ * @param {object} req - Express request (used for headers and close events)
+ * @param {object} res - Express response
+ * @param {object} body - OpenAI chat completion body
+ * @param {object} options - { anthropic: true } to answer in Anthropic Messages format
+ */
+async function handleChatCompletion(req, res, body, options = {}) {
   const rid = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
   const t0 = Date.now();
 
@@ -25,23 +265,60 @@ router.post("/v1/chat/completions", async (req, res) => {
     }
   }
 
+  // Audit log record (written when the response is finished)
+  const record = createRecord(req, rid, body);
+
+  // Error bodies keep the OpenAI-route shapes unless the caller speaks Anthropic
+  function sendError(status, errorBody, anthropicType) {
+    const message = errorBody.body ? `${errorBody.error} (${errorBody.status}): ${errorBody.body}` : (errorBody.error?.message || String(errorBody.error));
+    record.error = message;
+    if (options.anthropic) {
+      return res.status(status).json(anthropicError(anthropicType, message));
+    }
+    return res.status(status).json(errorBody);
+  }
+
+  // Token usage from the upstream response (audit log and daily quota)
+  function recordUsage(usage) {
+    if (!usage) return;
+    const total = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    record.usage = {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: total
+    };
+    recordTokens(req.apiKey, total);
+  }
+
+  // Lease on a resident local model (released when the response is finished)
+  let lease = null;
+
   try {
+    // Daily token quota (API key auth)
+    if (!checkTokenQuota(req, res)) {
+      record.error = "daily token quota exceeded";
+      return;
+    }
+
     // Log clear request summary for web UI
     log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    log(`→ POST /v1/chat/completions`);
+    log(`→ POST ${req.path}`);
     log(`Headers: Content-Type: ${req.get('Content-Type') || 'none'}`);
-    log(`Payload: ${JSON.stringify(req.body, null, 2)}`);
+    log(`Payload: ${JSON.stringify(body, null, 2)}`);
     log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 
-    log("body keys:", Object.keys(req.body || {}));
-    log("body.stream:", !!(req.body && req.body.stream));
-    log("requested model:", req.body && req.body.model || "(none - will use lols-smart)");
+    log("body keys:", Object.keys(body || {}));
+    log("body.stream:", !!(body && body.stream));
+    log("requested model:", body && body.model || "(none - will use lols-smart)");
 
     log("calling selectModel...");
     let plan;
     try {
-      plan = await selectModel(req.body);
+      plan = await selectModel(body, { headers: req.headers, key: req.apiKey ? req.apiKey.name : null });
       log("selectModel -> selected:", plan.model);
+      record.model = plan.model;
+      record.category = plan.category || null;
+      record.routing = plan.routing || null;
       if (plan.category) {
         log("routing category:", plan.category);
         
@@ -53,141 +330,57 @@ router.post("/v1/chat/completions", async (req, res) => {
     } catch (err) {
       // Model selection errors are client errors (e.g., unknown model)
       log("selectModel error:", err.message);
-      return res.status(400).json({ error: err.message || String(err) });
+      return sendError(400, { error: err.message || String(err) }, "invalid_request_error");
     }
 
-    const modelType = plan.config?.type || "llama-cpp";
-    log("model type:", modelType);
-
-    // Prepare payload
-    const payload = { ...req.body };
-
-    // Context truncation enabled with 32k limit for Hermes
-    const maxContextTokens = 24000; // Leave room for response (8k tokens, model has 32k total)
-    if (payload.messages && payload.messages.length > 0) {
-      const result = truncateContext(payload.messages, maxContextTokens);
-      const totalTokens = result.stats.systemTokens + result.stats.conversationTokens;
-      if (result.stats.removed > 0) {
-        log(`context truncated: removed ${result.stats.removed} messages, ~${totalTokens} tokens (limit: ${maxContextTokens})`);
-      } else {
-        log(`context within limit: ~${totalTokens} tokens (limit: ${maxContextTokens})`);
-      }
-      payload.messages = result.messages;
-    }
-    
-    // Apply max_tokens: use the LARGER of request value or model config
-    const requestedMaxTokens = payload.max_tokens || payload.n_predict || 0;
-    const modelMaxTokens = plan.config?.maxTokens || 2000;
-    
-    if (requestedMaxTokens < modelMaxTokens) {
-      payload.max_tokens = modelMaxTokens;
-      log("max_tokens set to " + modelMaxTokens + " (model config overrides request=" + requestedMaxTokens + ")");
-    } else if (requestedMaxTokens > 0) {
-      payload.max_tokens = requestedMaxTokens;
-      log("max_tokens=" + requestedMaxTokens + " (from request, higher than model config=" + modelMaxTokens + ")");
-    } else {
-      payload.max_tokens = modelMaxTokens;
-      log("max_tokens=" + modelMaxTokens + " (defaulted from model config)");
+    // Model / category allowlist (API key auth)
+    const notAllowed = checkModelAllowed(req.apiKey, body && body.model, plan);
+    if (notAllowed) {
+      log("rejected by API key allowlist:", notAllowed);
+      return sendError(403, {
+        error: { message: notAllowed, type: "invalid_request_error", param: "model", code: "model_not_allowed" }
+      }, "permission_error");
     }
 
-    // System Prompt Priority:
-    // 1. User-provided system message (messages[0] with role="system") - HIGHEST (if config allows)
-    // 2. Category-level systemPromptPath/systemPrompt (from lols-smart config)
-    // 3. Model-level systemPromptPath/systemPrompt (from models.json) - LOWEST
-    
-    const ignoreRoleSystem = config?.systemPrompt?.ignoreRoleSystem || false;
-    let userProvidedSystemPrompt = null;
-    let systemPromptSource = null; // Track source for UI display
-    let actualSystemPrompt = null; // Track actual prompt used
-    
-    if (payload.messages && Array.isArray(payload.messages) && payload.messages.length > 0) {
-      // Check if first message is a system prompt
-      if (payload.messages[0].role === "system") {
-        const detectedPrompt = payload.messages[0].content;
-        
-        if (ignoreRoleSystem) {
-          // Config says to ignore user system prompts - strip them
-          log("user-provided system prompt detected but IGNORED (config: ignoreRoleSystem=true)");
-          payload.messages = payload.messages.filter(msg => msg.role !== "system");
-        } else {
-          // Accept user-provided system prompt
-          userProvidedSystemPrompt = detectedPrompt;
-          actualSystemPrompt = detectedPrompt;
-          systemPromptSource = "user-provided";
-          log("user-provided system prompt detected (length: " + userProvidedSystemPrompt.length + " chars)");
-        }
-      }
-    }
-    
-    // If no user-provided system prompt (or ignored), inject configured system prompt
-    if (!userProvidedSystemPrompt && payload.messages && Array.isArray(payload.messages)) {
-      const systemPrompt = plan.categorySystemPrompt || resolveSystemPrompt(plan.config);
-      
-      if (systemPrompt) {
-        systemPromptSource = plan.categorySystemPrompt ? "category-level" : "model-level";
-        actualSystemPrompt = systemPrompt;
-        log("injecting system prompt:", systemPromptSource);
-        payload.messages = [
-          { role: "system", content: systemPrompt },
-          ...payload.messages
-        ];
-      } else {
-        systemPromptSource = "none";
-        log("no system prompt configured");
-      }
-    } else if (userProvidedSystemPrompt) {
-      log("using user-provided system prompt (priority: highest)");
-    }
-    
-    // Broadcast actual system prompt to web UI
-    if (global.broadcastSystemPromptUsed && actualSystemPrompt) {
-      global.broadcastSystemPromptUsed(actualSystemPrompt, systemPromptSource);
+    // Primary model followed by its fallback chain (category-level or model-level "fallback" list)
+    const candidates = resolveFallbackChain(plan);
+    if (candidates.length > 1) {
+      log("fallback chain:", candidates.map(c => c.model).join(" → "));
     }
 
-    // Get timeout from custom header, model config, or use default
-    const headerTimeout = parseInt(req.headers['x-request-timeout']);
-    const modelTimeout = plan.config?.timeout;
-    const timeoutSeconds = headerTimeout || modelTimeout || 30;
-    const timeoutMs = timeoutSeconds * 1000;
-    const timeoutSource = headerTimeout ? "header" : (modelTimeout ? "model config" : "fallback");
-    log("request timeout:", timeoutSeconds + "s (" + timeoutSource + ")");
-
     const controller = new AbortController();
-    const timer = setTimeout(() => {
-      log(`ABORT upstream after ${timeoutSeconds}s`);
-      controller.abort();
-    }, timeoutMs);
+    let timer = null;
 
     req.on("close", () => {
       log("client closed; abort upstream");
       controller.abort();
     });
 
-    let upstream;
+    // Send the payload to one model (remote proxy or local llama-server)
+    async function requestUpstream(attemptPlan, payload) {
+      const modelType = attemptPlan.config?.type || "llama-cpp";
+      log("model type:", modelType);
 
-    if (modelType === "remote") {
-      // Remote API - proxy directly without GPU orchestration
-      log("proxying to remote API");
-      upstream = await proxyToRemoteAPI(plan.config, payload, {
-        signal: controller.signal
-      });
-    } else {
-      // Local llama-cpp - use GPU orchestration
-      log("waiting for withGpu/ensureModel...");
-      await withGpu(async () => {
-        log("inside gpu lock: ensureModel begin", plan.model);
-        await ensureModel(plan.model, plan.config);
-        log("inside gpu lock: ensureModel done", plan.model);
-      });
-      log("passed withGpu/ensureModel");
+      if (modelType === "remote") {
+        // Remote API - proxy directly without GPU orchestration
+        log("proxying to remote API");
+        return proxyToRemoteAPI(attemptPlan.config, payload, {
+          signal: controller.signal
+        });
+      }
 
-      const port = getCurrentPort();
-      log("current port:", port);
+      // Local llama-cpp - use GPU orchestration (no lock wait if already resident)
+      const priority = parsePriority(req.headers['x-lols-priority']);
+      log("acquiring model", attemptPlan.model, "(priority " + priority + ")");
+      lease = await acquireModel(attemptPlan.model, attemptPlan.config, { id: rid, priority });
+      log("model port:", lease.port);
+      record.latency.queueMs += lease.queueMs || 0;
+      record.latency.loadMs += lease.loadMs || 0;
 
-      const url = "http://127.0.0.1:" + port + "/v1/chat/completions";
+      const url = "http://127.0.0.1:" + lease.port + "/v1/chat/completions";
       log("fetch ->", url);
 
-      upstream = await fetch(url, {
+      return fetch(url, {
         method: "POST",
         headers: { "content-type": "application/json" },
         body: JSON.stringify(payload),
@@ -195,12 +388,111 @@ router.post("/v1/chat/completions", async (req, res) => {
       });
     }
 
+    // Try each model until one answers without a server error.
+    // Nothing has been written to the client yet, so streaming requests can fall back too.
+    let upstream = null;
+    let attemptPlan = null;
+    let prepared = null;
+    let lastError = null;
+    const failures = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+      attemptPlan = candidates[i];
+      const isLast = i === candidates.length - 1;
+      if (i > 0) {
+        log(`falling back to ${attemptPlan.model} (attempt ${i + 1}/${candidates.length})`);
+      }
+
+      prepared = await preparePayload(body, attemptPlan, req, log);
+
+      // Over the input budget with contextOverflow "error": a client error, no fallback
+      if (prepared.contextError) {
+        clearTimeout(timer);
+        record.model = attemptPlan.model;
+        record.truncation = prepared.truncation;
+        return sendError(400, {
+          error: { message: prepared.contextError, type: "invalid_request_error", param: "messages", code: "context_length_exceeded" }
+        }, "invalid_request_error");
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        log(`ABORT upstream after ${prepared.timeoutSeconds}s`);
+        controller.abort();
+      }, prepared.timeoutSeconds * 1000);
+
+      try {
+        upstream = await requestUpstream(attemptPlan, prepared.payload);
+      } catch (err) {
+        // Client disconnects and timeouts are not model failures
+        if (controller.signal.aborted) throw err;
+        log(`model ${attemptPlan.model} failed:`, err.message);
+        failures.push({ model: attemptPlan.model, error: err.message });
+        lastError = err;
+        upstream = null;
+        if (lease) {
+          lease.release();
+          lease = null;
+        }
+        continue;
+      }
+
+      if (upstream.status >= 500 && !isLast) {
+        const errorText = await upstream.text();
+        log(`model ${attemptPlan.model} returned ${upstream.status}:`, errorText.slice(0, 200));
+        failures.push({ model: attemptPlan.model, status: upstream.status, error: errorText.slice(0, 500) });
+        upstream = null;
+        if (lease) {
+          lease.release();
+          lease = null;
+        }
+        continue;
+      }
+
+      break;
+    }
+
+    if (!upstream) {
+      clearTimeout(timer);
+      // Single model: keep the original error behaviour
+      if (failures.length === 1) throw lastError;
+      log("all models in fallback chain failed");
+      return sendError(502, {
+        error: `all ${failures.length} models in fallback chain failed`,
+        attempts: failures
+      }, "api_error");
+    }
+
+    // Report which model actually answered, and why
+    res.setHeader("x-lols-model", attemptPlan.model);
+    for (const [name, value] of Object.entries(routeHeaders(attemptPlan, prepared))) {
+      res.setHeader(name, value);
+    }
+    record.model = attemptPlan.model;
+    if (failures.length > 0) {
+      record.fallbackFrom = plan.model;
+      res.setHeader("x-lols-fallback-from", plan.model);
+      res.setHeader("x-lols-fallback-attempts", String(failures.length));
+      if (attemptPlan.category && global.broadcastCategoryStatus) {
+        global.broadcastCategoryStatus(attemptPlan.category, attemptPlan.model);
+      }
+    }
+
+    const { payload, systemPromptSource, actualSystemPrompt } = prepared;
+    record.systemPromptSource = systemPromptSource;
+    record.truncation = prepared.truncation;
+
+    // Broadcast actual system prompt to web UI
+    if (global.broadcastSystemPromptUsed && actualSystemPrompt) {
+      global.broadcastSystemPromptUsed(actualSystemPrompt, systemPromptSource);
+    }
+
     log("upstream status:", upstream.status, upstream.statusText);
 
-    const anthropicFormat = plan.config?.anthropicFormat || false;
+    const anthropicFormat = options.anthropic || attemptPlan.config?.anthropicFormat || false;
     log("anthropic format conversion:", anthropicFormat ? "enabled" : "disabled");
 
-    if (payload.stream) {
+    if (payload.stream && upstream.ok) {
       log("streaming response");
       res.writeHead(200, {
         "content-type": "text/event-stream",
@@ -210,15 +502,26 @@ router.post("/v1/chat/completions", async (req, res) => {
 
       let streamConverter = null;
       if (anthropicFormat) {
-        const { AnthropicStreamConverter } = require("../helpers/anthropic-converter");
-        streamConverter = new AnthropicStreamConverter();
+        streamConverter = new AnthropicStreamConverter({
+          model: attemptPlan.model,
+          stopSequences: payload.stop,
+          inputTokens: prepared.inputTokens
+        });
         log("created Anthropic stream converter");
       }
 
+      // Collects the streamed text and usage (sent in the final chunk by servers that report it)
+      const capture = new StreamCapture();
+
       const reader = upstream.body.getReader();
       for (;;) {
         const { done, value } = await reader.read();
         if (done) break;
+
+        if (record.latency.firstTokenMs === null) {
+          record.latency.firstTokenMs = Date.now() - t0;
+        }
+        capture.push(value);
         
         if (streamConverter) {
           // Convert OpenAI SSE chunks to Anthropic format
@@ -231,32 +534,49 @@ router.post("/v1/chat/completions", async (req, res) => {
         }
       }
 
+      // Close any open content blocks if upstream ended without [DONE]
+      if (streamConverter) {
+        const tail = streamConverter.finish();
+        if (tail) {
+          res.write(Buffer.from(tail));
+        }
+      }
+
+      recordUsage(capture.usage);
+      if ("response" in record) {
+        record.response = { role: "assistant", content: capture.content };
+      }
       clearTimeout(timer);
       log("stream done");
       return res.end();
     }
 
     log("reading upstream body...");
+    record.latency.firstTokenMs = Date.now() - t0;
     const text = await upstream.text();
     clearTimeout(timer);
     log("upstream body length:", text.length);
 
     if (!upstream.ok) {
       log("upstream error");
-      return res.status(502).json({
+      return sendError(502, {
         error: "upstream error",
         status: upstream.status,
         body: text.slice(0, 2000)
-      });
+      }, "api_error");
     }
 
     log("returning json");
     const responseData = JSON.parse(text);
+    recordUsage(responseData.usage);
+    if ("response" in record) {
+      record.response = responseData.choices?.[0]?.message || null;
+    }
     
     if (anthropicFormat) {
       log("converting response to Anthropic format");
       try {
-        const converted = convertOpenAIToAnthropic(responseData);
+        const converted = convertOpenAIToAnthropic(responseData, { stopSequences: payload.stop, inputTokens: prepared.inputTokens });
         log("conversion successful, content blocks:", converted.content.length);
         res.json(converted);
       } catch (convErr) {
@@ -270,10 +590,20 @@ router.post("/v1/chat/completions", async (req, res) => {
     }
   } catch (err) {
     log("ERROR:", err && err.stack ? err.stack : String(err));
+    record.error = err.message || String(err);
     if (!res.headersSent) {
-      res.status(500).json({ error: err.message || String(err) });
+      sendError(500, { error: err.message || String(err) }, "api_error");
     }
+  } finally {
+    if (lease) lease.release();
+    finishRecord(record, res.statusCode);
+    observeRequest(record);
   }
-});
+}
+
+router.post("/v1/chat/completions", (req, res) => handleChatCompletion(req, res, req.body));
 
 module.exports = router;
+module.exports.handleChatCompletion = handleChatCompletion;
+module.exports.preparePayload = preparePayload;
+module.exports.routeHeaders = routeHeaders;
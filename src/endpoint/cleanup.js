@@ -1,20 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { createLogger } = require('../helpers/logger');
-const { loadModels } = require('../helpers/config');
+const { getModels } = require('../helpers/config-store');
 const { killPort } = require('../helpers/cleanup');
+const { getResidentModels, stopModel } = require('../helpers/orchestrator');
 
 const log = createLogger('api-cleanup');
 
 /**
  * POST /v1/cleanup
  * Kill all running models except the router
+ * Models the orchestrator tracks are stopped through it first (pins dropped, exit not taken for a crash)
  */
 router.post('/v1/cleanup', async (req, res) => {
   try {
     log.info('Cleanup requested - killing all models except router');
     
-    const modelsConfig = loadModels();
+    const modelsConfig = getModels();
     const routerPort = modelsConfig.router?.port || 3001;
     
     const ports = [];
@@ -41,10 +43,13 @@ router.post('/v1/cleanup', async (req, res) => {
     
     const results = [];
     let cleaned = 0;
+    const resident = new Set(getResidentModels().map(entry => entry.name));
     
     for (const { name, port } of ports) {
       try {
-        const killed = await killPort(port);
+        const stopped = resident.has(name) && await stopModel(name);
+        // Whatever still holds the port (adopted or untracked processes) is killed
+        const killed = (await killPort(port)) || stopped;
         if (killed) {
           log.success(`Killed ${name} on port ${port}`);
           results.push({ name, port, success: true });
@@ -83,7 +88,7 @@ router.post('/v1/cleanup', async (req, res) => {
 router.get('/v1/cleanup/status', async (req, res) => {
   try {
     const { execaCommand } = require('execa');
-    const modelsConfig = loadModels();
+    const modelsConfig = getModels();
     const routerPort = modelsConfig.router?.port || 3001;
     
     const ports = [];
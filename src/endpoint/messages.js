@@ -0,0 +1,43 @@
+const express = require("express");
+const { handleChatCompletion } = require("./chat");
+const { convertAnthropicToOpenAI, anthropicError } = require("../helpers/anthropic-converter");
+const { getModelConfig } = require("../helpers/model-router");
+const { createMessageCounter } = require("../helpers/tokenizer");
+
+const router = express.Router();
+
+/**
+ * POST /v1/messages - Anthropic Messages API
+ * Converts the Anthropic request to OpenAI format and runs it through the same
+ * pipeline as /v1/chat/completions, answering with Anthropic JSON or SSE events
+ */
+router.post("/v1/messages", (req, res) => {
+  let body;
+  try {
+    body = convertAnthropicToOpenAI(req.body);
+  } catch (err) {
+    console.error("[messages] Invalid request:", err.message);
+    return res.status(400).json(anthropicError("invalid_request_error", err.message));
+  }
+
+  return handleChatCompletion(req, res, body, { anthropic: true });
+});
+
+/**
+ * POST /v1/messages/count_tokens - Count input tokens for an Anthropic request
+ * Uses the same counter as context truncation: the model's tokenizer for direct
+ * local models, an estimate for lols-smart and remote models (no model is loaded)
+ */
+router.post("/v1/messages/count_tokens", async (req, res) => {
+  try {
+    const body = convertAnthropicToOpenAI(req.body);
+    const modelName = body.model && body.model !== "lols-smart" ? body.model : null;
+    const counter = await createMessageCounter(body.messages, modelName, modelName && getModelConfig(modelName));
+    const inputTokens = body.messages.reduce((sum, msg) => sum + counter.count(msg), 0);
+    res.json({ input_tokens: inputTokens });
+  } catch (err) {
+    res.status(400).json(anthropicError("invalid_request_error", err.message));
+  }
+});
+
+module.exports = router;
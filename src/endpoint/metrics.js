@@ -0,0 +1,21 @@
+const express = require("express");
+const { renderMetrics } = require("../helpers/metrics");
+
+const router = express.Router();
+
+/**
+ * GET /metrics - Prometheus exposition format
+ * Request/routing/orchestrator counters and histograms plus VRAM/CPU/RAM gauges
+ */
+router.get("/metrics", async (req, res) => {
+  try {
+    const body = await renderMetrics();
+    res.set("content-type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(body);
+  } catch (err) {
+    console.error("[metrics] ERROR:", err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+module.exports = router;
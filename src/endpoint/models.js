@@ -1,7 +1,8 @@
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
-const { loadModels } = require("../helpers/config");
+const { getModels } = require("../helpers/config-store");
+const { checkModelAllowed } = require("../helpers/auth");
 
 const router = express.Router();
 
@@ -11,7 +12,7 @@ const router = express.Router();
  */
 router.get("/v1/models", (req, res) => {
   try {
-    const modelsConfig = loadModels();
+    const modelsConfig = getModels();
 
     const models = modelsConfig.models || modelsConfig["llama-models"] || {};
 
@@ -40,9 +41,10 @@ router.get("/v1/models", (req, res) => {
       });
     }
 
+    // Only list models the API key may use
     res.json({
       object: "list",
-      data: modelList
+      data: modelList.filter(m => !checkModelAllowed(req.apiKey, m.id))
     });
   } catch (err) {
     console.error("[models] ERROR:", err);
@@ -0,0 +1,66 @@
+const express = require("express");
+const { queryRecords, findRecord } = require("../helpers/audit-log");
+
+const router = express.Router();
+
+/**
+ * Keys without admin scope only see their own requests
+ * Scoped by key id, not name: names may repeat and default to "unnamed"
+ */
+function scopeToKey(req, query) {
+  if (req.apiKey && !req.apiKey.admin) {
+    return { ...query, keyId: req.apiKey.keyId };
+  }
+  return query;
+}
+
+/**
+ * GET /v1/requests - List logged requests, newest first
+ * Filters: model, category, key, status (ok | error | HTTP code), endpoint, since, until (ISO or ms)
+ * Pagination: limit (default 50, max 500), offset; bodies=true includes request/response bodies
+ */
+router.get("/v1/requests", async (req, res) => {
+  try {
+    const query = scopeToKey(req, { ...req.query, bodies: req.query.bodies === "true" });
+    const { data, hasMore, limit, offset } = await queryRecords(query);
+
+    res.json({
+      object: "list",
+      data,
+      has_more: hasMore,
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error("[requests] ERROR:", err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+/**
+ * GET /v1/requests/:id - One logged request with request/response bodies (for replay)
+ */
+router.get("/v1/requests/:id", async (req, res) => {
+  try {
+    const record = await findRecord(req.params.id);
+    const { keyId } = scopeToKey(req, {});
+
+    if (!record || (keyId && record.keyId !== keyId)) {
+      return res.status(404).json({
+        error: {
+          message: `No logged request with id '${req.params.id}'`,
+          type: "invalid_request_error",
+          param: "id",
+          code: "not_found"
+        }
+      });
+    }
+
+    res.json(record);
+  } catch (err) {
+    console.error("[requests] ERROR:", err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+module.exports = router;
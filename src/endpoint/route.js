@@ -0,0 +1,82 @@
+const express = require("express");
+const { selectModel, resolveFallbackChain } = require("../helpers/model-router");
+const { checkModelAllowed } = require("../helpers/auth");
+const { preparePayload, routeHeaders } = require("./chat");
+
+const router = express.Router();
+
+/**
+ * POST /v1/route - Dry run of a chat completion body: what lols-smart would do with it
+ * Runs routing (rules, embeddings, routing model), context budgeting/compaction, system prompt
+ * selection, max_tokens and timeout exactly like /v1/chat/completions, but never loads a model
+ * or calls the summarizer. The answer carries the same x-lols-* headers as real responses.
+ */
+router.post("/v1/route", async (req, res) => {
+  const body = req.body || {};
+  const steps = [];
+  const log = (...args) => steps.push(args.map(arg => (typeof arg === "string" ? arg : JSON.stringify(arg))).join(" "));
+
+  let plan;
+  try {
+    plan = await selectModel(body, {
+      headers: req.headers,
+      key: req.apiKey ? req.apiKey.name : null,
+      dryRun: true
+    });
+  } catch (err) {
+    return res.status(400).json({
+      error: { message: err.message || String(err), type: "invalid_request_error", param: "model", code: null }
+    });
+  }
+
+  const notAllowed = checkModelAllowed(req.apiKey, body.model, plan);
+  if (notAllowed) {
+    return res.status(403).json({
+      error: { message: notAllowed, type: "invalid_request_error", param: "model", code: "model_not_allowed" }
+    });
+  }
+
+  try {
+    const prepared = await preparePayload(body, plan, req, log, { dryRun: true });
+    const routing = plan.routing || { method: "direct" };
+
+    res.setHeader("x-lols-model", plan.model);
+    for (const [name, value] of Object.entries(routeHeaders(plan, prepared))) {
+      res.setHeader(name, value);
+    }
+
+    res.json({
+      object: "route",
+      requested_model: body.model || "lols-smart",
+      model: plan.model,
+      category: plan.category || null,
+      routing: {
+        method: routing.method,
+        rule: routing.rule || null,
+        confidence: routing.confidence ?? null,
+        classifier_output: routing.output ?? null
+      },
+      fallbacks: resolveFallbackChain(plan).slice(1).map(candidate => candidate.model),
+      system_prompt_source: prepared.systemPromptSource || null,
+      max_tokens: prepared.payload ? prepared.payload.max_tokens : null,
+      input_token_budget: {
+        tokens: prepared.inputBudget.maxInputTokens,
+        source: prepared.inputBudget.source,
+        context_tokens: prepared.inputBudget.contextTokens
+      },
+      truncation: prepared.truncation,
+      timeout_seconds: prepared.timeoutSeconds ?? null,
+      timeout_source: prepared.timeoutSource || null,
+      // What the real request would be rejected with (contextOverflow "error")
+      rejection: prepared.contextError
+        ? { status: 400, code: "context_length_exceeded", message: prepared.contextError }
+        : null,
+      steps
+    });
+  } catch (err) {
+    console.error("[route] ERROR:", err);
+    res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+module.exports = router;
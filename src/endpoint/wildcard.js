@@ -1,6 +1,7 @@
 const express = require("express");
 const { getModelConfig } = require("../helpers/model-router");
 const { proxyToRemoteAPI } = require("../helpers/remote-api");
+const { checkModelAllowed } = require("../helpers/auth");
 
 const router = express.Router();
 
@@ -51,6 +52,19 @@ router.all("/v1/*", async (req, res) => {
       });
     }
 
+    const notAllowed = checkModelAllowed(req.apiKey, requestedModel);
+    if (notAllowed) {
+      logReq("model not allowed for API key:", requestedModel);
+      return res.status(403).json({
+        error: {
+          message: notAllowed,
+          type: "invalid_request_error",
+          param: "model",
+          code: "model_not_allowed"
+        }
+      });
+    }
+
     // Check if it's a remote model
     const modelType = modelConfig.type || "llama-cpp";
     logReq("model type:", modelType);
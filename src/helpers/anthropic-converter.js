@@ -45,7 +45,54 @@
  * }
  */
 
-function convertOpenAIToAnthropic(openaiResponse) {
+// Map OpenAI finish_reason to Anthropic stop_reason
+const FINISH_REASON_MAP = {
+  "stop": "end_turn",
+  "length": "max_tokens",
+  "tool_calls": "tool_use",
+  "content_filter": "end_turn"
+};
+
+/**
+ * Requested stop sequence that ended the generation, or null
+ * OpenAI-style upstreams report a stop sequence hit as finish_reason "stop" like a natural end, so the
+ * match comes from the upstream when it names it (llama-server "stopping_word", "stop_sequence" from
+ * Anthropic-compatible servers), else from generated text that ends with a requested sequence
+ * @param {string} finishReason - OpenAI finish_reason
+ * @param {object} sources - Upstream objects that may name the match (choice, response or chunk)
+ * @param {string} text - Generated text
+ * @param {string|string[]} stopSequences - Requested stop sequences (OpenAI "stop")
+ */
+function matchStopSequence(finishReason, sources, text, stopSequences) {
+  const requested = [].concat(stopSequences || []);
+  if (finishReason !== "stop" || requested.length === 0) return null;
+
+  for (const source of sources) {
+    const reported = source && (source.stop_sequence || source.stopping_word);
+    if (reported && requested.includes(reported)) return reported;
+  }
+  return requested.find(sequence => sequence && text.endsWith(sequence)) || null;
+}
+
+/**
+ * Parse tool call arguments, tolerating models that emit invalid JSON
+ */
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === "object") return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return { _raw: args };
+  }
+}
+
+/**
+ * @param {object} openaiResponse - OpenAI chat completion
+ * @param {object} [options] - { stopSequences } requested by the client; { inputTokens } counted
+ *   by lols-router, used when the upstream reports no prompt_tokens
+ */
+function convertOpenAIToAnthropic(openaiResponse, options = {}) {
   const choice = openaiResponse.choices?.[0];
   if (!choice) {
     throw new Error("No choices in OpenAI response");
@@ -70,7 +117,7 @@ function convertOpenAIToAnthropic(openaiResponse) {
           type: "tool_use",
           id: toolCall.id,
           name: toolCall.function.name,
-          input: JSON.parse(toolCall.function.arguments)
+          input: parseToolArguments(toolCall.function.arguments)
         });
       }
     }
@@ -84,15 +131,8 @@ function convertOpenAIToAnthropic(openaiResponse) {
     });
   }
 
-  // Map finish_reason to stop_reason
-  const finishReasonMap = {
-    "stop": "end_turn",
-    "length": "max_tokens",
-    "tool_calls": "tool_use",
-    "content_filter": "end_turn"
-  };
-  
-  const stopReason = finishReasonMap[choice.finish_reason] || "end_turn";
+  const stopSequence = matchStopSequence(choice.finish_reason, [choice, openaiResponse], message.content || "", options.stopSequences);
+  const stopReason = stopSequence ? "stop_sequence" : (FINISH_REASON_MAP[choice.finish_reason] || "end_turn");
 
   // Build Anthropic-style response
   const anthropicResponse = {
@@ -102,9 +142,9 @@ function convertOpenAIToAnthropic(openaiResponse) {
     content: content,
     model: openaiResponse.model,
     stop_reason: stopReason,
-    stop_sequence: null,
+    stop_sequence: stopSequence,
     usage: {
-      input_tokens: openaiResponse.usage?.prompt_tokens || 0,
+      input_tokens: openaiResponse.usage?.prompt_tokens || options.inputTokens || 0,
       output_tokens: openaiResponse.usage?.completion_tokens || 0
     }
   };
@@ -117,122 +157,211 @@ function convertOpenAIToAnthropic(openaiResponse) {
  * 
  * This is a stateful converter that needs to track:
  * - Whether we've sent message_start
- * - Which content blocks are active
+ * - Which content block is currently open (text or tool_use)
  * - Tool call accumulation state
+ * - finish_reason/usage so message_delta can report them
+ * - The end of the generated text, to recognize stop sequence hits
+ * - Partial SSE lines split across network chunks
+ *
+ * options: { model, id, stopSequences, inputTokens } - inputTokens (counted by lols-router)
+ * is reported in message_start, before upstream usage is known
  */
 class AnthropicStreamConverter {
-  constructor() {
+  constructor(options = {}) {
+    this.model = options.model || "unknown";
+    this.messageId = options.id || `msg_${Date.now().toString(36)}`;
     this.messageStartSent = false;
-    this.textBlockIndex = 0;
-    this.textBlockStarted = false;
-    this.toolCallState = new Map(); // Track tool call accumulation by index
+    this.finished = false;
+    this.buffer = '';
+    this.decoder = new TextDecoder();
+    this.nextBlockIndex = 0;
+    this.openBlock = null; // { index, type } of the currently open content block
+    this.textBlockIndex = null;
+    this.toolCallState = new Map(); // Track tool call accumulation by OpenAI index
+    this.stopReason = null;
+    this.stopSequence = null;
+    this.stopSequences = [].concat(options.stopSequences || []);
+    this.text = ''; // Last characters only, as long as the longest stop sequence
+    this.textTail = Math.max(0, ...this.stopSequences.map(sequence => sequence.length));
+    this.usage = { input_tokens: options.inputTokens || 0, output_tokens: 0 };
+  }
+
+  event(name, data) {
+    return `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  closeOpenBlock(out) {
+    if (this.openBlock) {
+      out.push(this.event("content_block_stop", { type: "content_block_stop", index: this.openBlock.index }));
+      this.openBlock = null;
+    }
   }
 
   convert(openaiChunk) {
-    const lines = openaiChunk.toString().split('\n');
     const anthropicChunks = [];
 
     // Send message_start on first chunk
     if (!this.messageStartSent) {
-      anthropicChunks.push('event: message_start\ndata: {"type":"message_start","message":{"id":"msg_stream","type":"message","role":"assistant","content":[],"model":"unknown","stop_reason":null,"usage":{"input_tokens":0,"output_tokens":0}}}\n\n');
+      anthropicChunks.push(this.event("message_start", {
+        type: "message_start",
+        message: {
+          id: this.messageId,
+          type: "message",
+          role: "assistant",
+          content: [],
+          model: this.model,
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { input_tokens: this.usage.input_tokens, output_tokens: 0 }
+        }
+      }));
       this.messageStartSent = true;
     }
 
-    for (const line of lines) {
-      if (!line.startsWith('data: ')) continue;
+    // SSE lines may be split across chunks - keep the trailing partial line for next time
+    // (upstream chunks are Uint8Arrays; decode in streaming mode so split UTF-8 sequences survive)
+    this.buffer += typeof openaiChunk === "string"
+      ? openaiChunk
+      : this.decoder.decode(openaiChunk, { stream: true });
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line.startsWith('data:')) continue;
       
-      const dataStr = line.slice(6);
+      const dataStr = line.slice(5).trim();
       if (dataStr === '[DONE]') {
-        // Close any open content blocks
-        if (this.textBlockStarted) {
-          anthropicChunks.push('event: content_block_stop\ndata: {"type":"content_block_stop","index":0}\n\n');
-        }
-        anthropicChunks.push('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+        anthropicChunks.push(this.finish());
         continue;
       }
 
+      let data;
       try {
-        const data = JSON.parse(dataStr);
-        const delta = data.choices?.[0]?.delta;
+        data = JSON.parse(dataStr);
+      } catch (err) {
+        // Skip invalid JSON
+        continue;
+      }
+
+      if (data.model && this.model === "unknown") {
+        this.model = data.model;
+      }
+
+      if (data.usage) {
+        this.usage.input_tokens = data.usage.prompt_tokens || this.usage.input_tokens;
+        this.usage.output_tokens = data.usage.completion_tokens || this.usage.output_tokens;
+      }
+
+      const choice = data.choices?.[0];
+      if (!choice) continue;
+
+      const delta = choice.delta;
+      if (delta?.content && this.textTail > 0) {
+        this.text = (this.text + delta.content).slice(-this.textTail);
+      }
+
+      if (choice.finish_reason) {
+        this.stopSequence = matchStopSequence(choice.finish_reason, [choice, data], this.text, this.stopSequences);
+        this.stopReason = this.stopSequence ? "stop_sequence" : (FINISH_REASON_MAP[choice.finish_reason] || "end_turn");
+      }
+
+      if (!delta) continue;
+
+      // Handle text content delta
+      if (delta.content) {
+        if (this.openBlock?.type !== "text") {
+          this.closeOpenBlock(anthropicChunks);
+          this.textBlockIndex = this.nextBlockIndex++;
+          this.openBlock = { index: this.textBlockIndex, type: "text" };
+          anthropicChunks.push(this.event("content_block_start", {
+            type: "content_block_start",
+            index: this.textBlockIndex,
+            content_block: { type: "text", text: "" }
+          }));
+        }
         
-        if (!delta) continue;
-
-        // Handle text content delta
-        if (delta.content) {
-          if (!this.textBlockStarted) {
-            // Start text block
-            anthropicChunks.push('event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n');
-            this.textBlockStarted = true;
+        anthropicChunks.push(this.event("content_block_delta", {
+          type: "content_block_delta",
+          index: this.openBlock.index,
+          delta: {
+            type: "text_delta",
+            text: delta.content
           }
-          
-          const chunk = {
-            type: "content_block_delta",
-            index: 0,
-            delta: {
-              type: "text_delta",
-              text: delta.content
-            }
-          };
-          anthropicChunks.push(`event: content_block_delta\ndata: ${JSON.stringify(chunk)}\n\n`);
-        }
+        }));
+      }
 
-        // Handle tool call deltas
-        if (delta.tool_calls) {
-          for (const toolCall of delta.tool_calls) {
-            const idx = toolCall.index || 0;
-            
-            if (!this.toolCallState.has(idx)) {
-              this.toolCallState.set(idx, { id: null, name: null, arguments: '' });
-            }
-            
-            const state = this.toolCallState.get(idx);
-            
-            if (toolCall.id) {
-              state.id = toolCall.id;
-            }
-            
-            if (toolCall.function?.name) {
-              state.name = toolCall.function.name;
-              
-              // Send content_block_start for tool_use
-              const blockIndex = this.textBlockStarted ? idx + 1 : idx;
-              const chunk = {
-                type: "content_block_start",
-                index: blockIndex,
-                content_block: {
-                  type: "tool_use",
-                  id: state.id || `call_${idx}`,
-                  name: state.name,
-                  input: {}
-                }
-              };
-              anthropicChunks.push(`event: content_block_start\ndata: ${JSON.stringify(chunk)}\n\n`);
-            }
-            
-            if (toolCall.function?.arguments) {
-              state.arguments += toolCall.function.arguments;
-              
-              const blockIndex = this.textBlockStarted ? idx + 1 : idx;
-              const chunk = {
-                type: "content_block_delta",
-                index: blockIndex,
-                delta: {
-                  type: "input_json_delta",
-                  partial_json: toolCall.function.arguments
-                }
-              };
-              anthropicChunks.push(`event: content_block_delta\ndata: ${JSON.stringify(chunk)}\n\n`);
-            }
+      // Handle tool call deltas
+      if (delta.tool_calls) {
+        for (const toolCall of delta.tool_calls) {
+          const idx = toolCall.index || 0;
+          let state = this.toolCallState.get(idx);
+          
+          // First delta for this tool call opens a new tool_use block
+          if (!state) {
+            this.closeOpenBlock(anthropicChunks);
+            state = {
+              id: toolCall.id || `toolu_${this.messageId}_${idx}`,
+              name: toolCall.function?.name || "",
+              arguments: '',
+              blockIndex: this.nextBlockIndex++
+            };
+            this.toolCallState.set(idx, state);
+            this.openBlock = { index: state.blockIndex, type: "tool_use" };
+            anthropicChunks.push(this.event("content_block_start", {
+              type: "content_block_start",
+              index: state.blockIndex,
+              content_block: {
+                type: "tool_use",
+                id: state.id,
+                name: state.name,
+                input: {}
+              }
+            }));
+          }
+          
+          if (toolCall.function?.arguments) {
+            state.arguments += toolCall.function.arguments;
+            anthropicChunks.push(this.event("content_block_delta", {
+              type: "content_block_delta",
+              index: state.blockIndex,
+              delta: {
+                type: "input_json_delta",
+                partial_json: toolCall.function.arguments
+              }
+            }));
           }
         }
-      } catch (err) {
-        // Skip invalid JSON
-        continue;
       }
     }
 
     return anthropicChunks.join('');
   }
+
+  /**
+   * Close open blocks and emit message_delta/message_stop.
+   * Safe to call more than once (e.g. on [DONE] and again when upstream closes).
+   */
+  finish() {
+    if (this.finished) return '';
+    this.finished = true;
+
+    const out = [];
+    this.closeOpenBlock(out);
+
+    let stopReason = this.stopReason || "end_turn";
+    if (this.toolCallState.size > 0 && stopReason === "end_turn") {
+      stopReason = "tool_use";
+    }
+
+    out.push(this.event("message_delta", {
+      type: "message_delta",
+      delta: { stop_reason: stopReason, stop_sequence: stopReason === "stop_sequence" ? this.stopSequence : null },
+      usage: { output_tokens: this.usage.output_tokens }
+    }));
+    out.push(this.event("message_stop", { type: "message_stop" }));
+    return out.join('');
+  }
 }
 
 function convertOpenAIStreamToAnthropic(openaiChunk) {
@@ -244,8 +373,204 @@ function convertOpenAIStreamToAnthropic(openaiChunk) {
   return convertOpenAIStreamToAnthropic._converter.convert(openaiChunk);
 }
 
+/**
+ * Convert Anthropic Messages API request bodies to OpenAI chat completion format
+ * 
+ * Anthropic format:
+ * {
+ *   "model": "...",
+ *   "system": "You are..." | [{ "type": "text", "text": "You are..." }],
+ *   "max_tokens": 1024,
+ *   "stop_sequences": ["\n\nHuman:"],
+ *   "messages": [
+ *     { "role": "user", "content": [
+ *       { "type": "text", "text": "What is in this image?" },
+ *       { "type": "image", "source": { "type": "base64", "media_type": "image/png", "data": "..." } }
+ *     ]},
+ *     { "role": "assistant", "content": [
+ *       { "type": "tool_use", "id": "toolu_1", "name": "get_weather", "input": { "city": "Paris" } }
+ *     ]},
+ *     { "role": "user", "content": [
+ *       { "type": "tool_result", "tool_use_id": "toolu_1", "content": "18°C" }
+ *     ]}
+ *   ],
+ *   "tools": [{ "name": "get_weather", "description": "...", "input_schema": { ... } }]
+ * }
+ * 
+ * becomes an OpenAI body with a leading system message, image_url parts,
+ * assistant tool_calls and role="tool" messages.
+ */
+
+/**
+ * Flatten Anthropic text content (string or block array) to a plain string
+ */
+function anthropicTextContent(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter(block => block.type === "text" && block.text)
+    .map(block => block.text)
+    .join("\n");
+}
+
+/**
+ * Convert an Anthropic image block to an OpenAI image_url part
+ */
+function convertImageBlock(block) {
+  const source = block.source || {};
+  if (source.type === "base64") {
+    return {
+      type: "image_url",
+      image_url: { url: `data:${source.media_type || "image/png"};base64,${source.data}` }
+    };
+  }
+  if (source.type === "url") {
+    return { type: "image_url", image_url: { url: source.url } };
+  }
+  throw new Error(`unsupported image source type: ${source.type}`);
+}
+
+/**
+ * Convert one Anthropic message into one or more OpenAI messages
+ * (tool_result blocks become separate role="tool" messages)
+ */
+function convertAnthropicMessage(message) {
+  if (typeof message.content === "string") {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const blocks = Array.isArray(message.content) ? message.content : [];
+
+  if (message.role === "assistant") {
+    const text = [];
+    const toolCalls = [];
+    for (const block of blocks) {
+      if (block.type === "text") {
+        text.push(block.text);
+      } else if (block.type === "tool_use") {
+        toolCalls.push({
+          id: block.id,
+          type: "function",
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          }
+        });
+      }
+      // thinking/redacted_thinking blocks are not forwarded
+    }
+    const converted = { role: "assistant", content: text.length > 0 ? text.join("") : null };
+    if (toolCalls.length > 0) {
+      converted.tool_calls = toolCalls;
+    }
+    return [converted];
+  }
+
+  // User message: tool results first (they answer the previous assistant turn), then content
+  const toolMessages = [];
+  const parts = [];
+  for (const block of blocks) {
+    if (block.type === "tool_result") {
+      let content = anthropicTextContent(block.content);
+      if (block.is_error) {
+        content = `Error: ${content}`;
+      }
+      toolMessages.push({ role: "tool", tool_call_id: block.tool_use_id, content });
+    } else if (block.type === "text") {
+      parts.push({ type: "text", text: block.text });
+    } else if (block.type === "image") {
+      parts.push(convertImageBlock(block));
+    }
+  }
+
+  const converted = [...toolMessages];
+  if (parts.length > 0) {
+    // Keep plain string content when there are no images (better template compatibility)
+    const textOnly = parts.every(part => part.type === "text");
+    converted.push({
+      role: "user",
+      content: textOnly ? parts.map(part => part.text).join("\n") : parts
+    });
+  }
+  return converted;
+}
+
+/**
+ * Convert Anthropic tool_choice to OpenAI tool_choice
+ */
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  switch (toolChoice.type) {
+    case "auto": return "auto";
+    case "any": return "required";
+    case "none": return "none";
+    case "tool": return { type: "function", function: { name: toolChoice.name } };
+    default: return undefined;
+  }
+}
+
+function convertAnthropicToOpenAI(anthropicRequest) {
+  if (!anthropicRequest || !Array.isArray(anthropicRequest.messages)) {
+    throw new Error("messages: field required");
+  }
+
+  const messages = [];
+
+  const system = anthropicTextContent(anthropicRequest.system);
+  if (system) {
+    messages.push({ role: "system", content: system });
+  }
+
+  for (const message of anthropicRequest.messages) {
+    messages.push(...convertAnthropicMessage(message));
+  }
+
+  const openaiRequest = {
+    model: anthropicRequest.model,
+    messages,
+    stream: !!anthropicRequest.stream
+  };
+
+  if (anthropicRequest.max_tokens) openaiRequest.max_tokens = anthropicRequest.max_tokens;
+  if (anthropicRequest.temperature !== undefined) openaiRequest.temperature = anthropicRequest.temperature;
+  if (anthropicRequest.top_p !== undefined) openaiRequest.top_p = anthropicRequest.top_p;
+  if (anthropicRequest.top_k !== undefined) openaiRequest.top_k = anthropicRequest.top_k;
+  if (Array.isArray(anthropicRequest.stop_sequences) && anthropicRequest.stop_sequences.length > 0) {
+    openaiRequest.stop = anthropicRequest.stop_sequences;
+  }
+
+  if (Array.isArray(anthropicRequest.tools) && anthropicRequest.tools.length > 0) {
+    openaiRequest.tools = anthropicRequest.tools.map(tool => ({
+      type: "function",
+      function: {
+        name: tool.name,
+        description: tool.description || "",
+        parameters: tool.input_schema || { type: "object", properties: {} }
+      }
+    }));
+    const toolChoice = convertToolChoice(anthropicRequest.tool_choice);
+    if (toolChoice) openaiRequest.tool_choice = toolChoice;
+  }
+
+  return openaiRequest;
+}
+
+/**
+ * Build an Anthropic-style error body
+ * @param {string} type - e.g. "invalid_request_error", "api_error", "overloaded_error"
+ * @param {string} message - Human-readable message
+ */
+function anthropicError(type, message) {
+  return {
+    type: "error",
+    error: { type, message }
+  };
+}
+
 module.exports = {
   convertOpenAIToAnthropic,
+  convertAnthropicToOpenAI,
+  anthropicError,
   convertOpenAIStreamToAnthropic,
   AnthropicStreamConverter
 };
@@ -0,0 +1,343 @@
+/**
+ * Request Audit Log
+ *
+ * Appends one JSON record per chat request to rotating JSONL files
+ * (config.audit.dir, default logs/requests/requests.jsonl) and reads them
+ * back for GET /v1/requests.
+ *
+ * Rotation: when requests.jsonl grows past maxFileMb it is renamed to
+ * requests.1.jsonl (older files shift up); files beyond maxFiles are deleted.
+ *
+ * Nothing here blocks the event loop: appends run one at a time on a promise
+ * queue, and queries stream the files line by line.
+ */
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const readline = require("readline");
+const config = require("./config");
+const { resolvePath } = config;
+const { createLogger } = require("./logger");
+
+const log = createLogger("audit");
+
+const FILE_PREFIX = "requests";
+
+let currentSize = null;
+
+// Pending appends and rotations, in order
+let writeQueue = Promise.resolve();
+
+function getAuditConfig() {
+  return {
+    enabled: true,
+    dir: "logs/requests",
+    maxFileMb: 20,
+    maxFiles: 10,
+    includeBodies: true,
+    ...(config.audit || {})
+  };
+}
+
+function isAuditEnabled() {
+  return getAuditConfig().enabled !== false;
+}
+
+function getAuditDir() {
+  return resolvePath(getAuditConfig().dir);
+}
+
+/**
+ * Path of a log file: index 0 is the active file, 1..n are rotated files (1 = newest)
+ */
+function logFilePath(index) {
+  const name = index === 0 ? `${FILE_PREFIX}.jsonl` : `${FILE_PREFIX}.${index}.jsonl`;
+  return path.join(getAuditDir(), name);
+}
+
+/**
+ * Size of a file, or null if it does not exist
+ */
+async function fileSize(file) {
+  try {
+    return (await fsp.stat(file)).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Shift rotated files up by one and start a fresh active file
+ */
+async function rotate() {
+  const { maxFiles } = getAuditConfig();
+
+  await fsp.rm(logFilePath(maxFiles), { force: true });
+
+  for (let i = maxFiles - 1; i >= 0; i--) {
+    const from = logFilePath(i);
+    if (await fileSize(from) !== null) await fsp.rename(from, logFilePath(i + 1));
+  }
+
+  currentSize = 0;
+  log.info("rotated request log");
+}
+
+/**
+ * Append one line to the active file, rotating first when it would grow past maxFileMb
+ */
+async function appendLine(line) {
+  await fsp.mkdir(getAuditDir(), { recursive: true });
+
+  if (currentSize === null) {
+    currentSize = (await fileSize(logFilePath(0))) || 0;
+  }
+
+  const bytes = Buffer.byteLength(line);
+  if (currentSize > 0 && currentSize + bytes > getAuditConfig().maxFileMb * 1024 * 1024) {
+    await rotate();
+  }
+
+  await fsp.appendFile(logFilePath(0), line);
+  currentSize += bytes;
+}
+
+/**
+ * Resolves when every record finished so far is on disk
+ */
+function flushAuditLog() {
+  return writeQueue;
+}
+
+/**
+ * Start a record for one request
+ * @param {object} req - Express request
+ * @param {string} rid - Request id (same id as the chat log lines)
+ * @param {object} body - OpenAI-format body (after Anthropic conversion)
+ * @returns {object} Record to fill in while the request runs
+ */
+function createRecord(req, rid, body) {
+  const record = {
+    id: rid,
+    timestamp: new Date().toISOString(),
+    endpoint: req.originalUrl.split("?")[0],
+    key: req.apiKey ? req.apiKey.name : null,
+    keyId: req.apiKey ? req.apiKey.keyId : null,
+    replayOf: req.headers["x-lols-replay-of"] || null,
+    requestedModel: (body && body.model) || "lols-smart",
+    category: null,
+    routing: null,
+    model: null,
+    fallbackFrom: null,
+    stream: !!(body && body.stream),
+    systemPromptSource: null,
+    truncation: null,
+    status: null,
+    error: null,
+    latency: { queueMs: 0, loadMs: 0, firstTokenMs: null, totalMs: null },
+    usage: null,
+    startedAt: Date.now()
+  };
+
+  if (getAuditConfig().includeBodies) {
+    record.request = body;
+    record.response = null;
+  }
+
+  return record;
+}
+
+/**
+ * Finish a record and queue it for the active log file (see flushAuditLog)
+ * @param {object} record - Record from createRecord()
+ * @param {number} status - HTTP status sent to the client
+ */
+function finishRecord(record, status) {
+  record.status = status;
+  record.latency.totalMs = Date.now() - record.startedAt;
+  delete record.startedAt;
+
+  if (global.broadcastRequestLogged) {
+    global.broadcastRequestLogged(summarize(record));
+  }
+
+  if (!isAuditEnabled()) return;
+
+  // Serialized now: callers may keep using the record
+  const line = JSON.stringify(record) + "\n";
+  writeQueue = writeQueue
+    .then(() => appendLine(line))
+    .catch(err => {
+      currentSize = null; // Re-read the size on the next write
+      log.error("Failed to write request log:", err.message);
+    });
+}
+
+/**
+ * Record without request/response bodies (list views and WebSocket events)
+ */
+function summarize(record) {
+  const { request, response, ...summary } = record;
+  return summary;
+}
+
+function parseTime(value) {
+  if (!value) return null;
+  const asNumber = Number(value);
+  const time = Number.isNaN(asNumber) ? Date.parse(value) : asNumber;
+  return Number.isNaN(time) ? null : time;
+}
+
+function matches(record, filters) {
+  if (filters.model && record.model !== filters.model && record.requestedModel !== filters.model) return false;
+  if (filters.category && record.category !== filters.category) return false;
+  if (filters.key && record.key !== filters.key) return false;
+  if (filters.keyId && record.keyId !== filters.keyId) return false;
+  if (filters.endpoint && record.endpoint !== filters.endpoint) return false;
+
+  if (filters.status === "ok" && !(record.status < 400)) return false;
+  if (filters.status === "error" && !(record.status >= 400)) return false;
+  if (/^\d+$/.test(filters.status || "") && record.status !== parseInt(filters.status, 10)) return false;
+
+  const time = Date.parse(record.timestamp);
+  if (filters.since && time < filters.since) return false;
+  if (filters.until && time > filters.until) return false;
+
+  return true;
+}
+
+/**
+ * Log file lines, read as a stream (nothing if the file does not exist)
+ */
+async function* readLines(file) {
+  if (await fileSize(file) === null) return;
+
+  const input = fs.createReadStream(file, { encoding: "utf8" });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    yield* lines;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * The newest `keep` records of one file that match the filters, newest first
+ */
+async function newestMatches(file, filters, keep, bodies) {
+  const window = [];
+  for await (const line of readLines(file)) {
+    if (!line) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      continue; // Partial line from a crash
+    }
+
+    if (!matches(record, filters)) continue;
+    window.push(bodies ? record : summarize(record));
+    if (window.length > keep) window.shift();
+  }
+  return window.reverse();
+}
+
+/**
+ * Query logged requests, newest first
+ * @param {object} query - { model, category, key (name), keyId, status ("ok"|"error"|code), endpoint, since, until, limit, offset, bodies }
+ *   limit defaults to 50 (max 500)
+ * @returns {Promise<{ data: object[], hasMore: boolean, limit: number, offset: number }>}
+ */
+async function queryRecords(query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  const filters = {
+    ...query,
+    since: parseTime(query.since),
+    until: parseTime(query.until)
+  };
+
+  // Newest files first; one record past the page tells whether there is more
+  const wanted = offset + limit + 1;
+  const found = [];
+  await flushAuditLog();
+  for (let i = 0; i <= getAuditConfig().maxFiles && found.length < wanted; i++) {
+    found.push(...await newestMatches(logFilePath(i), filters, wanted - found.length, query.bodies));
+  }
+
+  return {
+    data: found.slice(offset, offset + limit),
+    hasMore: found.length > offset + limit,
+    limit,
+    offset
+  };
+}
+
+/**
+ * Find one logged request by id (with bodies)
+ * @returns {Promise<object|null>}
+ */
+async function findRecord(id) {
+  const prefix = `{"id":${JSON.stringify(id)}`;
+  await flushAuditLog();
+  for (let i = 0; i <= getAuditConfig().maxFiles; i++) {
+    for await (const line of readLines(logFilePath(i))) {
+      if (!line.startsWith(prefix)) continue;
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Collects assistant text and usage from OpenAI SSE chunks as they are streamed
+ */
+class StreamCapture {
+  constructor() {
+    this.decoder = new TextDecoder();
+    this.buffer = "";
+    this.content = "";
+    this.usage = null;
+  }
+
+  push(chunk) {
+    this.buffer += typeof chunk === "string" ? chunk : this.decoder.decode(chunk, { stream: true });
+    const lines = this.buffer.split("\n");
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith("data: ") || line === "data: [DONE]") continue;
+      try {
+        const data = JSON.parse(line.slice(6));
+        const delta = data.choices && data.choices[0] && data.choices[0].delta;
+        if (delta && typeof delta.content === "string") {
+          this.content += delta.content;
+        }
+        if (data.usage) {
+          this.usage = data.usage;
+        }
+      } catch (err) {
+        // Not JSON (keep-alive comment, etc.)
+      }
+    }
+  }
+}
+
+module.exports = {
+  isAuditEnabled,
+  createRecord,
+  finishRecord,
+  flushAuditLog,
+  summarize,
+  queryRecords,
+  findRecord,
+  StreamCapture
+};
@@ -0,0 +1,257 @@
+/**
+ * API Key Authentication
+ *
+ * Optional authentication for lols-router (config.auth.enabled).
+ * Keys are loaded from keys.json (in .env/ like other secrets):
+ *
+ * {
+ *   "keys": {
+ *     "sk-lols-openclaw": {
+ *       "name": "openclaw",
+ *       "models": ["lols-smart", "qwen3-coder-30b-instruct"],
+ *       "categories": ["code", "chat", "default"],
+ *       "requestsPerMinute": 60,
+ *       "tokensPerDay": 2000000
+ *     },
+ *     "sk-lols-admin": { "name": "admin", "admin": true }
+ *   }
+ * }
+ *
+ * - models: direct model names (and "lols-smart") this key may request (omit = all)
+ * - categories: lols-smart categories this key may be routed to (omit = all)
+ * - requestsPerMinute / tokensPerDay: quotas (omit = unlimited), tracked in memory
+ * - admin: may use admin routes (cleanup, logging, test overrides, web UI)
+ *
+ * Errors use the OpenAI error shape (Anthropic shape on /v1/messages).
+ */
+
+const crypto = require("crypto");
+const config = require("./config");
+const { loadJsonFile } = config;
+const { onReload } = require("./config-store");
+const { createLogger } = require("./logger");
+
+const log = createLogger("auth");
+
+// Per-key usage: key -> { requests: [timestamps], day: "YYYY-MM-DD", tokens }
+const usage = new Map();
+
+let keys = null;
+
+function isAuthEnabled() {
+  return config.auth?.enabled === true;
+}
+
+/**
+ * Load keys from the configured keys file (cached after first load)
+ */
+function getKeys() {
+  if (keys) return keys;
+
+  const keysFile = config.auth?.keysFile || "keys.json";
+  const data = loadJsonFile(keysFile);
+
+  if (!data || !data.keys) {
+    log.error(`No keys found in ${keysFile} - all authenticated requests will be rejected`);
+    keys = {};
+  } else {
+    keys = data.keys;
+    log.info(`Loaded ${Object.keys(keys).length} API key(s) from ${keysFile}`);
+  }
+
+  return keys;
+}
+
+// Keys file edits apply after the next config reload (file watch or POST /admin/reload)
+onReload(() => {
+  keys = null;
+});
+
+/**
+ * Extract the API key from Authorization: Bearer or x-api-key (Anthropic SDK)
+ */
+function extractKey(req) {
+  const authHeader = req.headers["authorization"];
+  if (authHeader && authHeader.toLowerCase().startsWith("bearer ")) {
+    return authHeader.slice(7).trim();
+  }
+  return req.headers["x-api-key"] || null;
+}
+
+/**
+ * Stable identifier of a key for records that must not hold the key itself (request log)
+ * Names are labels and may repeat or be missing; the id is unique per key
+ */
+function getKeyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+/**
+ * Look up a key record
+ * @returns {object|null} { key, keyId, name, admin, models, categories, requestsPerMinute, tokensPerDay }
+ */
+function lookupKey(key) {
+  if (!key) return null;
+  const record = getKeys()[key];
+  if (!record) return null;
+  return { key, name: record.name || "unnamed", ...record, keyId: getKeyId(key) };
+}
+
+function getUsage(key) {
+  const today = new Date().toISOString().slice(0, 10);
+  let entry = usage.get(key);
+  if (!entry) {
+    entry = { requests: [], day: today, tokens: 0 };
+    usage.set(key, entry);
+  }
+  if (entry.day !== today) {
+    entry.day = today;
+    entry.tokens = 0;
+  }
+  return entry;
+}
+
+/**
+ * Send an error in OpenAI format, or Anthropic format on /v1/messages
+ */
+function sendAuthError(req, res, status, message, code) {
+  if (req.originalUrl.startsWith("/v1/messages")) {
+    const types = { 401: "authentication_error", 403: "permission_error", 429: "rate_limit_error" };
+    return res.status(status).json({
+      type: "error",
+      error: { type: types[status] || "invalid_request_error", message }
+    });
+  }
+
+  const types = { 401: "invalid_request_error", 403: "invalid_request_error", 429: "requests" };
+  return res.status(status).json({
+    error: {
+      message,
+      type: code === "tokens_exceeded" ? "tokens" : (types[status] || "invalid_request_error"),
+      param: null,
+      code
+    }
+  });
+}
+
+/**
+ * Middleware: require a valid API key and enforce requests-per-minute
+ * Sets req.apiKey to the key record
+ */
+function requireApiKey(req, res, next) {
+  // Already authenticated by an earlier middleware (e.g. requireAdmin)
+  if (!isAuthEnabled() || req.apiKey) return next();
+
+  const key = extractKey(req);
+  if (!key) {
+    return sendAuthError(req, res, 401, "You didn't provide an API key. Provide it in the Authorization header (Bearer <key>).", "missing_api_key");
+  }
+
+  const record = lookupKey(key);
+  if (!record) {
+    log.warn(`Rejected unknown API key ${key.slice(0, 8)}... (${req.method} ${req.originalUrl})`);
+    return sendAuthError(req, res, 401, "Incorrect API key provided.", "invalid_api_key");
+  }
+
+  req.apiKey = record;
+
+  if (record.requestsPerMinute) {
+    const entry = getUsage(key);
+    const now = Date.now();
+    entry.requests = entry.requests.filter(t => now - t < 60000);
+
+    if (entry.requests.length >= record.requestsPerMinute) {
+      const retryAfter = Math.ceil((60000 - (now - entry.requests[0])) / 1000);
+      res.setHeader("retry-after", String(retryAfter));
+      return sendAuthError(req, res, 429, `Rate limit reached for ${record.name}: ${record.requestsPerMinute} requests per minute.`, "rate_limit_exceeded");
+    }
+
+    entry.requests.push(now);
+  }
+
+  next();
+}
+
+/**
+ * Middleware: require an admin-scoped key (admin routes and web UI)
+ */
+function requireAdmin(req, res, next) {
+  if (!isAuthEnabled()) return next();
+
+  requireApiKey(req, res, () => {
+    if (!req.apiKey.admin) {
+      return sendAuthError(req, res, 403, "This endpoint requires an admin API key.", "admin_required");
+    }
+    next();
+  });
+}
+
+/**
+ * Check the daily token quota before running a request
+ * @returns {boolean} true if the key may proceed (sends 429 otherwise)
+ */
+function checkTokenQuota(req, res) {
+  const record = req.apiKey;
+  if (!isAuthEnabled() || !record || !record.tokensPerDay) return true;
+
+  const entry = getUsage(record.key);
+  if (entry.tokens >= record.tokensPerDay) {
+    sendAuthError(req, res, 429, `Daily token quota reached for ${record.name}: ${record.tokensPerDay} tokens per day.`, "tokens_exceeded");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Add tokens used by a finished request to the key's daily total
+ */
+function recordTokens(record, tokens) {
+  if (!record || !tokens) return;
+  getUsage(record.key).tokens += tokens;
+}
+
+/**
+ * Check a model selection against the key's allowlists
+ * Direct requests are checked against "models"; lols-smart requests against "categories"
+ * @param {object} record - req.apiKey
+ * @param {string} requestedModel - Model name from the request body (may be empty for lols-smart)
+ * @param {object} [plan] - selectModel result (category is set for lols-smart)
+ * @returns {string|null} Error message if not allowed, null if allowed
+ */
+function checkModelAllowed(record, requestedModel, plan) {
+  if (!isAuthEnabled() || !record || record.admin) return null;
+
+  const requested = requestedModel || "lols-smart";
+  if (Array.isArray(record.models) && !record.models.includes(requested)) {
+    return `API key '${record.name}' is not allowed to use model '${requested}'.`;
+  }
+
+  if (plan && plan.category && Array.isArray(record.categories) && !record.categories.includes(plan.category)) {
+    return `API key '${record.name}' is not allowed to use category '${plan.category}'.`;
+  }
+
+  return null;
+}
+
+/**
+ * Verify a WebSocket upgrade (web UI) - requires an admin key in ?key=
+ */
+function verifyWebSocketClient(info) {
+  if (!isAuthEnabled()) return true;
+
+  const url = new URL(info.req.url, "http://localhost");
+  const record = lookupKey(url.searchParams.get("key"));
+  return !!(record && record.admin);
+}
+
+module.exports = {
+  isAuthEnabled,
+  requireApiKey,
+  requireAdmin,
+  checkTokenQuota,
+  recordTokens,
+  checkModelAllowed,
+  getKeyId,
+  verifyWebSocketClient,
+  sendAuthError
+};
@@ -2,7 +2,7 @@ const { execaCommand } = require("execa");
 const fs = require("fs");
 const path = require("path");
 const { createLogger } = require("./logger");
-const { loadModels } = require("./config");
+const { getModels } = require("./config-store");
 
 const log = createLogger("cleanup");
 
@@ -124,7 +124,7 @@ async function killPort(port) {
  */
 async function cleanupModelPorts() {
   try {
-    const modelsConfig = loadModels();
+    const modelsConfig = getModels();
     
     const ports = new Set();
     
@@ -0,0 +1,232 @@
+/**
+ * Central Config Store
+ *
+ * Owns the live config.json and models.json. Both are re-read when a watched
+ * file changes (.env/, project root, src/, the keys file and the prompts
+ * directories) or on POST /admin/reload. New files are validated (validateConfig
+ * in config.js) before they are swapped in; a change with errors keeps the
+ * running configuration and is reported instead. Warnings do not block a reload.
+ *
+ * config.json is updated in place, so modules holding require("./config") see
+ * the new values on their next read. models.json readers call getModels() or
+ * refresh their own view in an onReload() listener. Prompt files are already
+ * read per request, so a prompt change only needs to be reported.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { loadModels, readConfigFile, validateConfig, formatIssue } = config;
+const { createLogger } = require("./logger");
+
+const log = createLogger("config");
+
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+// config.json sections that are only read at startup
+const RESTART_SECTIONS = ["server", "router", "cleanup", "systemMetrics", "preload"];
+
+let models = loadModels();
+const listeners = [];
+let lastReload = null;
+
+let watchers = [];
+let pendingFiles = new Set();
+let debounceTimer = null;
+
+/**
+ * Current models.json
+ */
+function getModels() {
+  return models;
+}
+
+/**
+ * Register a listener called with the reload summary after a successful reload
+ * Listeners may be async; their errors are logged, not returned to the caller
+ */
+function onReload(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Summary of the most recent reload attempt (null before the first one)
+ */
+function getLastReload() {
+  return lastReload;
+}
+
+function configData() {
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => typeof value !== "function"));
+}
+
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])).sort();
+}
+
+function isPromptFile(file) {
+  return file.startsWith("prompts/") || file.startsWith(".env/prompts/");
+}
+
+function describe(summary) {
+  const parts = [];
+  if (summary.config.length > 0) parts.push(`config.json: ${summary.config.join(", ")}`);
+  const { added, removed, changed } = summary.models;
+  if (added.length > 0) parts.push(`models added: ${added.join(", ")}`);
+  if (removed.length > 0) parts.push(`models removed: ${removed.join(", ")}`);
+  if (changed.length > 0) parts.push(`models changed: ${changed.join(", ")}`);
+  if (summary.categories) parts.push("lols-smart categories");
+  if (summary.router) parts.push("router");
+  if (summary.prompts.length > 0) parts.push(`prompts: ${summary.prompts.join(", ")}`);
+  return parts.length > 0 ? parts.join("; ") : "no changes";
+}
+
+function finish(summary) {
+  lastReload = summary;
+  if (global.broadcastConfigReloaded) {
+    global.broadcastConfigReloaded(summary);
+  }
+  return summary;
+}
+
+/**
+ * Re-read config.json and models.json, validate them, swap them in and notify listeners
+ * @param {object} [options] - { reason, files } for logs and the configReloaded event
+ * @returns {object} Summary: { ok, changed, reason, files, errors, warnings, config (changed top-level keys),
+ *   models: { added, removed, changed }, categories, router, prompts, restartRequired, timestamp }
+ */
+function reload(options = {}) {
+  const files = options.files || [];
+  const summary = {
+    ok: false,
+    changed: false,
+    reason: options.reason || "manual",
+    files,
+    errors: [],
+    warnings: [],
+    timestamp: Date.now()
+  };
+
+  let nextConfig;
+  let nextModels;
+  try {
+    nextConfig = readConfigFile("config.json").data;
+    nextModels = readConfigFile("models.json").data;
+    const validation = validateConfig(nextConfig, nextModels);
+    summary.errors = validation.errors.map(formatIssue);
+    summary.warnings = validation.warnings.map(formatIssue);
+  } catch (err) {
+    summary.errors.push(err.message);
+  }
+
+  if (summary.errors.length > 0) {
+    log.error(`reload rejected, keeping the running configuration: ${summary.errors.join("; ")}`);
+    return finish(summary);
+  }
+
+  const before = models.models || models["llama-models"] || {};
+  const after = nextModels.models || nextModels["llama-models"] || {};
+
+  summary.ok = true;
+  summary.config = changedKeys(configData(), nextConfig);
+  summary.models = {
+    added: Object.keys(after).filter(name => !before[name]),
+    removed: Object.keys(before).filter(name => !after[name]),
+    changed: Object.keys(after).filter(name => before[name] && JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+  };
+  summary.categories = JSON.stringify(models["lols-smart"]) !== JSON.stringify(nextModels["lols-smart"]);
+  summary.router = JSON.stringify(models.router) !== JSON.stringify(nextModels.router);
+  summary.prompts = files.filter(isPromptFile);
+  summary.restartRequired = summary.config.filter(key => RESTART_SECTIONS.includes(key));
+  summary.changed = summary.config.length > 0 || summary.categories || summary.router || summary.prompts.length > 0 ||
+    Object.values(summary.models).some(names => names.length > 0);
+
+  // config.json in place (the exported helpers stay), models.json by reference
+  for (const key of Object.keys(config)) {
+    if (typeof config[key] !== "function") delete config[key];
+  }
+  Object.assign(config, nextConfig);
+  models = nextModels;
+
+  for (const listener of listeners) {
+    try {
+      const result = listener(summary);
+      if (result && typeof result.catch === "function") {
+        result.catch(err => log.error("reload listener failed:", err.message));
+      }
+    } catch (err) {
+      log.error("reload listener failed:", err.message);
+    }
+  }
+
+  summary.warnings.forEach(warning => log.warn(warning));
+  log.success(`configuration reloaded (${summary.reason}): ${describe(summary)}`);
+  if (summary.restartRequired.length > 0) {
+    log.warn(`restart lols-router to apply: ${summary.restartRequired.join(", ")}`);
+  }
+  return finish(summary);
+}
+
+function scheduleReload(file) {
+  pendingFiles.add(file);
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => {
+    const files = [...pendingFiles].sort();
+    pendingFiles = new Set();
+    log.info(`config files changed: ${files.join(", ")}`);
+    reload({ reason: "file change", files });
+  }, config.reload?.debounceMs ?? 500);
+}
+
+/**
+ * Watch config, keys and prompt files and reload once changes settle
+ * Disabled with config.reload.watch = false
+ */
+function watchConfigFiles() {
+  if (config.reload?.watch === false) {
+    log.info("config file watching disabled (reload with POST /admin/reload)");
+    return;
+  }
+
+  const configFiles = ["config.json", "models.json", path.basename(config.auth?.keysFile || "keys.json")];
+  const targets = [
+    { dir: path.join(PROJECT_ROOT, ".env"), match: name => configFiles.includes(name) },
+    { dir: PROJECT_ROOT, match: name => configFiles.includes(name) },
+    { dir: path.join(PROJECT_ROOT, "src"), match: name => configFiles.includes(name) },
+    { dir: path.join(PROJECT_ROOT, "prompts"), match: () => true, recursive: true },
+    { dir: path.join(PROJECT_ROOT, ".env", "prompts"), match: () => true, recursive: true }
+  ];
+
+  for (const target of targets) {
+    if (!fs.existsSync(target.dir)) continue;
+    try {
+      const watcher = fs.watch(target.dir, { recursive: !!target.recursive }, (event, filename) => {
+        if (!filename || !target.match(filename)) return;
+        scheduleReload(path.relative(PROJECT_ROOT, path.join(target.dir, filename)));
+      });
+      watcher.on("error", err => log.warn(`stopped watching ${target.dir}: ${err.message}`));
+      watcher.unref();
+      watchers.push(watcher);
+    } catch (err) {
+      log.warn(`cannot watch ${target.dir}: ${err.message}`);
+    }
+  }
+  log.info(`watching ${watchers.length} config location(s) for changes`);
+}
+
+function stopWatching() {
+  watchers.forEach(watcher => watcher.close());
+  watchers = [];
+  clearTimeout(debounceTimer);
+  pendingFiles = new Set();
+}
+
+module.exports = {
+  getModels,
+  onReload,
+  reload,
+  getLastReload,
+  watchConfigFiles,
+  stopWatching
+};
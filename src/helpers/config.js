@@ -1,5 +1,21 @@
 const fs = require('fs');
 const path = require('path');
+const { checkGgufFiles } = require('./gguf');
+
+/**
+ * Locations searched for a JSON config file, highest priority first:
+ * .env directory (local overrides with secrets), project root (default location), src (backward compatibility)
+ * @param {string} filename - Name of the JSON file (e.g., 'config.json', 'models.json')
+ * @returns {Array<{ path: string, label: string }>}
+ */
+function configFileCandidates(filename) {
+  const projectRoot = path.join(__dirname, '../..');
+  return [
+    { path: path.join(projectRoot, '.env', filename), label: '.env directory' },
+    { path: path.join(projectRoot, filename), label: 'root directory' },
+    { path: path.join(__dirname, '..', filename), label: 'src directory' }
+  ];
+}
 
 /**
  * Find and load a JSON file, checking .env directory first, then root, then src directory
@@ -7,44 +23,15 @@ const path = require('path');
  * @returns {object|null} Parsed JSON object or null if not found
  */
 function loadJsonFile(filename) {
-  const projectRoot = path.join(__dirname, '../..');
-  
-  // Priority 1: Check .env directory first (for local overrides with secrets)
-  const envPath = path.join(projectRoot, '.env', filename);
-  
-  if (fs.existsSync(envPath)) {
-    try {
-      const data = fs.readFileSync(envPath, 'utf8');
-      console.log(`[config] Loading ${filename} from .env directory`);
-      return JSON.parse(data);
-    } catch (err) {
-      console.error(`[config] Failed to parse ${envPath}: ${err.message}`);
-    }
-  }
-  
-  // Priority 2: Check root directory (default location)
-  const rootPath = path.join(projectRoot, filename);
-  
-  if (fs.existsSync(rootPath)) {
-    try {
-      const data = fs.readFileSync(rootPath, 'utf8');
-      console.log(`[config] Loading ${filename} from root directory`);
-      return JSON.parse(data);
-    } catch (err) {
-      console.error(`[config] Failed to parse ${rootPath}: ${err.message}`);
-    }
-  }
-  
-  // Priority 3: Fallback to src directory (backward compatibility)
-  const srcPath = path.join(__dirname, '..', filename);
-  
-  if (fs.existsSync(srcPath)) {
+  for (const candidate of configFileCandidates(filename)) {
+    if (!fs.existsSync(candidate.path)) continue;
+
     try {
-      const data = fs.readFileSync(srcPath, 'utf8');
-      console.log(`[config] Loading ${filename} from src directory`);
+      const data = fs.readFileSync(candidate.path, 'utf8');
+      console.log(`[config] Loading ${filename} from ${candidate.label}`);
       return JSON.parse(data);
     } catch (err) {
-      console.error(`[config] Failed to parse ${srcPath}: ${err.message}`);
+      console.error(`[config] Failed to parse ${candidate.path}: ${err.message}`);
     }
   }
   
@@ -70,11 +57,67 @@ function loadConfig() {
       port: 3000,
       host: "0.0.0.0"
     },
+    auth: {
+      enabled: false,
+      keysFile: "keys.json"
+    },
     logging: {
       enabled: true,
       debug: false,
       colorOutput: true
     },
+    context: {
+      overflow: "truncate",
+      defaultMaxInputTokens: 24000,
+      compaction: {
+        strategy: "drop-oldest",
+        keepFirst: 1,
+        keepLast: null,
+        maxToolResultTokens: null
+      },
+      summarizer: {
+        model: null,
+        maxTokens: 512,
+        maxInputChars: 24000,
+        timeoutSeconds: 60,
+        cacheEntries: 200
+      }
+    },
+    tokenizer: {
+      enabled: true,
+      cacheEntries: 10000
+    },
+    audit: {
+      enabled: true,
+      dir: "logs/requests",
+      maxFileMb: 20,
+      maxFiles: 10,
+      includeBodies: true
+    },
+    reload: {
+      watch: true,
+      debounceMs: 500
+    },
+    preload: [],
+    idleUnload: {
+      seconds: 0,
+      exemptRouter: true,
+      checkIntervalSeconds: 30
+    },
+    crashRestart: {
+      enabled: true,
+      initialDelayMs: 1000,
+      maxDelayMs: 60000,
+      maxRestarts: 5,
+      windowSeconds: 600,
+      stderrLines: 20
+    },
+    downloads: {
+      auto: true,
+      baseUrl: "https://huggingface.co",
+      verifyChecksum: true,
+      stallTimeoutMs: 60000
+    },
     systemMetrics: {
       enabled: true,
       updateInterval: 2000
@@ -88,9 +131,15 @@ function loadConfig() {
       model: "qwen2.5-1.5b-instruct",
       port: 3001
     },
+    scheduler: {
+      maxWaitMs: 60000,
+      drainTimeoutMs: 60000,
+      defaultPriority: 0
+    },
     gpu: {
       enableMonitoring: true,
-      showProcessDetails: true
+      showProcessDetails: true,
+      vramBudgetMb: 0
     },
     webapp: {
       enabled: true,
@@ -210,12 +259,344 @@ function resolveSystemPrompt(config) {
   return config.systemPrompt || null;
 }
 
+/**
+ * Read a config file from the location loadJsonFile would use, but fail on invalid JSON
+ * instead of falling through to a lower-priority copy
+ * @param {string} filename - Name of the JSON file (e.g., 'config.json', 'models.json')
+ * @returns {{ data: object, path: string }} Parsed JSON and the file it came from
+ */
+function readConfigFile(filename) {
+  const candidate = configFileCandidates(filename).find(c => fs.existsSync(c.path));
+  if (!candidate) {
+    throw new Error(`${filename} not found`);
+  }
+  try {
+    return { data: JSON.parse(fs.readFileSync(candidate.path, 'utf8')), path: candidate.path };
+  } catch (err) {
+    throw new Error(`${path.relative(path.join(__dirname, '../..'), candidate.path)}: ${err.message}`);
+  }
+}
+
+// ============================================================================
+// Validation (schemas/config.schema.json, schemas/models.schema.json)
+// ============================================================================
+
+const SCHEMA_DIR = path.join(__dirname, '../../schemas');
+const schemas = {};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function loadSchema(filename) {
+  if (!schemas[filename]) {
+    schemas[filename] = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, filename), 'utf8'));
+  }
+  return schemas[filename];
+}
+
+/**
+ * Append a key to a path: models["qwen2.5-7b"].performance, router.rules[2]
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  if (/^[A-Za-z_$][\w$-]*$/.test(key) && !(base && key.includes('-'))) {
+    return base ? `${base}.${key}` : key;
+  }
+  return `${base}[${JSON.stringify(key)}]`;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest known key for an unknown one ("contextSize" -> "context"), or null
+ */
+function suggestKey(key, knownKeys) {
+  const lower = key.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of knownKeys) {
+    const known = candidate.toLowerCase();
+    const prefix = Math.min(lower.length, known.length) >= 4 && (lower.startsWith(known) || known.startsWith(lower));
+    const distance = prefix ? 1 : editDistance(lower, known);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best && bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+/**
+ * Check a value against the JSON-schema subset used in schemas/:
+ * type, enum, minimum, maximum, required, properties, additionalProperties, items and local $ref.
+ * Type and range problems are errors; keys the schema does not know are warnings.
+ */
+function checkSchema(value, schema, root, at, file, result) {
+  if (schema.$ref) {
+    schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      const got = value === null ? 'null' : Array.isArray(value) ? 'an array' : JSON.stringify(value);
+      result.errors.push({ file, path: at, message: `must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}, got ${got}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push({ file, path: at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      result.errors.push({ file, path: at, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      result.errors.push({ file, path: at, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => checkSchema(item, schema.items, root, joinPath(at, index), file, result));
+  }
+
+  if (isObject(value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        result.errors.push({ file, path: joinPath(at, key), message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = joinPath(at, key);
+      if (properties[key]) {
+        checkSchema(child, properties[key], root, childPath, file, result);
+      } else if (isObject(schema.additionalProperties)) {
+        checkSchema(child, schema.additionalProperties, root, childPath, file, result);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        result.warnings.push({
+          file,
+          path: childPath,
+          message: `unknown key, ignored${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+        });
+      }
+    }
+  }
+}
+
+/**
+ * True if a systemPromptPath can be loaded (same lookup as loadSystemPromptFromFile)
+ */
+function promptPathExists(filePath) {
+  const projectRoot = path.join(__dirname, '../..');
+  if (filePath.startsWith('prompts/') && fs.existsSync(path.join(projectRoot, '.env', filePath))) {
+    return true;
+  }
+  return fs.existsSync(resolvePath(filePath));
+}
+
+/**
+ * Checks across both files: model references, required fields per model type,
+ * port collisions, whisper model files and prompt paths
+ */
+function checkReferences(configData, modelsData, result) {
+  const modelsKey = modelsData.models ? 'models' : 'llama-models';
+  const definitions = modelsData[modelsKey];
+  if (!isObject(definitions)) {
+    result.errors.push({ file: 'models.json', path: 'models', message: 'is required' });
+    return;
+  }
+
+  const error = (file, at, message) => result.errors.push({ file, path: at, message });
+  const warning = (file, at, message) => result.warnings.push({ file, path: at, message });
+
+  const checkModelRef = (file, at, name) => {
+    if (typeof name === 'string' && !definitions[name]) {
+      error(file, at, `unknown model "${name}"`);
+    }
+  };
+  const checkPrompt = (at, entry) => {
+    if (isObject(entry) && typeof entry.systemPromptPath === 'string' && !promptPathExists(entry.systemPromptPath)) {
+      warning('models.json', joinPath(at, 'systemPromptPath'), `file not found: ${entry.systemPromptPath}`);
+    }
+  };
+
+  const whisperDir = resolvePath(configData.whisper?.models || process.env.WHISPER_MODELS || '~/whisper.cpp/models');
+  const ports = new Map();
+  const claimPort = (file, at, port) => {
+    if (!Number.isInteger(port)) return;
+    const owner = ports.get(port);
+    if (owner) {
+      error(file, at, `port ${port} is already used by ${owner}`);
+    } else {
+      ports.set(port, file === 'config.json' ? `config.json ${at}` : at);
+    }
+  };
+
+  claimPort('config.json', 'server.port', configData.server?.port);
+
+  for (const [name, model] of Object.entries(definitions)) {
+    if (!isObject(model)) continue;
+    const at = joinPath(modelsKey, name);
+    const type = model.type || 'llama-cpp';
+
+    if (type === 'llama-cpp' && typeof model.path === 'string') {
+      // Local files: checked here as warnings, and again before launch
+      checkGgufFiles(resolvePath(model.path)).forEach(problem => warning('models.json', joinPath(at, 'path'), problem));
+      if (model.repo || model.file) {
+        warning('models.json', joinPath(at, 'path'), '"repo" and "file" are ignored when "path" is set');
+      }
+    } else if (type === 'llama-cpp') {
+      if (!model.repo) error('models.json', joinPath(at, 'repo'), 'is required for llama-cpp models (or set "path")');
+      if (!model.file) error('models.json', joinPath(at, 'file'), 'is required for llama-cpp models (or set "path")');
+    } else if (type === 'whisper-cpp') {
+      if (!model.file) {
+        error('models.json', joinPath(at, 'file'), 'is required for whisper-cpp models');
+      } else if (typeof model.file === 'string' && !fs.existsSync(path.join(whisperDir, model.file))) {
+        warning('models.json', joinPath(at, 'file'), `not found in ${whisperDir}`);
+      }
+    } else if (type === 'remote') {
+      if (!model.endpoint) error('models.json', joinPath(at, 'endpoint'), 'is required for remote models');
+      if (!model.model) error('models.json', joinPath(at, 'model'), 'is required for remote models');
+    }
+
+    if (type === 'llama-cpp' && typeof model.mmprojPath === 'string' && !fs.existsSync(resolvePath(model.mmprojPath))) {
+      warning('models.json', joinPath(at, 'mmprojPath'), `file not found: ${resolvePath(model.mmprojPath)}`);
+    }
+
+    if (type !== 'remote') {
+      if (model.port === undefined) {
+        error('models.json', joinPath(at, 'port'), `is required for ${type} models`);
+      }
+      claimPort('models.json', joinPath(at, 'port'), model.port);
+    }
+
+    (Array.isArray(model.fallback) ? model.fallback : []).forEach((fallback, index) => {
+      checkModelRef('models.json', joinPath(joinPath(at, 'fallback'), index), fallback);
+    });
+    checkPrompt(at, model);
+  }
+
+  for (const [category, entry] of Object.entries(isObject(modelsData['lols-smart']) ? modelsData['lols-smart'] : {})) {
+    const at = joinPath('lols-smart', category);
+    if (typeof entry === 'string') {
+      checkModelRef('models.json', at, entry);
+      continue;
+    }
+    if (!isObject(entry)) continue;
+    checkModelRef('models.json', joinPath(at, 'model'), entry.model);
+    (Array.isArray(entry.fallback) ? entry.fallback : []).forEach((fallback, index) => {
+      checkModelRef('models.json', joinPath(joinPath(at, 'fallback'), index), fallback);
+    });
+    checkPrompt(at, entry);
+  }
+
+  const router = modelsData.router;
+  if (isObject(router)) {
+    if (router.model === undefined) {
+      error('models.json', 'router.model', 'is required');
+    }
+    checkModelRef('models.json', 'router.model', router.model);
+    checkModelRef('models.json', 'router.embedding.model', router.embedding?.model);
+    // The routing model keeps serving chat completions (classifier fallback, summaries), so embeddings need their own model
+    const embeddingModel = router.embedding?.model;
+    if (router.mode === 'embedding' && !embeddingModel) {
+      error('models.json', 'router.embedding.model', 'is required when router.mode is "embedding"');
+    } else if (embeddingModel && isObject(definitions[embeddingModel]) && definitions[embeddingModel].embedding !== true) {
+      error('models.json', 'router.embedding.model', `"${embeddingModel}" is not an embedding model (set "embedding": true)`);
+    }
+    claimPort('models.json', 'router.port', router.port);
+    checkPrompt('router', router);
+  }
+
+  checkModelRef('config.json', 'context.summarizer.model', configData.context?.summarizer?.model);
+
+  (Array.isArray(configData.preload) ? configData.preload : []).forEach((item, index) => {
+    const at = joinPath('preload', index);
+    const name = isObject(item) ? item.model : item;
+    checkModelRef('config.json', at, name);
+    if (definitions[name]?.type === 'remote') {
+      error('config.json', at, `"${name}" is a remote model and cannot be preloaded`);
+    }
+  });
+}
+
+/**
+ * Validate config.json and models.json against schemas/ and against each other
+ * @param {object} configData - Parsed config.json
+ * @param {object} modelsData - Parsed models.json
+ * @returns {{ valid: boolean, errors: object[], warnings: object[] }} Issues as { file, path, message };
+ *   errors make the files unusable, warnings are keys lols-router ignores and files it cannot find
+ */
+function validateConfig(configData, modelsData) {
+  const result = { valid: false, errors: [], warnings: [] };
+
+  checkSchema(configData, loadSchema('config.schema.json'), loadSchema('config.schema.json'), '', 'config.json', result);
+  checkSchema(modelsData, loadSchema('models.schema.json'), loadSchema('models.schema.json'), '', 'models.json', result);
+
+  if (isObject(configData) && isObject(modelsData)) {
+    checkReferences(configData, modelsData, result);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * One-line form of a validation issue: models.json models["qwen"].port: must be an integer
+ */
+function formatIssue(issue) {
+  return issue.path ? `${issue.file} ${issue.path}: ${issue.message}` : `${issue.file}: ${issue.message}`;
+}
+
 // Load config once at startup
 const config = loadConfig();
 
 module.exports = config;
 module.exports.loadModels = loadModels;
 module.exports.loadJsonFile = loadJsonFile;
+module.exports.configFileCandidates = configFileCandidates;
 module.exports.loadSystemPromptFromFile = loadSystemPromptFromFile;
 module.exports.resolveSystemPrompt = resolveSystemPrompt;
 module.exports.resolvePath = resolvePath;
+module.exports.readConfigFile = readConfigFile;
+module.exports.validateConfig = validateConfig;
+module.exports.formatIssue = formatIssue;
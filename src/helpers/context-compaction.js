@@ -0,0 +1,356 @@
+/**
+ * Context Compaction Strategies
+ *
+ * Chooses how an over-budget conversation is shortened (per model, per
+ * lols-smart category, or config.context.compaction):
+ * - drop-oldest: remove the oldest messages (truncateContext)
+ * - keep-first-and-last-N: keep the first keepFirst messages (task setup)
+ *   plus the most recent ones (at most keepLast)
+ * - summarize: replace the oldest messages with a summary written by a
+ *   small model (the router model unless context.summarizer.model is set)
+ *
+ * Summaries are cached by a hash of the summarized conversation prefix. A later
+ * request with the same prefix reuses the summary as long as the rest still
+ * fits, so the prompt sent upstream stays byte-identical and llama.cpp's
+ * prompt cache keeps hitting.
+ */
+
+const crypto = require("crypto");
+const { fetch } = require("undici");
+const config = require("./config");
+const { truncateContext, shrinkToolResults, countMessageTokens } = require("./context-truncate");
+const { messageParts } = require("./tokenizer");
+const { getRouterPort, isRouterRunning } = require("./router-manager");
+const { getModelConfig } = require("./model-router");
+const { proxyToRemoteAPI } = require("./remote-api");
+const { createLogger } = require("./logger");
+
+const log = createLogger("compaction");
+
+const STRATEGIES = ["drop-oldest", "keep-first-and-last-N", "summarize"];
+
+// Same margin truncateContext keeps free
+const SAFETY_MARGIN_TOKENS = 500;
+// Summarize down to this share of the budget, so the next turns fit without a new summary
+const SUMMARY_TARGET_RATIO = 0.75;
+
+const SUMMARIZER_PROMPT = "You summarize conversations between a user and an AI assistant. " +
+  "Write a concise summary of the conversation so far that preserves the user's task and goals, " +
+  "decisions made, important facts, file names, code identifiers, tool results and open questions. " +
+  "If a previous summary is given, update it with the new messages. Output only the summary.";
+
+const summaryCache = new Map(); // prefix hash -> summary text
+
+function getSummarizerConfig() {
+  return {
+    model: null,
+    maxTokens: 512,
+    maxInputChars: 24000,
+    timeoutSeconds: 60,
+    cacheEntries: 200,
+    ...(config.context?.summarizer || {})
+  };
+}
+
+/**
+ * Compaction settings for a model: category overrides model, model overrides config
+ * @param {object} modelConfig - Model configuration from models.json
+ * @param {object} [categoryConfig] - lols-smart category configuration (object form)
+ * @returns {{ strategy: string, keepFirst: number, keepLast: number|null, maxToolResultTokens: number|null }}
+ */
+function resolveCompaction(modelConfig, categoryConfig) {
+  const settings = {
+    strategy: "drop-oldest",
+    keepFirst: 1,
+    keepLast: null,
+    maxToolResultTokens: null,
+    ...(config.context?.compaction || {}),
+    ...(modelConfig?.compaction || {}),
+    ...(categoryConfig?.compaction || {})
+  };
+
+  if (!STRATEGIES.includes(settings.strategy)) {
+    log.warn(`unknown compaction strategy '${settings.strategy}', using drop-oldest`);
+    settings.strategy = "drop-oldest";
+  }
+  return settings;
+}
+
+/**
+ * Hash of every conversation prefix: hashes[k] covers messages[0..k)
+ * Chained so each prefix costs one message of hashing
+ */
+function prefixHashes(conversation) {
+  const hashes = [crypto.createHash("sha1").digest("hex")];
+  for (const message of conversation) {
+    const previous = hashes[hashes.length - 1];
+    hashes.push(crypto.createHash("sha1").update(previous).update(JSON.stringify(message)).digest("hex"));
+  }
+  return hashes;
+}
+
+function cacheSummary(hash, summary) {
+  const { cacheEntries } = getSummarizerConfig();
+  summaryCache.delete(hash);
+  summaryCache.set(hash, summary);
+  while (summaryCache.size > cacheEntries) {
+    summaryCache.delete(summaryCache.keys().next().value);
+  }
+}
+
+function summaryMessage(summary, count) {
+  return {
+    role: "system",
+    content: `[Summary of the ${count} earlier messages in this conversation]\n${summary}`
+  };
+}
+
+/**
+ * Plain-text transcript of messages for the summarizer, in chunks of at most maxInputChars
+ */
+function transcriptChunks(messages, maxInputChars) {
+  const chunks = [];
+  let current = "";
+
+  for (const message of messages) {
+    let text = messageParts(message).text;
+    if (text.length > maxInputChars) {
+      text = text.slice(0, maxInputChars) + " […]";
+    }
+    const line = `${message.role}: ${text}\n\n`;
+    if (current && current.length + line.length > maxInputChars) {
+      chunks.push(current);
+      current = "";
+    }
+    current += line;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Send one summarization request to the router model or the configured summarizer model
+ */
+async function callSummarizer(previousSummary, transcript, settings) {
+  const content = previousSummary
+    ? `Previous summary:\n${previousSummary}\n\nNew messages:\n${transcript}`
+    : `Conversation:\n${transcript}`;
+  const payload = {
+    messages: [
+      { role: "system", content: SUMMARIZER_PROMPT },
+      { role: "user", content }
+    ],
+    max_tokens: settings.maxTokens,
+    temperature: 0.2,
+    stream: false
+  };
+  const signal = AbortSignal.timeout(settings.timeoutSeconds * 1000);
+
+  let response;
+  if (!settings.model) {
+    if (!isRouterRunning()) {
+      throw new Error("router model is not running");
+    }
+    response = await fetch(`http://127.0.0.1:${getRouterPort()}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+      signal
+    });
+  } else {
+    const modelConfig = getModelConfig(settings.model);
+    if (!modelConfig) {
+      throw new Error(`unknown summarizer model: ${settings.model}`);
+    }
+
+    if (modelConfig.type === "remote") {
+      response = await proxyToRemoteAPI(modelConfig, payload, { signal });
+    } else {
+      const { acquireModel } = require("./orchestrator");
+      const lease = await acquireModel(settings.model, modelConfig, { id: "summarizer" });
+      try {
+        response = await fetch(`http://127.0.0.1:${lease.port}/v1/chat/completions`, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify(payload),
+          signal
+        });
+        const result = await response.json();
+        return extractSummary(response, result);
+      } finally {
+        lease.release();
+      }
+    }
+  }
+
+  return extractSummary(response, await response.json());
+}
+
+function extractSummary(response, result) {
+  const text = result?.choices?.[0]?.message?.content;
+  if (!response.ok || typeof text !== "string" || !text.trim()) {
+    throw new Error(`summarizer returned ${response.status} without a summary`);
+  }
+  return text.trim();
+}
+
+/**
+ * Summarize conversation[from..to), continuing from the summary of conversation[0..from)
+ */
+async function summarizeRange(previousSummary, messages) {
+  const settings = getSummarizerConfig();
+  let summary = previousSummary;
+  for (const chunk of transcriptChunks(messages, settings.maxInputChars)) {
+    summary = await callSummarizer(summary, chunk, settings);
+  }
+  return summary;
+}
+
+/**
+ * summarize strategy: system messages, one summary message, then the most recent messages
+ */
+async function summarizeContext(messages, maxInputTokens, options) {
+  const countTokens = options.countTokens || countMessageTokens;
+  const fallback = () => truncateContext(messages, maxInputTokens, { ...options, strategy: "summarize" });
+
+  const systemMessages = messages.filter(m => m.role === "system");
+  let conversation = messages.filter(m => m.role !== "system");
+  const systemTokens = systemMessages.reduce((sum, msg) => sum + countTokens(msg), 0);
+  const available = maxInputTokens - systemTokens - SAFETY_MARGIN_TOKENS;
+
+  // suffixTokens[k] = tokens of conversation[k..]
+  const suffixSums = () => {
+    const sums = new Array(conversation.length + 1).fill(0);
+    for (let k = conversation.length - 1; k >= 0; k--) {
+      sums[k] = sums[k + 1] + countTokens(conversation[k]);
+    }
+    return sums;
+  };
+  let suffixTokens = suffixSums();
+
+  if (suffixTokens[0] <= available) {
+    return fallback(); // Fits: nothing removed
+  }
+
+  // Shorten oversized tool results before summarizing whole turns
+  let toolResultsShortened = 0;
+  if (options.maxToolResultTokens) {
+    const shrunk = shrinkToolResults(conversation, options.maxToolResultTokens, countTokens);
+    conversation = shrunk.messages;
+    toolResultsShortened = shrunk.shortened;
+    suffixTokens = suffixSums();
+  }
+
+  // Only cut before a message that is not a tool result (tool_calls stay with their results)
+  const boundaries = [];
+  for (let k = 1; k < conversation.length; k++) {
+    if (conversation[k].role !== "tool") boundaries.push(k);
+  }
+
+  const stats = (kept, summarized, summaryTokens, cached) => ({
+    original: messages.length,
+    truncated: systemMessages.length + 1 + kept.length,
+    removed: summarized,
+    systemTokens,
+    conversationTokens: summaryTokens + suffixTokens[conversation.length - kept.length],
+    limit: maxInputTokens,
+    tokenizer: options.tokenizer || "estimate",
+    strategy: "summarize",
+    toolResultsShortened,
+    summarized,
+    summaryCached: cached
+  });
+
+  const hashes = prefixHashes(conversation);
+
+  // Reuse the smallest cached summary that still leaves the rest within budget
+  for (const k of boundaries) {
+    const summary = summaryCache.get(hashes[k]);
+    if (summary === undefined) continue;
+    const message = summaryMessage(summary, k);
+    const summaryTokens = countTokens(message);
+    if (summaryTokens + suffixTokens[k] <= available) {
+      const kept = conversation.slice(k);
+      return {
+        messages: [...systemMessages, message, ...kept],
+        stats: stats(kept, k, summaryTokens, true)
+      };
+    }
+  }
+
+  // Summarize enough of the oldest messages to bring the rest under the target share
+  const { maxTokens } = getSummarizerConfig();
+  const target = Math.floor(available * SUMMARY_TARGET_RATIO) - maxTokens;
+  const cut = boundaries.find(k => suffixTokens[k] <= target) || boundaries[boundaries.length - 1];
+  if (!cut || suffixTokens[cut] + maxTokens > available) {
+    log.warn("latest messages alone exceed the budget; dropping instead of summarizing");
+    return fallback();
+  }
+
+  // Dry run (POST /v1/route): report the summary that would be written without calling the summarizer
+  if (options.dryRun) {
+    const kept = conversation.slice(cut);
+    return {
+      messages: [...systemMessages, summaryMessage("(not generated in a dry run)", cut), ...kept],
+      stats: { ...stats(kept, cut, maxTokens, false), dryRun: true }
+    };
+  }
+
+  // Continue from the longest cached summary of a shorter prefix
+  let from = 0;
+  let previousSummary = null;
+  for (const k of boundaries.filter(k => k < cut).reverse()) {
+    if (summaryCache.has(hashes[k])) {
+      from = k;
+      previousSummary = summaryCache.get(hashes[k]);
+      break;
+    }
+  }
+
+  try {
+    const startedAt = Date.now();
+    const summary = await summarizeRange(previousSummary, conversation.slice(from, cut));
+    cacheSummary(hashes[cut], summary);
+    log.info(`summarized ${cut} messages (${from ? `continuing from ${from}, ` : ""}${Date.now() - startedAt}ms)`);
+
+    const message = summaryMessage(summary, cut);
+    const kept = conversation.slice(cut);
+    return {
+      messages: [...systemMessages, message, ...kept],
+      stats: stats(kept, cut, countTokens(message), false)
+    };
+  } catch (err) {
+    log.warn("summarization failed, dropping oldest messages instead:", err.message);
+    const result = fallback();
+    result.stats.summaryError = err.message;
+    return result;
+  }
+}
+
+/**
+ * Shorten messages to fit maxInputTokens with the configured strategy
+ * @param {Array} messages - OpenAI-format messages
+ * @param {number} maxInputTokens - Input token budget
+ * @param {object} options - { countTokens, tokenizer, compaction, dryRun } (compaction from resolveCompaction;
+ *   dryRun skips the summarizer call)
+ * @returns {Promise<{ messages: Array, stats: object }>}
+ */
+async function compactContext(messages, maxInputTokens, options) {
+  const { strategy, keepFirst, keepLast, maxToolResultTokens } = options.compaction;
+  const truncateOptions = { countTokens: options.countTokens, tokenizer: options.tokenizer, strategy, maxToolResultTokens };
+
+  if (strategy === "summarize") {
+    return summarizeContext(messages, maxInputTokens, { ...truncateOptions, dryRun: options.dryRun });
+  }
+  if (strategy === "keep-first-and-last-N") {
+    return truncateContext(messages, maxInputTokens, { ...truncateOptions, keepFirst, keepLast });
+  }
+  return truncateContext(messages, maxInputTokens, truncateOptions);
+}
+
+module.exports = {
+  compactContext,
+  resolveCompaction,
+  STRATEGIES
+};
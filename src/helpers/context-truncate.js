@@ -7,8 +7,14 @@
  * - Keeps ALL system messages (role="system") - these define behavior
  * - Uses sliding window for user/assistant messages
  * - Keeps most recent messages (they're most relevant)
+ * - Optionally keeps the first messages too (keep-first-and-last-N)
+ * - Keeps tool_calls and their tool results together (never orphans a result)
+ * - Optionally shortens oversized tool results before dropping messages
  * - Adds truncation notice if messages were removed
  * - Handles multimodal content (text + images)
+ *
+ * Token counts come from options.countTokens (see tokenizer.js createMessageCounter)
+ * and fall back to the character estimate below.
  */
 
 /**
@@ -54,26 +60,97 @@ function countMessageTokens(message) {
   return tokens;
 }
 
+/**
+ * Split conversation messages into groups that must be kept or dropped together:
+ * a message plus the role="tool" results that follow it (an assistant message
+ * with tool_calls and its results). Dropping only part of a group leaves tool
+ * results without their tool_calls, which chat templates and remote APIs reject.
+ */
+function groupToolCalls(conversationMessages) {
+  const groups = [];
+  for (const msg of conversationMessages) {
+    if (msg.role === 'tool' && groups.length > 0) {
+      groups[groups.length - 1].push(msg);
+    } else {
+      groups.push([msg]);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Keep the head and tail of a long text with an elision marker in between
+ */
+function elideMiddle(text, keepChars) {
+  if (text.length <= keepChars) return text;
+  const head = Math.ceil(keepChars * 2 / 3);
+  const tail = keepChars - head;
+  const removed = text.length - head - tail;
+  return `${text.slice(0, head)}\n[… ${removed} characters elided …]\n${text.slice(text.length - tail)}`;
+}
+
+/**
+ * Shorten tool results over maxToolResultTokens to their head and tail
+ * @param {Array} messages - Conversation messages
+ * @param {number} maxToolResultTokens - Largest tool result kept as is
+ * @param {Function} countTokens - Token counter for a message
+ * @returns {{ messages: Array, shortened: number }}
+ */
+function shrinkToolResults(messages, maxToolResultTokens, countTokens = countMessageTokens) {
+  let shortened = 0;
+  const result = messages.map(msg => {
+    if (msg.role !== 'tool') return msg;
+    const tokens = countTokens(msg);
+    if (tokens <= maxToolResultTokens) return msg;
+
+    // Scale characters by the token ratio (counts are per message, so this is approximate)
+    const ratio = maxToolResultTokens / tokens;
+    const shrink = text => elideMiddle(text, Math.floor(text.length * ratio));
+
+    shortened++;
+    if (typeof msg.content === 'string') {
+      return { ...msg, content: shrink(msg.content) };
+    }
+    if (Array.isArray(msg.content)) {
+      return {
+        ...msg,
+        content: msg.content.map(item => (item.type === 'text' && item.text ? { ...item, text: shrink(item.text) } : item))
+      };
+    }
+    shortened--;
+    return msg;
+  });
+  return { messages: result, shortened };
+}
+
 /**
  * Truncate messages array to fit within maxInputTokens
  * 
  * @param {Array} messages - Original messages array
  * @param {number} maxInputTokens - Maximum tokens allowed for input
+ * @param {Object} [options] - { countTokens(message), tokenizer, strategy, keepFirst, keepLast, maxToolResultTokens }
+ *   tokenizer = source name for stats; strategy = name for stats ("drop-oldest" by default);
+ *   keepFirst = leading conversation messages always kept (task setup); keepLast = cap on recent messages kept;
+ *   maxToolResultTokens = shorten larger tool results before dropping messages
  * @returns {Object} { messages: Array, stats: Object }
  */
-function truncateContext(messages, maxInputTokens) {
+function truncateContext(messages, maxInputTokens, options = {}) {
+  const countTokens = options.countTokens || countMessageTokens;
+  const tokenizer = options.tokenizer || "estimate";
+  const strategy = options.strategy || "drop-oldest";
+
   if (!messages || !Array.isArray(messages)) {
     return { messages: [], stats: { original: 0, truncated: 0, removed: 0 } };
   }
   
   // Separate system messages from conversation
   const systemMessages = messages.filter(m => m.role === 'system');
-  const conversationMessages = messages.filter(m => m.role !== 'system');
+  let conversationMessages = messages.filter(m => m.role !== 'system');
   
   // Count tokens in system messages (these are always kept)
   let systemTokens = 0;
   for (const msg of systemMessages) {
-    systemTokens += countMessageTokens(msg);
+    systemTokens += countTokens(msg);
   }
   
   // Reserve tokens for output + safety margin (500 tokens)
@@ -90,41 +167,72 @@ function truncateContext(messages, maxInputTokens) {
         removed: conversationMessages.length,
         systemTokens,
         conversationTokens: 0,
-        limit: maxInputTokens
+        limit: maxInputTokens,
+        tokenizer,
+        strategy,
+        toolResultsShortened: 0
       }
     };
   }
   
+  // Over budget: shorten oversized tool results first, then drop whole groups
+  let totalConversationTokens = conversationMessages.reduce((sum, msg) => sum + countTokens(msg), 0);
+  let toolResultsShortened = 0;
+  if (totalConversationTokens > availableForConversation && options.maxToolResultTokens) {
+    const shrunk = shrinkToolResults(conversationMessages, options.maxToolResultTokens, countTokens);
+    conversationMessages = shrunk.messages;
+    toolResultsShortened = shrunk.shortened;
+    totalConversationTokens = conversationMessages.reduce((sum, msg) => sum + countTokens(msg), 0);
+  }
+
+  // keepLast only applies when messages have to be removed anyway
+  const keepLast = totalConversationTokens > availableForConversation ? (options.keepLast || Infinity) : Infinity;
+
+  const groups = groupToolCalls(conversationMessages);
+  const groupTokens = groups.map(group => group.reduce((sum, msg) => sum + countTokens(msg), 0));
+  let conversationTokens = 0;
+
+  // Leading groups that must survive (keep-first-and-last-N), as long as they fit
+  const keptFirst = [];
+  let firstGroups = 0;
+  const keepFirst = options.keepFirst || 0;
+  while (keptFirst.length < keepFirst && firstGroups < groups.length - 1) {
+    if (conversationTokens + groupTokens[firstGroups] > availableForConversation) break;
+    keptFirst.push(...groups[firstGroups]);
+    conversationTokens += groupTokens[firstGroups];
+    firstGroups++;
+  }
+
   // Build conversation from most recent backwards until we hit token limit
   const keptConversation = [];
-  let conversationTokens = 0;
   
-  for (let i = conversationMessages.length - 1; i >= 0; i--) {
-    const msg = conversationMessages[i];
-    const msgTokens = countMessageTokens(msg);
-    
-    // Check if adding this message would exceed limit
-    if (conversationTokens + msgTokens > availableForConversation) {
+  for (let i = groups.length - 1; i >= firstGroups; i--) {
+    // Check if adding this group would exceed limit
+    if (conversationTokens + groupTokens[i] > availableForConversation) {
+      break;
+    }
+    if (keptConversation.length > 0 && keptConversation.length + groups[i].length > keepLast) {
       break;
     }
     
-    keptConversation.unshift(msg); // Add to beginning (we're going backwards)
-    conversationTokens += msgTokens;
+    keptConversation.unshift(...groups[i]); // Add to beginning (we're going backwards)
+    conversationTokens += groupTokens[i];
   }
   
   // Build final messages array
   let finalMessages = [...systemMessages];
   
   // Add truncation notice if we removed messages
-  const removedCount = conversationMessages.length - keptConversation.length;
+  const removedCount = conversationMessages.length - keptFirst.length - keptConversation.length;
   if (removedCount > 0) {
+    const which = keptFirst.length > 0 ? "earlier" : "older";
     finalMessages.push({
       role: 'system',
-      content: `[Context truncated: ${removedCount} older messages removed to fit ${maxInputTokens} token limit. Conversation continues below.]`
+      content: `[Context truncated: ${removedCount} ${which} messages removed to fit ${maxInputTokens} token limit. Conversation continues below.]`
     });
   }
   
-  finalMessages = [...finalMessages, ...keptConversation];
+  finalMessages = [...finalMessages, ...keptFirst, ...keptConversation];
   
   return {
     messages: finalMessages,
@@ -134,13 +242,18 @@ function truncateContext(messages, maxInputTokens) {
       removed: removedCount,
       systemTokens,
       conversationTokens,
-      limit: maxInputTokens
+      limit: maxInputTokens,
+      tokenizer,
+      strategy,
+      toolResultsShortened
     }
   };
 }
 
 module.exports = {
   truncateContext,
+  groupToolCalls,
+  shrinkToolResults,
   estimateTokens,
   countMessageTokens
 };
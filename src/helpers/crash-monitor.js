@@ -0,0 +1,121 @@
+/**
+ * Crash Monitor
+ *
+ * Shared by the orchestrator (local models) and the router manager (routing model):
+ *
+ * - captureStderr keeps the last stderr lines of a llama/whisper process
+ *   (still forwarded to our stderr) so a crash can be reported with them
+ * - planRestart counts crashes per process and decides on a restart with
+ *   exponential backoff; more than crashRestart.maxRestarts crashes within
+ *   crashRestart.windowSeconds trip the crash-loop breaker
+ * - reportCrash logs the crash and sends a "modelCrashed" WebSocket event
+ */
+
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("crash");
+
+// Longest partial stderr line kept while waiting for its newline
+const MAX_PARTIAL_LINE = 4096;
+
+// Process key (model name or "router") -> timestamps of recent crashes
+const crashes = new Map();
+
+function settings() {
+  return {
+    enabled: true,
+    initialDelayMs: 1000,
+    maxDelayMs: 60000,
+    maxRestarts: 5,
+    windowSeconds: 600,
+    stderrLines: 20,
+    ...(config.crashRestart || {})
+  };
+}
+
+/**
+ * Forward a child process's piped stderr to ours and keep its last lines in proc.stderrTail
+ * @param {object} proc - execa child process started with stderr: "pipe"
+ * @returns {object} proc
+ */
+function captureStderr(proc) {
+  const maxLines = settings().stderrLines;
+  proc.stderrTail = [];
+  if (!proc.stderr) return proc;
+
+  let partial = "";
+  const keep = lines => {
+    proc.stderrTail.push(...lines.filter(line => line.trim() !== ""));
+    if (proc.stderrTail.length > maxLines) {
+      proc.stderrTail.splice(0, proc.stderrTail.length - maxLines);
+    }
+  };
+
+  proc.stderr.on("data", chunk => {
+    process.stderr.write(chunk);
+    const lines = (partial + chunk.toString()).split(/\r?\n/);
+    partial = lines.pop().slice(-MAX_PARTIAL_LINE);
+    keep(lines);
+  });
+  proc.stderr.on("end", () => keep([partial]));
+
+  return proc;
+}
+
+/**
+ * Exit code and signal from an execa result (exit 0) or error (non-zero exit, signal)
+ */
+function describeExit(exit) {
+  return {
+    exitCode: exit && typeof exit.exitCode === "number" ? exit.exitCode : null,
+    signal: (exit && exit.signal) || null
+  };
+}
+
+/**
+ * Count a crash (or a failed restart) and decide whether to restart
+ * @param {string} key - Model name, or "router" for the routing model
+ * @param {boolean} wanted - Whether the process should come back (pinned model, routing model)
+ * @returns {{ crashes: number, restartInMs: number|null, crashLoop: boolean }}
+ *   crashes within the window; restartInMs null when no restart follows
+ */
+function planRestart(key, wanted) {
+  const s = settings();
+  const now = Date.now();
+  const recent = (crashes.get(key) || []).filter(at => now - at < s.windowSeconds * 1000);
+  recent.push(now);
+  crashes.set(key, recent);
+
+  if (!wanted || !s.enabled) {
+    return { crashes: recent.length, restartInMs: null, crashLoop: false };
+  }
+  if (recent.length > s.maxRestarts) {
+    return { crashes: recent.length, restartInMs: null, crashLoop: true };
+  }
+  const delayMs = Math.min(s.initialDelayMs * 2 ** (recent.length - 1), s.maxDelayMs);
+  return { crashes: recent.length, restartInMs: delayMs, crashLoop: false };
+}
+
+/**
+ * Log a crash with its last stderr lines and broadcast it
+ * @param {object} details - { model, router, exitCode, signal, stderr, crashes, restartInMs, crashLoop }
+ */
+function reportCrash(details) {
+  const s = settings();
+  const how = details.signal ? `signal ${details.signal}` : `exit code ${details.exitCode}`;
+  log.error(`${details.model}${details.router ? " (router)" : ""} crashed (${how})`);
+  details.stderr.forEach(line => log.error(`  ${line}`));
+
+  if (details.restartInMs !== null) {
+    log.warn(`restarting ${details.model} in ${details.restartInMs}ms (crash ${details.crashes} within ${s.windowSeconds}s)`);
+  } else if (details.crashLoop) {
+    log.error(`${details.model} crashed ${details.crashes} times within ${s.windowSeconds}s - not restarting (crash loop)`);
+  }
+
+  if (global.broadcastModelCrashed) {
+    global.broadcastModelCrashed(details);
+  }
+}
+
+module.exports = { captureStderr, describeExit, planRestart, reportCrash };
@@ -0,0 +1,298 @@
+/**
+ * Model Download Manager
+ *
+ * Pre-fetches GGUF (all shards of a split model) and mmproj files into the
+ * llama.cpp cache, under the names llama-server's --hf-repo/--hf-file would use,
+ * so a model's first request no longer hangs in waitReady while llama-server
+ * downloads silently.
+ *
+ * - Resumable: data goes to "<file>.partial" and an interrupted download
+ *   continues with an HTTP Range request
+ * - Verified: sha256 from models.json ("sha256", "mmprojSha256") or from the
+ *   server's ETag when it is a sha256 (Hugging Face LFS files)
+ * - downloads.baseUrl replaces https://huggingface.co (local mirror, tests);
+ *   downloads.token (or HF_TOKEN) is sent for gated repos
+ * - Progress goes out as "downloadProgress" WebSocket events
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+const { fetch } = require("undici");
+const config = require("./config");
+const { getModelFilePath, getMmprojFilePath } = require("./llama");
+const { ggufShards } = require("./gguf");
+const { createLogger } = require("./logger");
+
+const log = createLogger("download");
+
+const SHA256 = /^[0-9a-f]{64}$/;
+
+// modelName -> job; finished jobs stay until the next download of that model
+const jobs = new Map();
+
+function settings() {
+  return {
+    auto: true,
+    baseUrl: "https://huggingface.co",
+    revision: "main",
+    token: process.env.HF_TOKEN || null,
+    verifyChecksum: true,
+    stallTimeoutMs: 60000,
+    progressIntervalMs: 1000,
+    ...(config.downloads || {})
+  };
+}
+
+/**
+ * Whether missing model files are downloaded on first use (downloads.auto, default true)
+ */
+function isAutoDownloadEnabled() {
+  return settings().auto !== false;
+}
+
+/**
+ * Files a model needs in the llama.cpp cache: every shard of the GGUF and the mmproj
+ * Models with a local "path" and models without repo/file need no download
+ * @returns {Array<{ file: string, url: string, path: string, sha256: string|null }>}
+ */
+function getDownloadFiles(model) {
+  if (!model || (model.type || "llama-cpp") !== "llama-cpp" || model.path || !model.repo || !model.file) {
+    return [];
+  }
+
+  const { baseUrl, revision } = settings();
+  const url = file => `${baseUrl.replace(/\/+$/, "")}/${model.repo}/resolve/${model.revision || revision}/${file}`;
+  const target = getModelFilePath(model);
+
+  const shards = ggufShards(model.file);
+  const files = shards
+    ? shards.files.map((file, i) => ({ file, url: url(file), path: ggufShards(target).files[i], sha256: null }))
+    : [{ file: model.file, url: url(model.file), path: target, sha256: model.sha256 || null }];
+
+  if (model.mmproj && !model.mmprojPath) {
+    files.push({ file: model.mmproj, url: url(model.mmproj), path: getMmprojFilePath(model), sha256: model.mmprojSha256 || null });
+  }
+  return files;
+}
+
+/**
+ * Files of a model that are not in the cache yet
+ */
+function getMissingFiles(model) {
+  return getDownloadFiles(model).filter(file => !fs.existsSync(file.path));
+}
+
+/**
+ * JSON-friendly view of a job for the API and WebSocket events
+ */
+function snapshot(job) {
+  const bytes = job.files.reduce((sum, file) => sum + file.bytes, 0);
+  const known = job.files.every(file => file.total !== null);
+  const total = known ? job.files.reduce((sum, file) => sum + file.total, 0) : null;
+  return {
+    model: job.model,
+    status: job.status,
+    bytes,
+    total,
+    percent: total ? Math.floor((bytes / total) * 1000) / 10 : null,
+    files: job.files.map(file => ({ file: file.file, path: file.path, status: file.status, bytes: file.bytes, total: file.total })),
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error
+  };
+}
+
+function broadcast(job) {
+  job.lastBroadcast = Date.now();
+  if (global.broadcastDownloadProgress) {
+    global.broadcastDownloadProgress(snapshot(job));
+  }
+}
+
+function requestHeaders(extra = {}) {
+  const { token } = settings();
+  return token ? { authorization: `Bearer ${token}`, ...extra } : extra;
+}
+
+/**
+ * sha256 the server publishes for a file (Hugging Face: X-Linked-Etag on the redirect, ETag otherwise)
+ */
+async function fetchExpectedSha256(url) {
+  try {
+    const res = await fetch(url, { method: "HEAD", redirect: "manual", headers: requestHeaders() });
+    const etag = (res.headers.get("x-linked-etag") || res.headers.get("etag") || "").replace(/^W\//, "").replace(/"/g, "");
+    return SHA256.test(etag) ? etag : null;
+  } catch {
+    return null;
+  }
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Download one file into "<path>.partial" (resuming what is there), verify it and move it into place
+ */
+async function downloadFile(job, file) {
+  const { stallTimeoutMs, progressIntervalMs, verifyChecksum } = settings();
+  const partial = `${file.path}.partial`;
+  fs.mkdirSync(path.dirname(file.path), { recursive: true });
+
+  const expected = file.sha256 || (verifyChecksum ? await fetchExpectedSha256(file.url) : null);
+  const offset = fs.existsSync(partial) ? fs.statSync(partial).size : 0;
+
+  const controller = new AbortController();
+  let stallTimer = null;
+  const resetStall = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => controller.abort(), stallTimeoutMs);
+  };
+
+  file.status = "downloading";
+  resetStall();
+  try {
+    const res = await fetch(file.url, {
+      headers: requestHeaders(offset > 0 ? { range: `bytes=${offset}-` } : {}),
+      signal: controller.signal
+    });
+
+    if (res.status === 416 && offset > 0) {
+      // Range past the end: the partial file is already complete
+      file.bytes = file.total = offset;
+    } else if (!res.ok) {
+      throw new Error(`${file.file}: HTTP ${res.status} from ${file.url}`);
+    } else {
+      const resumed = res.status === 206;
+      if (offset > 0) {
+        log.info(resumed ? `resuming ${file.file} at ${offset} bytes` : `${file.file}: server ignored the range, starting over`);
+      }
+      const length = parseInt(res.headers.get("content-length"), 10);
+      file.bytes = resumed ? offset : 0;
+      file.total = Number.isFinite(length) ? file.bytes + length : null;
+
+      const out = fs.createWriteStream(partial, { flags: resumed ? "a" : "w" });
+      try {
+        for await (const chunk of res.body) {
+          resetStall();
+          file.bytes += chunk.length;
+          if (!out.write(chunk)) await once(out, "drain");
+          if (Date.now() - job.lastBroadcast >= progressIntervalMs) broadcast(job);
+        }
+      } finally {
+        out.end();
+        await once(out, "close");
+      }
+      if (file.total === null) file.total = file.bytes;
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw new Error(`${file.file}: no data for ${stallTimeoutMs / 1000}s (download stalled; retry to resume)`);
+    }
+    if (err.cause) {
+      // undici reports network errors as "fetch failed"; the cause says what went wrong
+      throw new Error(`${file.file}: ${err.cause.code || err.cause.message} from ${file.url}`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(stallTimer);
+  }
+
+  if (expected) {
+    file.status = "verifying";
+    broadcast(job);
+    const actual = await sha256File(partial);
+    if (actual !== expected) {
+      fs.rmSync(partial, { force: true });
+      throw new Error(`${file.file}: checksum mismatch (expected ${expected}, got ${actual}); the partial file was removed`);
+    }
+  }
+
+  fs.renameSync(partial, file.path);
+  file.status = "done";
+}
+
+async function runJob(job, files) {
+  broadcast(job);
+  try {
+    for (const file of files) {
+      log.info(`${job.model}: downloading ${file.file}`);
+      await downloadFile(job, file);
+    }
+    job.status = "done";
+    log.success(`${job.model}: download complete`);
+  } catch (err) {
+    job.status = "error";
+    job.error = err.message;
+    const failed = job.files.find(file => file.status !== "done");
+    if (failed) failed.status = "error";
+    log.error(`${job.model}: download failed:`, err.message);
+  }
+  job.finishedAt = Date.now();
+  broadcast(job);
+  if (job.status === "error") {
+    throw new Error(`download of ${job.model} failed: ${job.error}`);
+  }
+  return snapshot(job);
+}
+
+/**
+ * Download a model's missing files; concurrent calls for the same model share one download
+ * @param {string} modelName - models.json name (for progress events and the job list)
+ * @param {object} model - Model configuration
+ * @returns {Promise<object>} Job snapshot once every file is in place; rejects when a file fails
+ */
+function downloadModel(modelName, model) {
+  const running = jobs.get(modelName);
+  if (running && running.promise && (running.status === "downloading" || running.status === "queued")) {
+    return running.promise;
+  }
+
+  const missing = getMissingFiles(model);
+  const job = {
+    model: modelName,
+    status: missing.length > 0 ? "downloading" : "done",
+    files: missing.map(file => ({ ...file, status: "queued", bytes: 0, total: null })),
+    startedAt: Date.now(),
+    finishedAt: missing.length > 0 ? null : Date.now(),
+    error: null,
+    lastBroadcast: 0,
+    promise: null
+  };
+  if (missing.length === 0) {
+    // Nothing to fetch; keep the last real download in the job list
+    return Promise.resolve(snapshot(job));
+  }
+
+  jobs.set(modelName, job);
+  job.promise = runJob(job, job.files);
+  job.promise.catch(() => {}); // Callers get the rejection; a fire-and-forget start must not crash the process
+  return job.promise;
+}
+
+/**
+ * Progress of a model's current or last download (null if none this session)
+ */
+function getDownload(modelName) {
+  const job = jobs.get(modelName);
+  return job ? snapshot(job) : null;
+}
+
+function getDownloads() {
+  return [...jobs.values()].map(snapshot);
+}
+
+module.exports = {
+  isAutoDownloadEnabled,
+  getDownloadFiles,
+  getMissingFiles,
+  downloadModel,
+  getDownload,
+  getDownloads
+};
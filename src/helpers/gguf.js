@@ -0,0 +1,220 @@
+/**
+ * GGUF Metadata Reader
+ *
+ * Reads the key/value metadata at the start of a GGUF file (version 2+)
+ * without touching tensor data, so multi-GB model files can be inspected
+ * cheaply. Used for the tokenizer vocabulary (tokenizer.ggml.*).
+ *
+ * Format: magic "GGUF", uint32 version, uint64 tensor count, uint64 KV count,
+ * then KV pairs of (string key, uint32 type, value). All little-endian.
+ */
+
+const fs = require("fs");
+
+const GGUF_MAGIC = 0x46554747; // "GGUF" read as little-endian uint32
+
+const TYPE = {
+  UINT8: 0,
+  INT8: 1,
+  UINT16: 2,
+  INT16: 3,
+  UINT32: 4,
+  INT32: 5,
+  FLOAT32: 6,
+  BOOL: 7,
+  STRING: 8,
+  ARRAY: 9,
+  UINT64: 10,
+  INT64: 11,
+  FLOAT64: 12
+};
+
+const FIXED_SIZE = {
+  [TYPE.UINT8]: 1,
+  [TYPE.INT8]: 1,
+  [TYPE.UINT16]: 2,
+  [TYPE.INT16]: 2,
+  [TYPE.UINT32]: 4,
+  [TYPE.INT32]: 4,
+  [TYPE.FLOAT32]: 4,
+  [TYPE.BOOL]: 1,
+  [TYPE.UINT64]: 8,
+  [TYPE.INT64]: 8,
+  [TYPE.FLOAT64]: 8
+};
+
+/**
+ * Sequential reader over a file descriptor with a growing read-ahead buffer
+ */
+class FileReader {
+  constructor(fd) {
+    this.fd = fd;
+    this.buffer = Buffer.alloc(0);
+    this.bufferStart = 0; // File offset of buffer[0]
+    this.pos = 0; // Absolute file offset
+  }
+
+  ensure(bytes) {
+    const offset = this.pos - this.bufferStart;
+    if (offset + bytes <= this.buffer.length) return;
+
+    const size = Math.max(bytes, 4 * 1024 * 1024);
+    const chunk = Buffer.alloc(size);
+    const read = fs.readSync(this.fd, chunk, 0, size, this.pos);
+    if (read < bytes) {
+      throw new Error("unexpected end of GGUF file");
+    }
+    this.buffer = chunk.subarray(0, read);
+    this.bufferStart = this.pos;
+  }
+
+  take(bytes) {
+    this.ensure(bytes);
+    const offset = this.pos - this.bufferStart;
+    this.pos += bytes;
+    return this.buffer.subarray(offset, offset + bytes);
+  }
+
+  skip(bytes) {
+    this.pos += bytes;
+  }
+
+  u32() { return this.take(4).readUInt32LE(0); }
+  u64() { return Number(this.take(8).readBigUInt64LE(0)); }
+
+  string() {
+    const length = this.u64();
+    return this.take(length).toString("utf8");
+  }
+}
+
+function readScalar(reader, type) {
+  switch (type) {
+    case TYPE.UINT8: return reader.take(1).readUInt8(0);
+    case TYPE.INT8: return reader.take(1).readInt8(0);
+    case TYPE.UINT16: return reader.take(2).readUInt16LE(0);
+    case TYPE.INT16: return reader.take(2).readInt16LE(0);
+    case TYPE.UINT32: return reader.take(4).readUInt32LE(0);
+    case TYPE.INT32: return reader.take(4).readInt32LE(0);
+    case TYPE.FLOAT32: return reader.take(4).readFloatLE(0);
+    case TYPE.BOOL: return reader.take(1).readUInt8(0) !== 0;
+    case TYPE.STRING: return reader.string();
+    case TYPE.UINT64: return Number(reader.take(8).readBigUInt64LE(0));
+    case TYPE.INT64: return Number(reader.take(8).readBigInt64LE(0));
+    case TYPE.FLOAT64: return reader.take(8).readDoubleLE(0);
+    default: throw new Error(`unknown GGUF value type ${type}`);
+  }
+}
+
+function readValue(reader, type, wanted) {
+  if (type !== TYPE.ARRAY) {
+    return readScalar(reader, type);
+  }
+
+  const itemType = reader.u32();
+  const count = reader.u64();
+
+  // Skip arrays nobody asked for without decoding them
+  if (!wanted) {
+    if (FIXED_SIZE[itemType]) {
+      reader.skip(count * FIXED_SIZE[itemType]);
+    } else {
+      for (let i = 0; i < count; i++) readValue(reader, itemType, false);
+    }
+    return undefined;
+  }
+
+  const items = new Array(count);
+  for (let i = 0; i < count; i++) {
+    items[i] = readValue(reader, itemType, true);
+  }
+  return items;
+}
+
+/**
+ * Read GGUF metadata
+ * @param {string} filePath - Path to a .gguf file
+ * @param {Function} [wantKey] - Predicate for keys whose array values should be decoded
+ *   (scalars are always returned; large arrays such as vocabularies are skipped unless wanted)
+ * @returns {{ version: number, tensorCount: number, metadata: object }}
+ */
+function readGgufMetadata(filePath, wantKey = () => false) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const reader = new FileReader(fd);
+
+    if (reader.u32() !== GGUF_MAGIC) {
+      throw new Error(`${filePath} is not a GGUF file`);
+    }
+    const version = reader.u32();
+    if (version < 2) {
+      throw new Error(`GGUF version ${version} is not supported`);
+    }
+
+    const tensorCount = reader.u64();
+    const kvCount = reader.u64();
+    const metadata = {};
+
+    for (let i = 0; i < kvCount; i++) {
+      const key = reader.string();
+      const type = reader.u32();
+      const value = readValue(reader, type, wantKey(key));
+      if (value !== undefined) {
+        metadata[key] = value;
+      }
+    }
+
+    return { version, tensorCount, metadata };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Split GGUF naming used by llama.cpp's gguf-split: <name>-00001-of-00003.gguf
+const SPLIT_PATTERN = /-(\d{5})-of-(\d{5})(\.gguf)$/i;
+
+/**
+ * Shards of a split GGUF model
+ * @param {string} filePath - Path of a .gguf file
+ * @returns {{ index: number, count: number, files: string[] }|null} 1-based index of this shard and
+ *   all shard paths in order, or null for a single-file model
+ */
+function ggufShards(filePath) {
+  const match = filePath.match(SPLIT_PATTERN);
+  if (!match) return null;
+
+  const count = parseInt(match[2], 10);
+  const files = Array.from({ length: count }, (_, i) =>
+    filePath.replace(SPLIT_PATTERN, `-${String(i + 1).padStart(5, "0")}-of-${match[2]}${match[3]}`)
+  );
+  return { index: parseInt(match[1], 10), count, files };
+}
+
+/**
+ * Problems with a local GGUF model file: missing file, missing shards, or a shard other than the first
+ * (llama.cpp loads the remaining shards from the first one)
+ * @returns {string[]} Empty when the model can be loaded from disk
+ */
+function checkGgufFiles(filePath) {
+  const shards = ggufShards(filePath);
+  if (!shards) {
+    return fs.existsSync(filePath) ? [] : [`model file not found: ${filePath}`];
+  }
+
+  const problems = [];
+  if (shards.index !== 1) {
+    problems.push(`${filePath} is shard ${shards.index} of ${shards.count}; point "path" at the first shard`);
+  }
+  const missing = shards.files.filter(file => !fs.existsSync(file));
+  if (missing.length > 0) {
+    problems.push(`missing ${missing.length} of ${shards.count} shard(s): ${missing.join(", ")}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  readGgufMetadata,
+  ggufShards,
+  checkGgufFiles,
+  GGUF_TYPE: TYPE
+};
@@ -2,6 +2,8 @@ const { execa } = require("execa");
 const { fetch } = require("undici");
 const fs = require("fs");
 const config = require("./config");
+const { checkGgufFiles } = require("./gguf");
+const { captureStderr } = require("./crash-monitor");
 
 function expandTilde(filepath) {
   if (filepath && filepath.startsWith("~/")) {
@@ -22,94 +24,250 @@ function getLlamaCache() {
   return expandTilde(path);
 }
 
-function startLlama(cfg) {
-  const LLAMA_BIN = getLlamaBin();
-  
-  // Check if binary exists before attempting to start
-  if (!fs.existsSync(LLAMA_BIN)) {
-    throw new Error(`llama-server binary not found at: ${LLAMA_BIN}`);
+/**
+ * Path of a model's GGUF file: its local "path", or where --hf-repo/--hf-file download it in the llama.cpp cache
+ * For split models this is the first shard
+ * @param {object} modelConfig - Model configuration with path, or repo and file
+ * @returns {string|null} Path, or null if the model has neither
+ */
+function getModelFilePath(modelConfig) {
+  if (!modelConfig) return null;
+  if (modelConfig.path) return config.resolvePath(modelConfig.path);
+  if (!modelConfig.repo || !modelConfig.file) return null;
+  const repoSlug = modelConfig.repo.replace(/\//g, "_");
+  const fileSlug = modelConfig.file.replace(/\//g, "_");
+  return require("path").join(getLlamaCache(), `${repoSlug}_${fileSlug}`);
+}
+
+/**
+ * Path of a vision model's projector: its local "mmprojPath", or the mmproj file in the llama.cpp cache
+ * @returns {string|null}
+ */
+function getMmprojFilePath(modelConfig) {
+  if (!modelConfig) return null;
+  if (modelConfig.mmprojPath) return config.resolvePath(modelConfig.mmprojPath);
+  if (!modelConfig.mmproj || !modelConfig.repo) return null;
+  const repoSlug = modelConfig.repo.replace(/\//g, "_");
+  const mmprojFile = modelConfig.mmproj.replace(/\//g, "_");
+  return `${getLlamaCache()}/${repoSlug}_${mmprojFile}`;
+}
+
+/**
+ * Check the local files of a model that is started from disk ("path" / "mmprojPath")
+ * Models downloaded from Hugging Face are not checked; llama-server fetches them
+ * @returns {string[]} Problems; empty when the model can be launched
+ */
+function checkModelFiles(cfg) {
+  const problems = [];
+  if (cfg.path) {
+    problems.push(...checkGgufFiles(getModelFilePath(cfg)));
   }
-  
+  if (cfg.mmprojPath && !fs.existsSync(getMmprojFilePath(cfg))) {
+    problems.push(`mmproj file not found: ${getMmprojFilePath(cfg)}`);
+  }
+  return problems;
+}
+
+/**
+ * GPU settings for a model: its models.json "gpu" block over config.llama.gpu
+ * performance.gpuLayers is accepted as an older spelling of gpu.layers
+ * @param {object} cfg - Model or launch configuration
+ * @returns {{ enabled: boolean, layers: number, device: number, tensorSplit: number[]|null,
+ *   cpuMoe: boolean|number, mlock: boolean, mmap: boolean, source: string }} source is "model" or "global"
+ */
+function resolveGpuSettings(cfg) {
+  const shared = config.llama?.gpu || {};
+  const own = { ...(cfg?.gpu || {}) };
+  if (own.layers === undefined && cfg?.performance?.gpuLayers !== undefined) {
+    own.layers = cfg.performance.gpuLayers;
+  }
+
+  return {
+    enabled: (own.enabled ?? shared.enabled) !== false,
+    layers: own.layers ?? shared.layers ?? -1,
+    device: own.device ?? shared.device ?? 0,
+    tensorSplit: own.tensorSplit ?? shared.tensorSplit ?? null,
+    cpuMoe: own.cpuMoe ?? false,
+    mlock: own.mlock ?? shared.mlock ?? false,
+    mmap: own.mmap ?? shared.mmap ?? true,
+    source: Object.keys(own).length > 0 ? "model" : "global"
+  };
+}
+
+/**
+ * Check GPU settings against the GPUs nvidia-smi reported
+ * @param {object} gpu - Result of resolveGpuSettings
+ * @param {Array<{ index: number, name: string }>} gpus - Detected GPUs (empty when unknown; nothing is checked)
+ * @returns {string[]} Problems; empty when the settings fit
+ */
+function checkGpuSettings(gpu, gpus) {
+  if (!gpu.enabled || !gpus || gpus.length === 0) return [];
+
+  const problems = [];
+  if (!gpus.some(g => g.index === gpu.device)) {
+    problems.push(`GPU ${gpu.device} not found (detected: ${gpus.map(g => g.index).join(", ")})`);
+  }
+  if (gpu.tensorSplit && gpu.tensorSplit.length > gpus.length) {
+    problems.push(`tensorSplit has ${gpu.tensorSplit.length} entries but only ${gpus.length} GPU(s) were detected`);
+  }
+  return problems;
+}
+
+// Flags lols-router adds on its own; "builtinArgs" in config.llama or a model turns them off (false) or changes the value
+const BUILTIN_ARGS = {
+  jinja: true,            // --jinja (built-in chat template)
+  overrideContext: true,  // --override-kv <arch>.context_length=<context> so slots use the full context
+  cacheRam: 16384,        // --cache-ram MB (prompt cache)
+  cacheReuse: 2048        // --cache-reuse N (KV shifting), only with "performance" settings
+};
+
+/**
+ * Built-in flags for a model: BUILTIN_ARGS < config.llama.builtinArgs < the model's builtinArgs
+ */
+function resolveBuiltinArgs(cfg) {
+  const resolved = { ...BUILTIN_ARGS, ...(config.llama?.builtinArgs || {}), ...(cfg?.builtinArgs || {}) };
+  for (const key of Object.keys(BUILTIN_ARGS)) {
+    if (resolved[key] === true) resolved[key] = BUILTIN_ARGS[key]; // true keeps the default value
+  }
+  return resolved;
+}
+
+/**
+ * Resolve the llama-server command for a launch configuration without starting it
+ * Extra arguments (config.llama.extraArgs, then the model's extraArgs) come last, so for
+ * single-value options they win over the flags generated here
+ * @param {object} cfg - Launch configuration (see buildLaunchConfig in orchestrator.js)
+ * @returns {{ bin: string, args: string[], env: object, notes: string[] }} env holds only the
+ *   variables set on top of process.env; notes are the launch log lines
+ */
+function buildLlamaCommand(cfg) {
+  const builtin = resolveBuiltinArgs(cfg);
+  const notes = [];
   const args = [
     "--host", "127.0.0.1",
-    "--port", String(cfg.port),
-    "--hf-repo", cfg.repo,
-    "--hf-file", cfg.file
+    "--port", String(cfg.port)
   ];
   
-  args.push("--jinja");
-  console.log("[llama] Using built-in chat template (jinja)");
+  // Local GGUF file (split models: the first shard) or a Hugging Face download into the llama.cpp cache
+  if (cfg.path) {
+    const modelPath = getModelFilePath(cfg);
+    args.push("--model", modelPath);
+    notes.push(`Local model file: ${modelPath}`);
+  } else {
+    args.push("--hf-repo", cfg.repo, "--hf-file", cfg.file);
+  }
+  
+  if (builtin.jinja) {
+    args.push("--jinja");
+    notes.push("Using built-in chat template (jinja)");
+  }
+
+  // Embeddings endpoint (semantic routing); llama-server then serves embeddings only
+  if (cfg.embedding) {
+    args.push("--embeddings");
+    if (cfg.pooling) {
+      args.push("--pooling", cfg.pooling);
+    }
+    notes.push(`Embeddings enabled, pooling: ${cfg.pooling || "model default"}`);
+  }
   
   // Add context size if specified
   if (cfg.context) {
     args.push("-c", String(cfg.context));
-    console.log("[llama] Context size:", cfg.context);
+    notes.push(`Context size: ${cfg.context}`);
     
     // Override model metadata to force slots to use full context
-    const overrides = [
-      `llama.context_length=int:${cfg.context}`,
-      `qwen2.context_length=int:${cfg.context}`
-    ].join(",");
-    args.push("--override-kv", overrides);
-    console.log("[llama] Overriding model context metadata to:", cfg.context);
+    if (builtin.overrideContext) {
+      const overrides = [
+        `llama.context_length=int:${cfg.context}`,
+        `qwen2.context_length=int:${cfg.context}`
+      ].join(",");
+      args.push("--override-kv", overrides);
+      notes.push(`Overriding model context metadata to: ${cfg.context}`);
+    }
   }
   
-  // Enable prompt caching with larger limit for better cache hits
-  // Default is 8GB, but we can increase it if needed
-  args.push("--cache-ram", "16384"); // 16GB cache (more = better hit rate)
-  console.log("[llama] Prompt cache size:", "16GB");
+  // Prompt cache size (more = better hit rate); llama-server defaults to 8GB without the flag
+  if (builtin.cacheRam) {
+    args.push("--cache-ram", String(builtin.cacheRam));
+    notes.push(`Prompt cache size: ${builtin.cacheRam} MB`);
+  }
   
   // Sampling parameters (model-specific defaults)
   if (cfg.temperature !== undefined) {
     args.push("--temp", String(cfg.temperature));
-    console.log("[llama] Temperature:", cfg.temperature);
+    notes.push(`Temperature: ${cfg.temperature}`);
   }
   
   if (cfg.topP !== undefined) {
     args.push("--top-p", String(cfg.topP));
-    console.log("[llama] Top-p:", cfg.topP);
+    notes.push(`Top-p: ${cfg.topP}`);
   }
   
   if (cfg.minP !== undefined) {
     args.push("--min-p", String(cfg.minP));
-    console.log("[llama] Min-p:", cfg.minP);
+    notes.push(`Min-p: ${cfg.minP}`);
   }
   
   if (cfg.repeatPenalty !== undefined) {
     args.push("--repeat-penalty", String(cfg.repeatPenalty));
-    console.log("[llama] Repeat penalty:", cfg.repeatPenalty);
+    notes.push(`Repeat penalty: ${cfg.repeatPenalty}`);
   }
   
-  // Add mmproj for vision models (use cached file path)
-  if (cfg.mmproj) {
-    const cacheDir = getLlamaCache();
-    const repoSlug = cfg.repo.replace(/\//g, "_");
-    const mmprojFile = cfg.mmproj.replace(/\//g, "_");
-    const mmprojPath = `${cacheDir}/${repoSlug}_${mmprojFile}`;
+  // Add mmproj for vision models (local mmprojPath, or the cached file next to the model)
+  if (cfg.mmprojPath) {
+    const mmprojPath = getMmprojFilePath(cfg);
+    args.push("--mmproj", mmprojPath);
+    notes.push(`Starting vision model with mmproj: ${mmprojPath}`);
+  } else if (cfg.mmproj) {
+    const mmprojPath = getMmprojFilePath(cfg);
     
     // Check if mmproj file exists in cache
     if (fs.existsSync(mmprojPath)) {
       args.push("--mmproj");
       args.push(mmprojPath);
-      console.log("[llama] Starting vision model with mmproj:", mmprojPath);
+      notes.push(`Starting vision model with mmproj: ${mmprojPath}`);
     } else {
-      console.log("[llama] Warning: mmproj file not found in cache:", mmprojPath);
-      console.log("[llama] Please download it manually or the model may not support images");
+      notes.push(`Warning: mmproj file not found in cache: ${mmprojPath}`);
+      notes.push("Please download it manually or the model may not support images");
     }
   }
   
-  // GPU configuration (enabled by default)
-  const gpuEnabled = config.llama?.gpu?.enabled !== false; // Default: true
-  const gpuLayers = config.llama?.gpu?.layers ?? -1; // Default: -1 (all layers)
-  const gpuDevice = config.llama?.gpu?.device ?? 0; // Default: 0
+  // GPU configuration: models.json "gpu" over config.llama.gpu (enabled, all layers on device 0 by default)
+  const gpu = resolveGpuSettings(cfg);
+  const gpuEnabled = gpu.enabled;
   
   if (!gpuEnabled) {
     args.push("-ngl", "0");
-    console.log("[llama] GPU disabled via config (CPU-only mode)");
+    notes.push("GPU disabled via config (CPU-only mode)");
   } else {
-    args.push("-ngl", String(gpuLayers));
-    args.push("--main-gpu", String(gpuDevice));
-    console.log("[llama] GPU enabled, layers:", gpuLayers === -1 ? "all" : gpuLayers, "device:", gpuDevice);
+    args.push("-ngl", String(gpu.layers));
+    args.push("--main-gpu", String(gpu.device));
+    notes.push(`GPU enabled, layers: ${gpu.layers === -1 ? "all" : gpu.layers} device: ${gpu.device}`);
+    
+    // Share of the model per GPU, e.g. [3, 1]
+    if (gpu.tensorSplit) {
+      args.push("--tensor-split", gpu.tensorSplit.join(","));
+      notes.push(`Tensor split: ${gpu.tensorSplit.join(",")}`);
+    }
+    
+    // Keep MoE expert weights on the CPU (true = all layers, N = the first N layers)
+    if (gpu.cpuMoe === true) {
+      args.push("--cpu-moe");
+      notes.push("MoE experts on CPU: all layers");
+    } else if (gpu.cpuMoe > 0) {
+      args.push("--n-cpu-moe", String(gpu.cpuMoe));
+      notes.push(`MoE experts on CPU: first ${gpu.cpuMoe} layers`);
+    }
+  }
+  
+  if (gpu.mlock) {
+    args.push("--mlock");
+    notes.push("Model locked in RAM (mlock)");
+  }
+  if (gpu.mmap === false) {
+    args.push("--no-mmap");
+    notes.push("Memory mapping disabled (no-mmap)");
   }
   
   // Performance optimization parameters
@@ -119,69 +277,121 @@ function startLlama(cfg) {
     // Flash attention (for Ada Lovelace and newer GPUs)
     if (perf.flashAttention && gpuEnabled) {
       args.push("--flash-attn", "on");
-      console.log("[llama] Flash attention enabled");
+      notes.push("Flash attention enabled");
     }
     
     // Batch size (affects throughput)
     if (perf.batch) {
       args.push("-b", String(perf.batch));
-      console.log("[llama] Batch size:", perf.batch);
+      notes.push(`Batch size: ${perf.batch}`);
     }
     
     // Micro-batch size (affects memory and speed)
     if (perf.ubatch) {
       args.push("-ub", String(perf.ubatch));
-      console.log("[llama] Micro-batch size:", perf.ubatch);
+      notes.push(`Micro-batch size: ${perf.ubatch}`);
     }
     
     // CPU threads
     if (perf.threads) {
       args.push("-t", String(perf.threads));
-      console.log("[llama] CPU threads:", perf.threads);
+      notes.push(`CPU threads: ${perf.threads}`);
     }
     
     // Parallel request slots
     if (perf.parallel) {
       args.push("-np", String(perf.parallel));
-      console.log("[llama] Parallel slots:", perf.parallel);
+      notes.push(`Parallel slots: ${perf.parallel}`);
     }
     
     // Continuous batching (enabled by default in newer llama.cpp)
     if (perf.contBatching) {
       args.push("--cont-batching");
-      console.log("[llama] Continuous batching enabled");
+      notes.push("Continuous batching enabled");
     }
     
     // Cache reuse via KV shifting: helps when OpenClaw sends growing conversation history
     // Minimum chunk size to attempt reusing from cache (default: 0 = disabled)
     // Setting to 2048 means: reuse cache if at least 2048 tokens match from prefix
-    args.push("--cache-reuse", "2048");
-    console.log("[llama] Cache reuse enabled (min chunk: 2048 tokens)");
+    if (builtin.cacheReuse) {
+      args.push("--cache-reuse", String(builtin.cacheReuse));
+      notes.push(`Cache reuse enabled (min chunk: ${builtin.cacheReuse} tokens)`);
+    }
     
     // KV cache type for keys (f16 saves memory vs f32)
     if (perf.cacheTypeK) {
       args.push("--cache-type-k", perf.cacheTypeK);
-      console.log("[llama] KV cache type (keys):", perf.cacheTypeK);
+      notes.push(`KV cache type (keys): ${perf.cacheTypeK}`);
     }
     
     // KV cache type for values (f16 saves memory vs f32)
     if (perf.cacheTypeV) {
       args.push("--cache-type-v", perf.cacheTypeV);
-      console.log("[llama] KV cache type (values):", perf.cacheTypeV);
+      notes.push(`KV cache type (values): ${perf.cacheTypeV}`);
     }
   }
   
+  // Passthrough for options lols-router has no setting for
+  const extraArgs = [...(config.llama?.extraArgs || []), ...(cfg.extraArgs || [])].map(String);
+  if (extraArgs.length > 0) {
+    args.push(...extraArgs);
+    notes.push(`Extra arguments: ${extraArgs.join(" ")}`);
+  }
+  
+  const env = {
+    LLAMA_CACHE: getLlamaCache(),
+    ...stringValues(config.llama?.env),
+    ...stringValues(cfg.env)
+  };
+  const envNames = Object.keys(env).filter(name => name !== "LLAMA_CACHE");
+  if (envNames.length > 0) {
+    notes.push(`Extra environment: ${envNames.join(", ")}`);
+  }
+  
+  return { bin: getLlamaBin(), args, env, notes };
+}
+
+function stringValues(map) {
+  return Object.fromEntries(Object.entries(map || {}).map(([name, value]) => [name, String(value)]));
+}
+
+/**
+ * Shell-style rendering of a command for logs and previews
+ */
+function formatCommand(bin, args) {
+  return [bin, ...args].map(part => (/^[\w@%+=:,./-]+$/.test(part) ? part : `'${part.replace(/'/g, "'\\''")}'`)).join(" ");
+}
+
+function startLlama(cfg) {
+  const { bin: LLAMA_BIN, args, env, notes } = buildLlamaCommand(cfg);
+  
+  // Check if binary exists before attempting to start
+  if (!fs.existsSync(LLAMA_BIN)) {
+    throw new Error(`llama-server binary not found at: ${LLAMA_BIN}`);
+  }
+  
+  // Local model files must be in place; llama-server would only exit with a load error
+  const fileProblems = checkModelFiles(cfg);
+  if (fileProblems.length > 0) {
+    throw new Error(fileProblems.join("; "));
+  }
+  
+  notes.forEach(note => console.log("[llama]", note));
+  
+  // stderr is piped (and forwarded) so crash reports can include its last lines
   const proc = execa(
     LLAMA_BIN,
     args,
     {
-      stdio: "inherit",
+      stdio: ["inherit", "inherit", "pipe"],
+      buffer: false,
       env: {
         ...process.env,
-        LLAMA_CACHE: getLlamaCache()
+        ...env
       }
     }
   );
+  captureStderr(proc);
   
   // Handle process errors to prevent uncaught exceptions
   proc.catch(err => {
@@ -198,16 +408,22 @@ async function stopLlama(proc) {
   } catch {}
 }
 
-async function waitReady(port) {
+/**
+ * Poll until the server answers on its port
+ * @param {number} port - Port to poll
+ * @param {AbortSignal} [signal] - Stops polling (e.g. when the process already exited)
+ */
+async function waitReady(port, signal) {
   const base = "http://127.0.0.1:" + port;
 
-  for (;;) {
+  while (!signal || !signal.aborted) {
     try {
       const r = await fetch(base + "/v1/models", { method: "GET" });
       if (r.ok) return;
     } catch {}
     await new Promise(r => setTimeout(r, 150));
   }
+  throw new Error("waitReady aborted");
 }
 
 async function isLlamaOnPort(port) {
@@ -221,4 +437,17 @@ async function isLlamaOnPort(port) {
   }
 }
 
-module.exports = { startLlama, stopLlama, waitReady, isLlamaOnPort };
+module.exports = {
+  startLlama,
+  stopLlama,
+  waitReady,
+  isLlamaOnPort,
+  getLlamaCache,
+  getModelFilePath,
+  getMmprojFilePath,
+  checkModelFiles,
+  resolveGpuSettings,
+  checkGpuSettings,
+  buildLlamaCommand,
+  formatCommand
+};
@@ -0,0 +1,263 @@
+/**
+ * Prometheus Metrics
+ *
+ * Small in-process registry (counters, gauges, histograms) rendered in the
+ * Prometheus text exposition format by GET /metrics. Request, routing and
+ * orchestrator code records into it; system gauges (VRAM/CPU/RAM, queue,
+ * resident models) are collected at scrape time.
+ */
+
+const { getSystemMetrics } = require("./system-metrics");
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = "") {
+  const parts = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function labelValues(names, labels = {}) {
+  return names.map(name => (labels[name] === undefined || labels[name] === null ? "" : labels[name]));
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // JSON label values -> value or histogram state
+    registry.push(this);
+  }
+
+  key(labels) {
+    return JSON.stringify(labelValues(this.labelNames, labels));
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    const key = this.key(labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, value] of this.series) {
+      out += `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}\n`;
+    }
+    return out;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.series.set(this.key(labels), value);
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, value] of this.series) {
+      out += `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}\n`;
+    }
+    return out;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let state = this.series.get(key);
+    if (!state) {
+      state = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, state);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) state.counts[i]++;
+    });
+    state.sum += value;
+    state.count++;
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, state] of this.series) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        out += `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${state.counts[i]}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${state.count}\n`;
+      out += `${this.name}_sum${formatLabels(this.labelNames, values)} ${state.sum}\n`;
+      out += `${this.name}_count${formatLabels(this.labelNames, values)} ${state.count}\n`;
+    }
+    return out;
+  }
+}
+
+// Requests
+const requestsTotal = new Counter("lols_requests_total", "Chat requests by endpoint, model, category and HTTP status", ["endpoint", "model", "category", "status"]);
+const requestDuration = new Histogram("lols_request_duration_seconds", "Total chat request duration", ["model"], [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+const firstTokenDuration = new Histogram("lols_time_to_first_token_seconds", "Time until the first upstream byte (includes queue and model load)", ["model"], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]);
+const tokensTotal = new Counter("lols_tokens_total", "Tokens reported by upstream models", ["model", "type"]);
+const tokensPerSecond = new Histogram("lols_tokens_per_second", "Completion tokens per second of generation time", ["model"], [1, 5, 10, 20, 40, 60, 80, 120, 200]);
+const fallbacksTotal = new Counter("lols_fallbacks_total", "Requests answered by a fallback model", ["from", "to"]);
+
+// Routing classifier
+const classificationsTotal = new Counter("lols_router_classifications_total", "lols-smart routing classifications by outcome and category", ["outcome", "category"]);
+const classificationDuration = new Histogram("lols_router_classification_duration_seconds", "Routing model call duration", [], [0.05, 0.1, 0.25, 0.5, 1, 2, 5]);
+
+// Orchestrator
+const modelLoadsTotal = new Counter("lols_model_loads_total", "Model process starts by outcome", ["model", "outcome"]);
+const modelLoadDuration = new Histogram("lols_model_load_duration_seconds", "Time to start a model until it answers health checks", ["model"], [1, 5, 10, 20, 30, 60, 120, 300]);
+const modelUnloadsTotal = new Counter("lols_model_unloads_total", "Models unloaded (evicted or stopped)", ["model"]);
+const gpuLockWait = new Histogram("lols_gpu_lock_wait_seconds", "Time spent waiting for the GPU lock", [], [0.01, 0.1, 0.5, 1, 5, 10, 30, 60, 120]);
+
+// Collected at scrape time
+const queueDepth = new Gauge("lols_gpu_queue_depth", "Tasks waiting for the GPU lock", []);
+const residentModels = new Gauge("lols_models_resident", "Models currently resident", []);
+const modelInFlight = new Gauge("lols_model_in_flight_requests", "Requests in flight per resident model", ["model"]);
+const vramUsed = new Gauge("lols_gpu_vram_used_megabytes", "GPU memory used", ["gpu", "name"]);
+const vramTotal = new Gauge("lols_gpu_vram_total_megabytes", "GPU memory total", ["gpu", "name"]);
+const gpuTemperature = new Gauge("lols_gpu_temperature_celsius", "GPU temperature", ["gpu", "name"]);
+const processVram = new Gauge("lols_model_vram_megabytes", "GPU memory used per model process", ["model", "pid"]);
+const cpuUsage = new Gauge("lols_cpu_usage_percent", "CPU usage", []);
+const memoryUsed = new Gauge("lols_memory_used_megabytes", "System memory used", []);
+const memoryTotal = new Gauge("lols_memory_total_megabytes", "System memory total", []);
+
+/**
+ * Record a finished chat request from its audit log record
+ * @param {object} record - Record from audit-log createRecord()/finishRecord()
+ */
+function observeRequest(record) {
+  // record.model is only set once the request resolved to a models.json entry; the client's
+  // model string never becomes a label value (unbounded cardinality)
+  const model = record.model || "unknown";
+  requestsTotal.inc({ endpoint: record.endpoint, model, category: record.category, status: record.status });
+
+  if (record.latency.totalMs !== null) {
+    requestDuration.observe({ model }, record.latency.totalMs / 1000);
+  }
+  if (record.latency.firstTokenMs !== null) {
+    firstTokenDuration.observe({ model }, record.latency.firstTokenMs / 1000);
+  }
+  if (record.fallbackFrom) {
+    fallbacksTotal.inc({ from: record.fallbackFrom, to: model });
+  }
+
+  if (record.usage) {
+    tokensTotal.inc({ model, type: "prompt" }, record.usage.prompt_tokens);
+    tokensTotal.inc({ model, type: "completion" }, record.usage.completion_tokens);
+
+    // Generation time: streaming from first chunk to end, otherwise everything after queue and load
+    const { totalMs, firstTokenMs, queueMs, loadMs } = record.latency;
+    const generationMs = record.stream && firstTokenMs !== null ? totalMs - firstTokenMs : totalMs - queueMs - loadMs;
+    if (record.usage.completion_tokens > 0 && generationMs > 0) {
+      tokensPerSecond.observe({ model }, record.usage.completion_tokens / (generationMs / 1000));
+    }
+  }
+}
+
+/**
+ * Record one lols-smart classification
+ * @param {string} outcome - "rule", "embedding", "embedding_error", "classified", "invalid_category", "http_error", "error" or "unavailable"
+ * @param {string} category - Category used for routing
+ * @param {number} [durationMs] - Routing model call duration (omitted when it was not called)
+ */
+function observeClassification(outcome, category, durationMs) {
+  classificationsTotal.inc({ outcome, category });
+  if (durationMs !== undefined) {
+    classificationDuration.observe({}, durationMs / 1000);
+  }
+}
+
+function observeModelLoad(model, success, durationMs) {
+  modelLoadsTotal.inc({ model, outcome: success ? "success" : "failure" });
+  if (success) {
+    modelLoadDuration.observe({ model }, durationMs / 1000);
+  }
+}
+
+function observeModelUnload(model) {
+  modelUnloadsTotal.inc({ model });
+}
+
+function observeGpuLockWait(durationMs) {
+  gpuLockWait.observe({}, durationMs / 1000);
+}
+
+/**
+ * Refresh scrape-time gauges
+ */
+async function collectGauges() {
+  const orchestrator = require("./orchestrator");
+
+  const queue = orchestrator.getQueueStatus();
+  queueDepth.set({}, queue.depth);
+
+  const resident = orchestrator.getResidentModels();
+  residentModels.set({}, resident.length);
+  modelInFlight.reset();
+  resident.forEach(entry => modelInFlight.set({ model: entry.name }, entry.inFlight || 0));
+
+  const system = await getSystemMetrics();
+  [vramUsed, vramTotal, gpuTemperature, processVram].forEach(gauge => gauge.reset());
+  system.vram.forEach(gpu => {
+    const labels = { gpu: gpu.index, name: gpu.name };
+    vramUsed.set(labels, gpu.used);
+    vramTotal.set(labels, gpu.total);
+    if (!Number.isNaN(gpu.temp)) gpuTemperature.set(labels, gpu.temp);
+  });
+  system.processes.forEach(proc => {
+    processVram.set({ model: proc.modelName || proc.name, pid: proc.pid }, proc.vram);
+  });
+  cpuUsage.set({}, system.cpu.percent);
+  memoryUsed.set({}, system.ram.used);
+  memoryTotal.set({}, system.ram.total);
+}
+
+/**
+ * Render all metrics in Prometheus text format
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  await collectGauges();
+  return registry.map(metric => metric.render()).join("");
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  observeRequest,
+  observeClassification,
+  observeModelLoad,
+  observeModelUnload,
+  observeGpuLockWait,
+  renderMetrics
+};
@@ -0,0 +1,183 @@
+/**
+ * Model Cache Inventory
+ *
+ * Maps models.json entries to the files they use in the llama.cpp cache and the
+ * whisper.cpp models directory, lists what is on disk (size, referencing models,
+ * last use) and removes files. Used by GET/DELETE /admin/cache, the web UI's
+ * disk usage panel and scripts/cleanup-models.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getLlamaCache, getModelFilePath, getMmprojFilePath } = require("./llama");
+const { getWhisperModels } = require("./whisper");
+const { getDownloadFiles } = require("./downloader");
+const { ggufShards } = require("./gguf");
+
+// Model weights; ".partial" files are downloads in progress (or interrupted ones)
+const MODEL_FILE = /\.(gguf|bin)(\.partial)?$/;
+
+function modelDefinitions(modelsConfig) {
+  return modelsConfig.models || modelsConfig["llama-models"] || {};
+}
+
+/**
+ * Files each model uses, by absolute path
+ * @param {object} modelsConfig - Parsed models.json
+ * @returns {Map<string, string[]>} file path -> names of the models that use it
+ */
+function getReferencedFiles(modelsConfig) {
+  const referenced = new Map();
+  const add = (filePath, modelName) => {
+    if (!filePath) return;
+    const users = referenced.get(filePath) || [];
+    if (!users.includes(modelName)) users.push(modelName);
+    referenced.set(filePath, users);
+  };
+
+  for (const [modelName, model] of Object.entries(modelDefinitions(modelsConfig))) {
+    const type = model.type || "llama-cpp";
+    if (type === "llama-cpp" && model.path) {
+      // Local files only show up here when they live in one of the scanned directories
+      const shards = ggufShards(getModelFilePath(model));
+      (shards ? shards.files : [getModelFilePath(model)]).forEach(file => add(file, modelName));
+      add(getMmprojFilePath(model), modelName);
+    } else if (type === "llama-cpp") {
+      getDownloadFiles(model).forEach(file => add(file.path, modelName));
+    } else if (type === "whisper-cpp" && model.file) {
+      add(path.join(getWhisperModels(), model.file), modelName);
+    }
+  }
+  return referenced;
+}
+
+function diskUsage(dir) {
+  try {
+    const stats = fs.statfsSync(dir);
+    return { size: stats.blocks * stats.bsize, free: stats.bavail * stats.bsize };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Model files in the llama.cpp cache and the whisper.cpp models directory
+ * @param {object} modelsConfig - Parsed models.json
+ * @param {object} options
+ * @param {Array<{ name: string, lastUsed?: number, router?: boolean }>} options.running - Loaded models (resident models, the router)
+ * @returns {{ dirs: object[], files: object[], totalBytes: number, referencedBytes: number, unreferencedBytes: number }}
+ *   Files are sorted largest first; lastUsedAt is the last request of a loaded model, else the file's access time
+ */
+function getCacheInventory(modelsConfig, { running = [] } = {}) {
+  const referenced = getReferencedFiles(modelsConfig);
+  const dirs = [
+    { location: "llama", path: getLlamaCache() },
+    { location: "whisper", path: getWhisperModels() }
+  ];
+
+  const files = [];
+  const seen = new Set();
+  for (const dir of dirs) {
+    dir.exists = fs.existsSync(dir.path);
+    dir.disk = dir.exists ? diskUsage(dir.path) : null;
+    if (!dir.exists || seen.has(dir.path)) continue;
+    seen.add(dir.path);
+
+    for (const name of fs.readdirSync(dir.path)) {
+      const filePath = path.join(dir.path, name);
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch {
+        // Dangling symlink, or removed since readdir (e.g. a finished .partial download)
+        continue;
+      }
+      if (!stats.isFile() || !MODEL_FILE.test(name)) continue;
+
+      const partial = name.endsWith(".partial");
+      const referencedBy = referenced.get(partial ? filePath.slice(0, -".partial".length) : filePath) || [];
+      const loadedBy = running.filter(model => referencedBy.includes(model.name));
+      files.push({
+        name,
+        location: dir.location,
+        path: filePath,
+        bytes: stats.size,
+        partial,
+        modifiedAt: stats.mtimeMs,
+        lastUsedAt: Math.max(stats.atimeMs, ...loadedBy.map(model => model.lastUsed || 0)),
+        referencedBy,
+        inUse: loadedBy.map(model => model.name)
+      });
+    }
+  }
+
+  files.sort((a, b) => b.bytes - a.bytes);
+  const sum = list => list.reduce((total, file) => total + file.bytes, 0);
+  return {
+    dirs,
+    files,
+    totalBytes: sum(files),
+    referencedBytes: sum(files.filter(file => file.referencedBy.length > 0)),
+    unreferencedBytes: sum(files.filter(file => file.referencedBy.length === 0))
+  };
+}
+
+/**
+ * Find a cached file by name (a file name only, never a path)
+ * @param {string} location - Optional "llama" or "whisper" when both directories hold the name
+ * @returns {object|null} Inventory entry
+ */
+function findCacheFile(inventory, name, location) {
+  if (!name || name !== path.basename(name)) return null;
+  return inventory.files.find(file => file.name === name && (!location || file.location === location)) || null;
+}
+
+/**
+ * Why a cached file must not be deleted right now (null when it can be)
+ * Files of loaded models and the routing model are protected, and so are downloads in progress
+ * @param {object} entry - Inventory entry
+ * @param {object} options - running: as for getCacheInventory; downloading: paths being downloaded
+ * @returns {string|null}
+ */
+function getDeleteBlocker(entry, { running = [], downloading = [] } = {}) {
+  const users = running.filter(model => entry.referencedBy.includes(model.name));
+  const router = users.find(model => model.router);
+  if (router) {
+    return `${entry.name} is used by the routing model (${router.name})`;
+  }
+  if (users.length > 0) {
+    return `${entry.name} is used by loaded model(s): ${users.map(model => model.name).join(", ")} (unload first)`;
+  }
+  if (entry.partial && downloading.includes(entry.path.slice(0, -".partial".length))) {
+    return `${entry.name} is being downloaded`;
+  }
+  return null;
+}
+
+/**
+ * Delete a cached model file along with llama.cpp's download metadata next to it
+ * @returns {number} Bytes freed
+ */
+function deleteCacheFile(entry) {
+  fs.unlinkSync(entry.path);
+  for (const sidecar of [`${entry.path}.json`, `${entry.path}.etag`]) {
+    fs.rmSync(sidecar, { force: true });
+  }
+  return entry.bytes;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${units[i]}`;
+}
+
+module.exports = {
+  getReferencedFiles,
+  getCacheInventory,
+  findCacheFile,
+  getDeleteBlocker,
+  deleteCacheFile,
+  formatBytes
+};
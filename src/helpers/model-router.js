@@ -1,13 +1,25 @@
 const { fetch } = require("undici");
 const { getRouterPort, isRouterRunning } = require("./router-manager");
-const { loadModels, resolveSystemPrompt } = require("./config");
+const { resolveSystemPrompt } = require("./config");
+const { getModels, onReload } = require("./config-store");
+const { observeClassification } = require("./metrics");
+const { matchRoutingRule, lastUserText } = require("./routing-rules");
+const { classifyByEmbedding } = require("./semantic-router");
 
-const modelsConfig = loadModels();
+let models;
+let lolsSmartConfig;
+let routerConfig;
 
-// Support both old "llama-models" key and new "models" key for backward compatibility
-const models = modelsConfig.models || modelsConfig["llama-models"] || {};
-const lolsSmartConfig = modelsConfig["lols-smart"] || {};
-const routerConfig = modelsConfig.router || {};
+function readModelsConfig() {
+  const modelsConfig = getModels();
+  // Support both old "llama-models" key and new "models" key for backward compatibility
+  models = modelsConfig.models || modelsConfig["llama-models"] || {};
+  lolsSmartConfig = modelsConfig["lols-smart"] || {};
+  routerConfig = modelsConfig.router || {};
+}
+
+readModelsConfig();
+onReload(readModelsConfig);
 
 const enableLog = true;
 function log() {
@@ -18,13 +30,14 @@ function log() {
 /**
  * Build system prompt for routing model
  * Loads from router config (systemPromptPath or systemPrompt) and replaces {CATEGORIES} placeholder
+ * @param {string} [template] - Prompt template to use instead of the configured one (routing evaluation)
  * @returns {string} System prompt
  */
-function buildRouterSystemPrompt() {
+function buildRouterSystemPrompt(template) {
   const categories = Object.keys(lolsSmartConfig);
   
   // Load router system prompt using the same pattern as category configs
-  const promptTemplate = resolveSystemPrompt(routerConfig);
+  const promptTemplate = template || resolveSystemPrompt(routerConfig);
   
   if (!promptTemplate) {
     log("Warning: No router system prompt found in config, using fallback");
@@ -36,17 +49,97 @@ function buildRouterSystemPrompt() {
 }
 
 /**
- * Detect the category of a request using llama.cpp routing model
+ * Detect the category of a request
+ * Order: image content (vision), declarative rules (router.rules), embedding similarity
+ * (router.mode "embedding"), then the llama.cpp routing model.
+ * A rule below router.minRuleConfidence only decides when the routing model is unavailable or fails.
  * @param {object} payload - Request payload with messages, tools, etc.
- * @returns {Promise<string>} - Category from lols-smart config
+ * @param {object} context - { headers, key } from the HTTP request (for rules); dryRun never loads an embedding model;
+ *   routerPrompt replaces the configured routing model prompt template (scripts/eval-routing.js)
+ * @returns {Promise<{ category: string, method: string, rule?: string, confidence?: number }>}
+ *   method: "image", "rule", "embedding", "classifier" or "default"; output: raw routing model reply
  */
-async function detectCategory(payload) {
+async function detectCategory(payload, context = {}) {
+  const messages = payload.messages || [];
+  // Dry runs (POST /v1/route) are not counted in the routing metrics
+  const observe = context.dryRun ? () => {} : observeClassification;
+
+  // Check for vision content (images in messages)
+  // OpenAI format: content can be array with {type: "image_url", image_url: {url: "..."}} objects
+  const hasImage = messages.some(msg => {
+    if (!msg.content) return false;
+    
+    // Check if content is an array (multimodal format)
+    if (Array.isArray(msg.content)) {
+      return msg.content.some(part => 
+        part.type === "image_url" || part.type === "image"
+      );
+    }
+    
+    return false;
+  });
+  
+  if (hasImage) {
+    log("Image content detected in request");
+    return { category: "vision", method: "image" };
+  }
+
+  // Declarative rules: deterministic and no classifier latency
+  const ruleMatch = matchRoutingRule(routerConfig.rules, payload, context, lolsSmartConfig);
+  const minConfidence = routerConfig.minRuleConfidence ?? 0.7;
+  if (ruleMatch && ruleMatch.confidence >= minConfidence) {
+    log(`Rule '${ruleMatch.rule}' matched -> ${ruleMatch.category} (confidence ${ruleMatch.confidence})`);
+    observe("rule", ruleMatch.category);
+    return { category: ruleMatch.category, method: "rule", rule: ruleMatch.rule, confidence: ruleMatch.confidence };
+  }
+  if (ruleMatch) {
+    log(`Rule '${ruleMatch.rule}' matched with low confidence ${ruleMatch.confidence} - asking routing model`);
+  }
+
+  // Semantic routing: nearest category by embedding similarity
+  if (routerConfig.mode === "embedding") {
+    const text = lastUserText(payload);
+    if (text.trim()) {
+      try {
+        const semantic = await classifyByEmbedding(text, lolsSmartConfig, routerConfig, models, { dryRun: context.dryRun });
+        if (semantic.category) {
+          log(`Embedding match -> ${semantic.category} (similarity ${semantic.similarity})`);
+          observe("embedding", semantic.category, semantic.durationMs);
+          return { category: semantic.category, method: "embedding", confidence: semantic.similarity };
+        }
+      } catch (err) {
+        log("Embedding routing failed:", err.message, "- asking routing model");
+        observe("embedding_error", "default");
+      }
+    }
+  }
+
+  const classified = await classifyWithRouter(payload, observe, context.routerPrompt);
+  if (classified.method === "default" && ruleMatch) {
+    return { category: ruleMatch.category, method: "rule", rule: ruleMatch.rule, confidence: ruleMatch.confidence, output: classified.output };
+  }
+  return classified;
+}
+
+/**
+ * Classify the last user message with the llama.cpp routing model
+ * @param {object} payload - Request payload
+ * @param {Function} [observe] - Metrics callback (observeClassification)
+ * @param {string} [promptTemplate] - Routing prompt template overriding the configured one
+ * @returns {Promise<{ category: string, method: string, output?: string }>} method "classifier", or "default" when
+ *   unavailable or failed; output is the routing model's raw reply
+ */
+async function classifyWithRouter(payload, observe = observeClassification, promptTemplate) {
+  const fallback = { category: "default", method: "default" };
+
   // If router not running, fallback to default
   if (!isRouterRunning()) {
     log("Router not running, using default");
-    return "default";
+    observe("unavailable", "default");
+    return fallback;
   }
 
+  let routerStartedAt = null;
   try {
     // Extract user message
     const messages = payload.messages || [];
@@ -55,7 +148,7 @@ async function detectCategory(payload) {
       .pop();
     
     if (!lastUserMessage || !lastUserMessage.content) {
-      return "default";
+      return fallback;
     }
 
     // Extract text from content (handle both string and array formats)
@@ -70,35 +163,15 @@ async function detectCategory(payload) {
       // Simple string format
       userContent = lastUserMessage.content;
     } else {
-      return "default";
+      return fallback;
     }
     
     if (!userContent || userContent.trim().length === 0) {
-      return "default";
+      return fallback;
     }
     
     log("Analyzing user message:", userContent.substring(0, 100) + (userContent.length > 100 ? "..." : ""));
 
-    // Check for vision content (images in messages)
-    // OpenAI format: content can be array with {type: "image_url", image_url: {url: "..."}} objects
-    const hasImage = messages.some(msg => {
-      if (!msg.content) return false;
-      
-      // Check if content is an array (multimodal format)
-      if (Array.isArray(msg.content)) {
-        return msg.content.some(part => 
-          part.type === "image_url" || part.type === "image"
-        );
-      }
-      
-      return false;
-    });
-    
-    if (hasImage) {
-      log("Image content detected in request");
-      return "vision";
-    }
-
     // Note: Tool presence in payload no longer auto-selects "tools" category
     // Let the router model analyze the actual user message content instead
     // This allows proper categorization even when tools are available (e.g., OpenClaw)
@@ -109,7 +182,7 @@ async function detectCategory(payload) {
 
     const routerPayload = {
       messages: [
-        { role: "system", content: buildRouterSystemPrompt() },
+        { role: "system", content: buildRouterSystemPrompt(promptTemplate) },
         { role: "user", content: userContent }
       ],
       max_tokens: 10,
@@ -118,6 +191,7 @@ async function detectCategory(payload) {
     };
 
     log("Calling routing model on port", routerPort);
+    routerStartedAt = Date.now();
 
     const response = await fetch(routerUrl, {
       method: "POST",
@@ -128,14 +202,16 @@ async function detectCategory(payload) {
 
     if (!response.ok) {
       log("Router returned non-ok status:", response.status);
-      return "default";
+      observe("http_error", "default", Date.now() - routerStartedAt);
+      return fallback;
     }
 
     const result = await response.json();
     
     if (!result.choices || !result.choices[0] || !result.choices[0].message) {
       log("Invalid router response format");
-      return "default";
+      observe("error", "default", Date.now() - routerStartedAt);
+      return fallback;
     }
 
     const category = result.choices[0].message.content.trim().toLowerCase();
@@ -143,19 +219,29 @@ async function detectCategory(payload) {
 
     // Validate category exists in config
     if (lolsSmartConfig[category]) {
-      return category;
+      observe("classified", category, Date.now() - routerStartedAt);
+      return { category, method: "classifier", output: result.choices[0].message.content };
     }
 
     log("Invalid category returned:", category, "- using default");
-    return "default";
+    observe("invalid_category", "default", Date.now() - routerStartedAt);
+    return { ...fallback, output: result.choices[0].message.content };
 
   } catch (err) {
     log("Error calling router:", err.message);
-    return "default";
+    observe("error", "default", routerStartedAt === null ? undefined : Date.now() - routerStartedAt);
+    return fallback;
   }
 }
 
-async function selectModel(payload) {
+/**
+ * Choose the model for a request
+ * @param {object} payload - OpenAI chat completion body
+ * @param {object} [context] - { headers, key } from the HTTP request (used by routing rules), dryRun
+ * @returns {Promise<object>} { model, config, category, categorySystemPrompt, routing }
+ *   routing (lols-smart only): { method, rule, confidence } from detectCategory
+ */
+async function selectModel(payload, context = {}) {
   // Test override always takes precedence
   if (global.testModel) {
     return { model: global.testModel };
@@ -165,9 +251,10 @@ async function selectModel(payload) {
 
   // If no model specified or "lols-smart", use router logic
   if (!requestedModel || requestedModel === "lols-smart") {
-    // Detect category using vLLM model (currently dummy)
-    const category = await detectCategory(payload);
-    log("detected category:", category);
+    // Detect category: image content, routing rules, then the routing model
+    const routing = await detectCategory(payload, context);
+    const category = routing.category;
+    log("detected category:", category, `(${routing.method}${routing.rule ? `: ${routing.rule}` : ""})`);
 
     // Get model for this category from config, fallback to default
     const categoryConfig = lolsSmartConfig[category] || lolsSmartConfig.default || "qwen2.5-7b-instruct";
@@ -195,7 +282,8 @@ async function selectModel(payload) {
       model: selectedModel,
       config: models[selectedModel],
       category, // include category in response for logging
-      categorySystemPrompt // include category-level system prompt if present
+      categorySystemPrompt, // include category-level system prompt if present
+      routing
     };
   }
 
@@ -210,6 +298,44 @@ async function selectModel(payload) {
   };
 }
 
+/**
+ * Build the list of models to try for a request: the selected model, then its fallbacks
+ * Category-level "fallback" (lols-smart) takes precedence over the model-level one.
+ * Unknown and duplicate names are skipped.
+ * @param {object} plan - Result of selectModel
+ * @returns {Array<object>} Plans in the order they should be tried
+ */
+function resolveFallbackChain(plan) {
+  const chain = [plan];
+
+  const categoryConfig = getCategoryConfig(plan.category);
+  const fallbackNames = (categoryConfig && categoryConfig.fallback)
+    || plan.config?.fallback
+    || [];
+
+  const seen = new Set([plan.model]);
+  for (const name of fallbackNames) {
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    if (!models[name]) {
+      log("Unknown fallback model:", name, "- skipping");
+      continue;
+    }
+
+    chain.push({
+      model: name,
+      config: models[name],
+      category: plan.category,
+      categorySystemPrompt: plan.categorySystemPrompt,
+      routing: plan.routing,
+      fallbackFor: plan.model
+    });
+  }
+
+  return chain;
+}
+
 /**
  * Get model configuration by name
  */
@@ -217,4 +343,12 @@ function getModelConfig(modelName) {
   return models[modelName];
 }
 
-module.exports = { selectModel, getModelConfig };
+/**
+ * Get lols-smart category configuration (object form only; string entries have no settings)
+ */
+function getCategoryConfig(category) {
+  const categoryConfig = category ? lolsSmartConfig[category] : null;
+  return categoryConfig && typeof categoryConfig === "object" ? categoryConfig : null;
+}
+
+module.exports = { selectModel, detectCategory, resolveFallbackChain, getModelConfig, getCategoryConfig };
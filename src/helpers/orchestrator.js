@@ -1,37 +1,147 @@
 const fs = require("fs");
 const path = require("path");
 const { fetch } = require("undici");
-const { startLlama, stopLlama, waitReady: waitReadyLlama } = require("./llama");
+const { startLlama, stopLlama, waitReady: waitReadyLlama, resolveGpuSettings, checkGpuSettings, checkModelFiles } = require("./llama");
 const { startWhisper, stopWhisper, waitReady: waitReadyWhisper, isWhisperOnPort } = require("./whisper");
 const { createLogger } = require("./logger");
-const { loadModels } = require("./config");
+const { getMissingFiles, isAutoDownloadEnabled, downloadModel } = require("./downloader");
+const { describeExit, planRestart, reportCrash } = require("./crash-monitor");
+const config = require("./config");
+const { getModels, onReload } = require("./config-store");
+const { getGPUProcesses, getVRAMUsage } = require("./system-metrics");
+const { observeModelLoad, observeModelUnload, observeGpuLockWait } = require("./metrics");
 
 const log = createLogger("orch");
 
-const modelsConfig = loadModels();
-
 // Support both old "llama-models" key and new "models" key for backward compatibility
-const models = modelsConfig.models || modelsConfig["llama-models"] || {};
+let models = getModels().models || getModels()["llama-models"] || {};
+
+// Resident local models: modelName -> { name, type, port, owned, proc, config, lastUsed, inFlight, keepWarmTimer }
+const resident = new Map();
+
+// Models that LRU eviction never unloads (POST /admin/models/:name/pin, preload "pin")
+const pinned = new Set();
+
+// VRAM measured via nvidia-smi after a model loaded: modelName -> MB
+const measuredVram = new Map();
+
+// GPUs reported by nvidia-smi, detected once (empty when unavailable)
+let detectedGpus = null;
 
+// Most recently used model (resident entry or remote pseudo-entry), shown in modelStatus
 let current = null;
-let keepWarmTimer = null;
 
-/* Simple mutex */
+/*
+ * GPU scheduler
+ * One GPU task (model load/swap) runs at a time. When the lock frees up, the next waiter is picked by:
+ * 1. Fairness: waiters queued longer than scheduler.maxWaitMs go first (oldest first)
+ * 2. Priority: x-lols-priority header (high > normal > low)
+ * 3. Batching: waiters whose model is already resident go before ones that need a swap
+ * 4. Arrival order
+ */
 let locked = false;
-const waiters = [];
+let holder = null;
+const waiters = []; // { id, model, priority, enqueuedAt, resolve }
+
+const PRIORITY_NAMES = {
+  high: 10,
+  interactive: 10,
+  normal: 0,
+  low: -10,
+  batch: -10
+};
+
+// Client-supplied integers are clamped to the named range so no request can outrank "high"
+const MIN_PRIORITY = PRIORITY_NAMES.low;
+const MAX_PRIORITY = PRIORITY_NAMES.high;
 
-function acquire() {
+/**
+ * Parse a priority header value ("high", "normal", "low", "batch", or an integer from -10 to 10)
+ */
+function parsePriority(value) {
+  if (value === undefined || value === null || value === "") {
+    return config.scheduler?.defaultPriority || 0;
+  }
+  const named = PRIORITY_NAMES[String(value).trim().toLowerCase()];
+  if (named !== undefined) return named;
+  const numeric = parseInt(value, 10);
+  if (isNaN(numeric)) return config.scheduler?.defaultPriority || 0;
+  return Math.min(MAX_PRIORITY, Math.max(MIN_PRIORITY, numeric));
+}
+
+function compareWaiters(a, b, now) {
+  const maxWaitMs = config.scheduler?.maxWaitMs || 0;
+  const aOverdue = maxWaitMs > 0 && now - a.enqueuedAt >= maxWaitMs;
+  const bOverdue = maxWaitMs > 0 && now - b.enqueuedAt >= maxWaitMs;
+
+  if (aOverdue !== bOverdue) return aOverdue ? -1 : 1;
+  if (!aOverdue) {
+    if (a.priority !== b.priority) return b.priority - a.priority;
+
+    const aLoaded = !!a.model && resident.has(a.model);
+    const bLoaded = !!b.model && resident.has(b.model);
+    if (aLoaded !== bLoaded) return aLoaded ? -1 : 1;
+  }
+  return a.enqueuedAt - b.enqueuedAt;
+}
+
+function sortWaiters() {
+  const now = Date.now();
+  waiters.sort((a, b) => compareWaiters(a, b, now));
+}
+
+/**
+ * Queue snapshot (holder, depth, ordered waiters with position) for WebSocket broadcasts
+ */
+function getQueueStatus() {
+  sortWaiters();
+  const now = Date.now();
+  return {
+    busy: locked,
+    holder: holder ? { id: holder.id, model: holder.model, priority: holder.priority } : null,
+    depth: waiters.length,
+    queue: waiters.map((w, i) => ({
+      id: w.id,
+      model: w.model,
+      priority: w.priority,
+      position: i + 1,
+      waitedMs: now - w.enqueuedAt
+    }))
+  };
+}
+
+function broadcastQueue() {
+  if (global.broadcastQueueStatus) {
+    global.broadcastQueueStatus(getQueueStatus());
+  }
+}
+
+function acquire(task) {
   if (!locked) {
     locked = true;
+    holder = task;
+    broadcastQueue();
     return Promise.resolve();
   }
-  return new Promise(resolve => waiters.push(resolve));
+  return new Promise(resolve => {
+    waiters.push({ ...task, enqueuedAt: Date.now(), resolve });
+    log.debug(`queued GPU task ${task.id || ""} for ${task.model || "?"} (depth ${waiters.length})`);
+    broadcastQueue();
+  });
 }
 
 function release() {
+  if (waiters.length === 0) {
+    locked = false;
+    holder = null;
+    broadcastQueue();
+    return;
+  }
+  sortWaiters();
   const next = waiters.shift();
-  if (next) return next();
-  locked = false;
+  holder = next;
+  broadcastQueue();
+  next.resolve();
 }
 
 function withTimeout(p, ms, label) {
@@ -82,38 +192,363 @@ async function sendKeepWarmPing(port, modelName) {
 }
 
 /**
- * Start keep-warm timer for a model
+ * Start keep-warm timer for a resident model
  */
-function startKeepWarm(modelName, modelConfig, port) {
+function startKeepWarm(entry) {
   // Clear any existing timer
-  stopKeepWarm();
+  stopKeepWarm(entry);
   
-  const keepWarmSeconds = modelConfig.keepWarm;
+  const keepWarmSeconds = entry.config.keepWarm;
   if (!keepWarmSeconds || keepWarmSeconds === false) {
     return;
   }
   
   const intervalMs = keepWarmSeconds * 1000;
-  log.info(`starting keep-warm for ${modelName} (every ${keepWarmSeconds}s)`);
+  log.info(`starting keep-warm for ${entry.name} (every ${keepWarmSeconds}s)`);
   
-  keepWarmTimer = setInterval(() => {
-    sendKeepWarmPing(port, modelName);
+  entry.keepWarmTimer = setInterval(() => {
+    sendKeepWarmPing(entry.port, entry.name);
   }, intervalMs);
 }
 
 /**
- * Stop keep-warm timer
+ * Stop keep-warm timer for a resident model
  */
-function stopKeepWarm() {
-  if (keepWarmTimer) {
-    clearInterval(keepWarmTimer);
-    keepWarmTimer = null;
-    log.debug("keep-warm timer stopped");
+function stopKeepWarm(entry) {
+  if (entry.keepWarmTimer) {
+    clearInterval(entry.keepWarmTimer);
+    entry.keepWarmTimer = null;
+    log.debug("keep-warm timer stopped:", entry.name);
+  }
+}
+
+/**
+ * VRAM budget (MB) shared by resident models, from config.gpu.vramBudgetMb
+ * 0 or unset keeps a single model resident (the original behaviour)
+ */
+function getVramBudgetMb() {
+  return config.gpu?.vramBudgetMb || 0;
+}
+
+/**
+ * Estimated VRAM for a model: models.json vramMb, else the last measurement, else unknown (null)
+ */
+function estimateVramMb(modelName, model) {
+  if (model && model.vramMb) return model.vramMb;
+  return measuredVram.has(modelName) ? measuredVram.get(modelName) : null;
+}
+
+/**
+ * Check whether a model of the given size fits next to the current residents
+ * Unknown sizes never fit, so they fall back to one-model-at-a-time
+ */
+function fitsInBudget(neededMb) {
+  const budget = getVramBudgetMb();
+  if (!budget || neededMb === null) return false;
+
+  let used = 0;
+  for (const entry of resident.values()) {
+    const size = estimateVramMb(entry.name, entry.config);
+    if (size === null) return false;
+    used += size;
+  }
+  return used + neededMb <= budget;
+}
+
+async function detectGpus() {
+  if (!detectedGpus) {
+    detectedGpus = await getVRAMUsage();
+  }
+  return detectedGpus;
+}
+
+/**
+ * Check every llama-cpp model's GPU settings (models.json "gpu" over config.llama.gpu)
+ * against the detected GPUs and log the problems; run once at startup
+ * @returns {Promise<Array<{ model: string, problems: string[] }>>}
+ */
+async function checkModelGpus() {
+  const gpus = await detectGpus();
+  const results = [];
+  for (const [name, model] of Object.entries(models)) {
+    if ((model.type || "llama-cpp") !== "llama-cpp") continue;
+    const problems = checkGpuSettings(resolveGpuSettings(model), gpus);
+    if (problems.length > 0) {
+      problems.forEach(problem => log.warn(`${name}: ${problem}`));
+      results.push({ model: name, problems });
+    }
+  }
+  return results;
+}
+
+/**
+ * Measure the VRAM actually used by a freshly started model so later budget checks are accurate
+ */
+async function measureVram(entry) {
+  if (!entry.proc || !entry.proc.pid) return;
+  const processes = await getGPUProcesses();
+  const match = processes.find(p => p.pid === entry.proc.pid);
+  if (match) {
+    measuredVram.set(entry.name, match.vram);
+    log.info(`measured VRAM for ${entry.name}: ${match.vram} MB`);
+  }
+}
+
+/**
+ * Stop a resident model and forget it
+ * Processes we adopted (not owned) are only dropped from tracking, never killed
+ * @param {string} reason - Reported in the modelUnloaded event: "requested", "evicted", "idle", "reload" or "removed"
+ */
+async function unloadModel(modelName, reason = "requested") {
+  const entry = resident.get(modelName);
+  if (!entry) return false;
+
+  stopKeepWarm(entry);
+  resident.delete(modelName);
+  observeModelUnload(modelName);
+
+  if (entry.owned && entry.proc) {
+    entry.stopping = true; // The exit that follows is not a crash
+    const stopType = entry.type === "whisper-cpp" ? "whisper" : "llama";
+    log.log(`stopping owned ${stopType}:`, entry.name);
+    const stopFn = entry.type === "whisper-cpp" ? stopWhisper : stopLlama;
+    await withTimeout(stopFn(entry.proc), 30000, `stop${stopType}`);
+
+    if (entry.proc.pid && global.modelRegistry) {
+      global.modelRegistry.delete(entry.proc.pid);
+    }
+  }
+
+  if (current === entry) {
+    current = mostRecentlyUsed();
+  }
+
+  if (global.broadcastModelUnloaded) {
+    global.broadcastModelUnloaded({
+      model: modelName,
+      reason,
+      idleMs: Date.now() - entry.lastUsed,
+      vramMb: estimateVramMb(entry.name, entry.config)
+    });
+  }
+  if (global.broadcastModelStatus) {
+    global.broadcastModelStatus();
+  }
+
+  return true;
+}
+
+function mostRecentlyUsed() {
+  let latest = null;
+  for (const entry of resident.values()) {
+    if (!latest || entry.lastUsed > latest.lastUsed) latest = entry;
+  }
+  return latest;
+}
+
+/**
+ * Evict least-recently-used residents until the model fits the VRAM budget
+ * Idle models go first; models with in-flight requests are only evicted as a last resort
+ */
+async function makeRoom(modelName, model) {
+  const needed = estimateVramMb(modelName, model);
+
+  const candidates = [...resident.values()]
+    .filter(entry => entry.name !== modelName && !pinned.has(entry.name))
+    .sort((a, b) => (a.inFlight > 0) - (b.inFlight > 0) || a.lastUsed - b.lastUsed);
+
+  for (const entry of candidates) {
+    if (fitsInBudget(needed)) return;
+    if (entry.inFlight > 0) {
+      await drainModel(entry);
+    } else {
+      log.info(`evicting ${entry.name} (least recently used)`);
+    }
+    await unloadModel(entry.name, "evicted");
+  }
+
+  const held = [...pinned].filter(name => resident.has(name) && name !== modelName);
+  if (!fitsInBudget(needed) && held.length > 0) {
+    log.warn(`${modelName} may not fit in VRAM; pinned model(s) are kept loaded: ${held.join(", ")}`);
+  }
+}
+
+/**
+ * Let in-flight requests on an eviction victim finish before it is stopped
+ * New requests stop taking the fast path to a draining model and queue for the GPU instead
+ */
+async function drainModel(entry) {
+  const drainTimeoutMs = config.scheduler?.drainTimeoutMs ?? 60000;
+  entry.draining = true;
+  log.info(`draining ${entry.name} (${entry.inFlight} in-flight request(s)) before eviction`);
+
+  try {
+    await withTimeout(new Promise(resolve => entry.idleWaiters.push(resolve)), drainTimeoutMs, "drain");
+  } catch (err) {
+    log.warn(`evicting ${entry.name} with ${entry.inFlight} in-flight request(s) (drain timed out)`);
+  }
+}
+
+/*
+ * Idle unload
+ * Owned models stop after idleUnloadSeconds without requests (models.json, else config.idleUnload.seconds).
+ * lastUsed only moves on requests, so keep-warm pings keep a model hot while loaded but never
+ * postpone its unload. Pinned models, adopted processes and (by default) the routing model stay.
+ */
+let idleSweepTimer = null;
+
+function getIdleUnloadSeconds(entry) {
+  const settings = config.idleUnload || {};
+  if (settings.exemptRouter !== false && entry.name === getModels().router?.model) return 0;
+
+  const own = entry.config.idleUnloadSeconds;
+  const seconds = own !== undefined ? own : settings.seconds;
+  return typeof seconds === "number" && seconds > 0 ? seconds : 0;
+}
+
+/**
+ * When an idle model will be unloaded (null if never)
+ */
+function idleUnloadAt(entry) {
+  const seconds = getIdleUnloadSeconds(entry);
+  if (!seconds || !entry.owned || pinned.has(entry.name)) return null;
+  return entry.lastUsed + seconds * 1000;
+}
+
+function isIdleExpired(entry) {
+  const at = idleUnloadAt(entry);
+  return at !== null && entry.inFlight === 0 && !entry.draining && Date.now() >= at;
+}
+
+async function sweepIdleModels() {
+  for (const entry of [...resident.values()]) {
+    if (!isIdleExpired(entry)) continue;
+
+    try {
+      await withGpu(async () => {
+        // A request may have arrived while waiting for the lock
+        if (resident.get(entry.name) !== entry || !isIdleExpired(entry)) return;
+        log.info(`unloading ${entry.name} (idle for ${Math.round((Date.now() - entry.lastUsed) / 1000)}s)`);
+        await unloadModel(entry.name, "idle");
+      }, { id: "idle-unload", model: entry.name, priority: PRIORITY_NAMES.low });
+    } catch (err) {
+      log.error(`idle unload of ${entry.name} failed:`, err.message);
+    }
+  }
+}
+
+function scheduleIdleSweep() {
+  if (idleSweepTimer) return;
+  const intervalMs = (config.idleUnload?.checkIntervalSeconds || 30) * 1000;
+  idleSweepTimer = setTimeout(async () => {
+    await sweepIdleModels();
+    idleSweepTimer = null;
+    if (resident.size > 0) scheduleIdleSweep();
+  }, intervalMs);
+  idleSweepTimer.unref();
+}
+
+/*
+ * Crash handling
+ * An owned process that exits without being stopped is dropped from the residents (and the PID registry)
+ * so the next request starts it again instead of failing on a dead port. Pinned models are restarted
+ * with backoff until the crash-loop breaker trips (see crash-monitor.js).
+ */
+
+/**
+ * Watch a ready owned process for exits we did not ask for
+ */
+function watchProcess(entry) {
+  const onExit = exit => handleCrash(entry, exit);
+  entry.proc.then(onExit, onExit);
+}
+
+function handleCrash(entry, exit) {
+  if (entry.stopping || resident.get(entry.name) !== entry) return;
+
+  stopKeepWarm(entry);
+  resident.delete(entry.name);
+  observeModelUnload(entry.name);
+  if (entry.proc.pid && global.modelRegistry) {
+    global.modelRegistry.delete(entry.proc.pid);
+  }
+  if (current === entry) {
+    current = mostRecentlyUsed();
+  }
+  // Nothing left to drain: in-flight requests fail on their own
+  entry.idleWaiters.splice(0).forEach(resolve => resolve());
+
+  const plan = planRestart(entry.name, pinned.has(entry.name));
+  reportCrash({
+    model: entry.name,
+    router: false,
+    ...describeExit(exit),
+    stderr: entry.proc.stderrTail || [],
+    ...plan
+  });
+
+  if (global.broadcastModelStatus) {
+    global.broadcastModelStatus();
+  }
+  if (plan.restartInMs !== null) {
+    scheduleRestart(entry.name, plan.restartInMs);
+  }
+}
+
+/**
+ * Reload a crashed pinned model after a delay; a failed start counts as another crash
+ */
+function scheduleRestart(modelName, delayMs) {
+  setTimeout(async () => {
+    // Unpinned, removed from models.json or already loaded by a request meanwhile
+    if (!pinned.has(modelName) || !models[modelName] || resident.has(modelName)) return;
+
+    try {
+      await loadModel(modelName, { id: "crash-restart" });
+      log.success(`restarted ${modelName} after a crash`);
+    } catch (err) {
+      log.error(`restart of ${modelName} failed:`, err.message);
+      const plan = planRestart(modelName, pinned.has(modelName));
+      if (plan.restartInMs !== null) {
+        log.warn(`retrying ${modelName} in ${plan.restartInMs}ms`);
+        scheduleRestart(modelName, plan.restartInMs);
+      } else if (plan.crashLoop) {
+        log.error(`${modelName} failed ${plan.crashes} times - giving up until it is loaded again`);
+      }
+    }
+  }, delayMs).unref();
+}
+
+function addResident(entry) {
+  entry.lastUsed = Date.now();
+  entry.inFlight = 0;
+  entry.draining = false;
+  entry.idleWaiters = [];
+  entry.keepWarmTimer = null;
+  resident.set(entry.name, entry);
+  current = entry;
+  scheduleIdleSweep();
+
+  // Start keep-warm timer if configured
+  if (entry.config.keepWarm) {
+    startKeepWarm(entry);
+  }
+  
+  // Broadcast model change
+  if (global.broadcastModelStatus) {
+    global.broadcastModelStatus();
   }
 }
 
-async function withGpu(fn) {
-  await acquire();
+/**
+ * Run fn with exclusive access to the GPU (model loading/swapping)
+ * @param {Function} fn - Task to run
+ * @param {object} task - { id, model, priority } used for scheduling and queue status
+ */
+async function withGpu(fn, task = {}) {
+  const queuedAt = Date.now();
+  await acquire({ id: task.id || null, model: task.model || null, priority: task.priority || 0 });
+  observeGpuLockWait(Date.now() - queuedAt);
   log.debug("lock acquired");
   try {
     // Increased timeout to 6 minutes to accommodate large model loading
@@ -124,6 +559,77 @@ async function withGpu(fn) {
   }
 }
 
+/**
+ * Settings a local model process is started with (startWhisper / startLlama config)
+ * A reload that changes these restarts the resident model
+ */
+function buildLaunchConfig(model) {
+  if ((model.type || "llama-cpp") === "whisper-cpp") {
+    return {
+      file: model.file,
+      port: model.port,
+      language: model.language || "auto",
+      threads: model.threads || 4
+    };
+  }
+
+  const llamaConfig = {
+    repo: model.repo,
+    file: model.file,
+    port: model.port
+  };
+
+  // Local GGUF file and projector instead of the Hugging Face download
+  if (model.path) {
+    llamaConfig.path = model.path;
+  }
+  if (model.mmprojPath) {
+    llamaConfig.mmprojPath = model.mmprojPath;
+  }
+
+  // Context size, mmproj for vision models, embeddings (semantic routing), performance settings
+  if (model.context) {
+    llamaConfig.context = model.context;
+  }
+  if (model.mmproj) {
+    llamaConfig.mmproj = model.mmproj;
+  }
+  if (model.embedding) {
+    llamaConfig.embedding = true;
+    llamaConfig.pooling = model.pooling;
+  }
+  if (model.performance) {
+    llamaConfig.performance = model.performance;
+  }
+  if (model.gpu) {
+    llamaConfig.gpu = model.gpu;
+  }
+
+  // Passthrough options (extra llama-server arguments and environment, built-in flag overrides)
+  for (const key of ["extraArgs", "env", "builtinArgs"]) {
+    if (model[key] !== undefined) {
+      llamaConfig[key] = model[key];
+    }
+  }
+
+  return llamaConfig;
+}
+
+/**
+ * Fetch a Hugging Face model's files into the llama.cpp cache before it is started
+ * With downloads.auto disabled, a missing file fails fast instead of stalling in waitReady
+ */
+async function ensureDownloaded(modelName, model) {
+  const missing = getMissingFiles(model);
+  if (missing.length === 0) return;
+
+  if (!isAutoDownloadEnabled()) {
+    throw new Error(`model not downloaded: ${modelName} (missing ${missing.map(file => file.file).join(", ")}; POST /admin/models/${modelName}/download)`);
+  }
+  log.info(`${modelName}: ${missing.length} file(s) not in the cache, downloading`);
+  await downloadModel(modelName, model);
+}
+
 async function ensureModel(modelName, modelConfig) {
   const model = modelConfig || models[modelName];
   if (!model) throw new Error("unknown model: " + modelName);
@@ -145,52 +651,49 @@ async function ensureModel(modelName, modelConfig) {
     return;
   }
 
-  // Check if already running the same model
-  if (current && current.name === modelName && current.type !== "remote") {
-    // Model already loaded, ensure keep-warm is running if configured
-    if (model.keepWarm && !keepWarmTimer) {
-      startKeepWarm(modelName, model, model.port);
+  // Check if already resident
+  const existing = resident.get(modelName);
+  if (existing) {
+    existing.lastUsed = Date.now();
+    if (current !== existing) {
+      current = existing;
+      if (global.broadcastModelStatus) {
+        global.broadcastModelStatus();
+      }
     }
     return;
   }
 
-  /* if switching away, stop only if we own it */
-  if (current && current.owned && current.proc) {
-    const stopType = current.type === "whisper-cpp" ? "whisper" : "llama";
-    log.log(`stopping owned ${stopType}:`, current.name);
-    
-    // Stop keep-warm timer when switching models
-    stopKeepWarm();
-    
-    const stopFn = current.type === "whisper-cpp" ? stopWhisper : stopLlama;
-    await withTimeout(stopFn(current.proc), 30000, `stop${stopType}`);
+  // Refuse missing local files and GPU settings that cannot work on this machine before evicting anything
+  if ((model.type || "llama-cpp") === "llama-cpp") {
+    const fileProblems = checkModelFiles(model);
+    if (fileProblems.length > 0) {
+      throw new Error(`cannot start ${modelName}: ${fileProblems.join("; ")}`);
+    }
+    await ensureDownloaded(modelName, model);
+    const gpuProblems = checkGpuSettings(resolveGpuSettings(model), await detectGpus());
+    if (gpuProblems.length > 0) {
+      throw new Error(`invalid GPU settings for ${modelName}: ${gpuProblems.join("; ")}`);
+    }
   }
 
+  // Free VRAM for the new model (LRU eviction)
+  await makeRoom(modelName, model);
+
   const modelType = model.type || "llama-cpp"; // Default to llama-cpp for backward compatibility
 
   // Check if already running on port (adopt existing process)
   const checkFn = modelType === "whisper-cpp" ? isWhisperOnPort : isLlamaOnPort;
   if (await checkFn(model.port)) {
     log.info(`adopting existing ${modelType} on port`, model.port, "as", modelName);
-    current = {
+    addResident({
       name: modelName,
       type: modelType,
       port: model.port,
       owned: false,
       proc: null,
       config: model
-    };
-    
-    // Start keep-warm timer if configured
-    if (model.keepWarm) {
-      startKeepWarm(modelName, model, model.port);
-    }
-    
-    // Broadcast model change
-    if (global.broadcastModelStatus) {
-      global.broadcastModelStatus();
-    }
-    
+    });
     return;
   }
 
@@ -199,52 +702,60 @@ async function ensureModel(modelName, modelConfig) {
 
   let proc;
   let waitReadyFn;
+  const launchConfig = buildLaunchConfig(model);
 
   if (modelType === "whisper-cpp") {
-    // Whisper model
-    const whisperConfig = {
-      file: model.file,
-      port: model.port,
-      language: model.language || "auto",
-      threads: model.threads || 4
-    };
-    
-    proc = startWhisper(whisperConfig);
+    proc = startWhisper(launchConfig);
     waitReadyFn = waitReadyWhisper;
   } else {
-    // LLM model (llama-cpp)
-    const llamaConfig = {
-      repo: model.repo,
-      file: model.file,
-      port: model.port
-    };
-    
-    // Add context size if specified
-    if (model.context) {
-      llamaConfig.context = model.context;
-      log.info("context size:", model.context);
+    if (launchConfig.context) {
+      log.info("context size:", launchConfig.context);
     }
-    
-    // Add mmproj for vision models
-    if (model.mmproj) {
-      llamaConfig.mmproj = model.mmproj;
-      log.info("vision model detected, using mmproj:", model.mmproj);
+    if (launchConfig.path) {
+      log.info("local model file:", launchConfig.path);
     }
-    
-    // Pass performance settings
-    if (model.performance) {
-      llamaConfig.performance = model.performance;
-      log.info("performance settings:", JSON.stringify(model.performance));
+    if (launchConfig.mmproj || launchConfig.mmprojPath) {
+      log.info("vision model detected, using mmproj:", launchConfig.mmprojPath || launchConfig.mmproj);
+    }
+    if (launchConfig.embedding) {
+      log.info("embedding model, pooling:", launchConfig.pooling || "model default");
+    }
+    if (launchConfig.performance) {
+      log.info("performance settings:", JSON.stringify(launchConfig.performance));
+    }
+    if (launchConfig.gpu) {
+      log.info("model GPU settings:", JSON.stringify(launchConfig.gpu));
     }
     
-    proc = startLlama(llamaConfig);
+    proc = startLlama(launchConfig);
     waitReadyFn = waitReadyLlama;
   }
 
-  // Increased timeout to 5 minutes for large model downloads (e.g., 14B models)
-  await withTimeout(waitReadyFn(model.port), 300000, "waitReady");
+  // Fail fast if the process exits before it becomes ready (bad args, missing file, OOM)
+  const exitedEarly = proc.then(
+    () => { throw new Error(`${modelName} exited during startup`); },
+    err => { throw new Error(`${modelName} exited during startup: ${err.shortMessage || err.message}`); }
+  );
+  exitedEarly.catch(() => {}); // Only observed by the race below; later exits are not startup errors
 
-  current = {
+  const readyPoll = new AbortController();
+  const startedAt = Date.now();
+  try {
+    // Increased timeout to 5 minutes for large model downloads (e.g., 14B models)
+    await withTimeout(Promise.race([waitReadyFn(model.port, readyPoll.signal), exitedEarly]), 300000, "waitReady");
+  } catch (err) {
+    // Don't leave a half-started process holding VRAM (callers may fall back to another model)
+    log.error(`failed to start ${modelName}:`, err.message);
+    observeModelLoad(modelName, false);
+    const stopFn = modelType === "whisper-cpp" ? stopWhisper : stopLlama;
+    await withTimeout(stopFn(proc), 30000, "stopFailedStart").catch(() => {});
+    throw err;
+  } finally {
+    readyPoll.abort();
+  }
+  observeModelLoad(modelName, true, Date.now() - startedAt);
+
+  const entry = {
     name: modelName,
     type: modelType,
     port: model.port,
@@ -264,21 +775,197 @@ async function ensureModel(modelName, modelConfig) {
   }
 
   log.success("ready:", modelName, "port", model.port);
-  
-  // Start keep-warm timer if configured
-  if (model.keepWarm) {
-    startKeepWarm(modelName, model, model.port);
+
+  addResident(entry);
+  watchProcess(entry);
+  await measureVram(entry);
+}
+
+/**
+ * Mark a resident model as serving a request (protects it from LRU eviction)
+ * @returns {{ port: number, release: Function }} - call release() when the response is finished
+ */
+function retainModel(modelName) {
+  const entry = resident.get(modelName);
+  if (!entry) throw new Error("model not resident: " + modelName);
+
+  entry.inFlight++;
+  entry.lastUsed = Date.now();
+  current = entry;
+
+  let released = false;
+  return {
+    port: entry.port,
+    release() {
+      if (released) return;
+      released = true;
+      entry.inFlight--;
+      entry.lastUsed = Date.now();
+      if (entry.inFlight === 0) {
+        entry.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    }
+  };
+}
+
+/**
+ * Make sure a local model is resident and retain it for one request
+ * Resident models are served without waiting for the GPU lock, so requests
+ * for different resident models run concurrently
+ * @param {string} modelName - Model to acquire
+ * @param {object} modelConfig - Model configuration from models.json
+ * @param {object} options - { id, priority } for the GPU scheduler
+ * @returns {Promise<{ port: number, release: Function, queueMs: number, loadMs: number }>}
+ *   queueMs/loadMs: time spent waiting for the GPU lock and loading the model
+ */
+async function acquireModel(modelName, modelConfig, options = {}) {
+  const entry = resident.get(modelName);
+  if (entry && !entry.draining) {
+    return { ...retainModel(modelName), queueMs: 0, loadMs: 0 };
   }
-  
-  // Broadcast model change
+
+  // Download outside the GPU lock so resident models keep serving meanwhile
+  const model = modelConfig || models[modelName];
+  if (model && (model.type || "llama-cpp") === "llama-cpp") {
+    await ensureDownloaded(modelName, model);
+  }
+
+  const queuedAt = Date.now();
+  return withGpu(async () => {
+    const lockedAt = Date.now();
+    await ensureModel(modelName, modelConfig);
+    return { ...retainModel(modelName), queueMs: lockedAt - queuedAt, loadMs: Date.now() - lockedAt };
+  }, { id: options.id, model: modelName, priority: options.priority });
+}
+
+/**
+ * Load a local model ahead of requests (admin API, preload) through the GPU lock
+ * @param {string} modelName - Model to load
+ * @param {object} options - { pin } keeps it loaded; { id, priority } for the GPU scheduler
+ * @returns {Promise<object>} The model's getResidentModels() entry
+ */
+async function loadModel(modelName, options = {}) {
+  const model = models[modelName];
+  if (!model) throw new Error("unknown model: " + modelName);
+  if (model.type === "remote") throw new Error(`${modelName} is a remote model and is not loaded locally`);
+
+  if (options.pin) pinned.add(modelName);
+
+  if ((model.type || "llama-cpp") === "llama-cpp") {
+    await ensureDownloaded(modelName, model);
+  }
+  await withGpu(() => ensureModel(modelName, model), {
+    id: options.id || "admin-load",
+    model: modelName,
+    priority: options.priority ?? PRIORITY_NAMES.high
+  });
+  return getResidentModels().find(entry => entry.name === modelName);
+}
+
+/**
+ * Unload a resident model through the GPU lock, letting in-flight requests finish first
+ * An explicit unload also drops the model's pin
+ * @returns {Promise<boolean>} false if the model was not loaded
+ */
+async function stopModel(modelName) {
+  pinned.delete(modelName);
+  return withGpu(async () => {
+    const entry = resident.get(modelName);
+    if (!entry) return false;
+    if (entry.inFlight > 0) await drainModel(entry);
+    log.info(`unloading ${modelName} (requested)`);
+    return unloadModel(modelName, "requested");
+  }, { id: "admin-unload", model: modelName, priority: PRIORITY_NAMES.high });
+}
+
+/**
+ * Pin or unpin a model; pinned models are never evicted to make room for another model
+ */
+function setPinned(modelName, value) {
+  value ? pinned.add(modelName) : pinned.delete(modelName);
   if (global.broadcastModelStatus) {
     global.broadcastModelStatus();
   }
 }
 
-function getCurrentPort() {
-  if (!current) throw new Error("no model running");
-  return current.port;
+/**
+ * Load config.json "preload" models one after another (startup, after cleanup)
+ * Entries are model names or { model, pin }; failures are logged and skipped
+ */
+async function preloadModels(entries = config.preload || []) {
+  for (const item of entries) {
+    const name = typeof item === "string" ? item : item.model;
+    const pin = typeof item === "object" && item.pin === true;
+    try {
+      log.info(`preloading ${name}${pin ? " (pinned)" : ""}`);
+      await loadModel(name, { pin, id: "preload" });
+    } catch (err) {
+      log.error(`preload of ${name} failed:`, err.message);
+    }
+  }
+}
+
+/**
+ * Apply a models.json reload to resident models
+ * Owned models whose launch settings changed are drained and restarted, removed ones are stopped;
+ * other changes (maxTokens, prompts, keepWarm...) apply to the resident entry directly
+ */
+async function applyModelsReload() {
+  models = getModels().models || getModels()["llama-models"] || {};
+
+  for (const name of pinned) {
+    if (!models[name]) pinned.delete(name);
+  }
+
+  if (current && current.type === "remote") {
+    current = models[current.name] ? { ...current, config: models[current.name] } : null;
+  }
+
+  for (const entry of [...resident.values()]) {
+    const model = models[entry.name];
+    const sameLaunch = model && (model.type || "llama-cpp") === entry.type &&
+      JSON.stringify(buildLaunchConfig(model)) === JSON.stringify(buildLaunchConfig(entry.config));
+
+    if (sameLaunch || (model && !entry.owned)) {
+      const keepWarmChanged = model.keepWarm !== entry.config.keepWarm;
+      entry.config = model;
+      if (keepWarmChanged) {
+        model.keepWarm ? startKeepWarm(entry) : stopKeepWarm(entry);
+      }
+      continue;
+    }
+
+    const action = model ? "restarting" : "stopping";
+    log.info(`${entry.name}: ${model ? "launch settings changed" : "removed from models.json"} - ${action}`);
+    try {
+      await withGpu(async () => {
+        if (resident.get(entry.name) !== entry) return; // Already replaced or evicted meanwhile
+        if (entry.inFlight > 0) await drainModel(entry);
+        await unloadModel(entry.name, model ? "reload" : "removed");
+        if (model) await ensureModel(entry.name, model);
+      }, { id: "config-reload", model: entry.name, priority: PRIORITY_NAMES.high });
+    } catch (err) {
+      log.error(`${action} ${entry.name} after reload failed:`, err.message);
+    }
+  }
+
+  if (global.broadcastModelStatus) {
+    global.broadcastModelStatus();
+  }
+}
+
+onReload(summary => {
+  if (summary.models.added.length + summary.models.removed.length + summary.models.changed.length === 0) return;
+  return applyModelsReload();
+});
+
+/**
+ * Port of a resident model
+ */
+function getModelPort(modelName) {
+  const entry = resident.get(modelName);
+  if (!entry) throw new Error("model not resident: " + modelName);
+  return entry.port;
 }
 
 function getCurrentModel() {
@@ -286,4 +973,54 @@ function getCurrentModel() {
   return current;
 }
 
-module.exports = { withGpu, ensureModel, getCurrentPort, getCurrentModel };
+/**
+ * Snapshot of resident models for status broadcasts
+ */
+function getResidentModels() {
+  return [...resident.values()].map(entry => ({
+    name: entry.name,
+    type: entry.type,
+    port: entry.port,
+    owned: entry.owned,
+    vramMb: estimateVramMb(entry.name, entry.config),
+    gpu: entry.type === "llama-cpp" ? resolveGpuSettings(entry.config) : null,
+    pinned: pinned.has(entry.name),
+    inFlight: entry.inFlight,
+    lastUsed: entry.lastUsed,
+    idleUnloadAt: idleUnloadAt(entry)
+  }));
+}
+
+/**
+ * What a resident model's process was started with (null for adopted processes and non-resident models)
+ * @returns {{ pid: number, bin: string, args: string[] }|null}
+ */
+function getLaunchedCommand(modelName) {
+  const entry = resident.get(modelName);
+  if (!entry || !entry.owned || !entry.proc || !entry.proc.spawnargs) return null;
+  return {
+    pid: entry.proc.pid,
+    bin: entry.proc.spawnfile,
+    args: entry.proc.spawnargs.slice(1)
+  };
+}
+
+module.exports = {
+  withGpu,
+  parsePriority,
+  getQueueStatus,
+  ensureModel,
+  acquireModel,
+  retainModel,
+  unloadModel,
+  loadModel,
+  stopModel,
+  setPinned,
+  preloadModels,
+  getModelPort,
+  getCurrentModel,
+  getResidentModels,
+  checkModelGpus,
+  buildLaunchConfig,
+  getLaunchedCommand
+};
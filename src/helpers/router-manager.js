@@ -1,9 +1,11 @@
 const fs = require("fs");
 const path = require("path");
 const { execa } = require("execa");
-const { startLlama, isLlamaOnPort } = require("./llama");
+const { startLlama, stopLlama, isLlamaOnPort } = require("./llama");
 const { createLogger } = require("./logger");
-const { loadModels } = require("./config");
+const { getModels, onReload } = require("./config-store");
+const { getMissingFiles, isAutoDownloadEnabled, downloadModel } = require("./downloader");
+const { describeExit, planRestart, reportCrash } = require("./crash-monitor");
 
 const log = createLogger("router-manager");
 
@@ -45,12 +47,45 @@ async function killPort(port) {
 let routerProc = null;
 let routerConfig = null;
 
+/**
+ * llama-server settings for the routing model (compared on reload to decide on a restart)
+ */
+function buildRouterStartConfig(routerSettings, modelConfig) {
+  const routerStartConfig = {
+    repo: modelConfig.repo,
+    file: modelConfig.file,
+    port: routerSettings.port
+  };
+  if (modelConfig.path) {
+    routerStartConfig.path = modelConfig.path;
+  }
+
+  // Add context size if specified in router settings
+  if (routerSettings.context) {
+    routerStartConfig.context = routerSettings.context;
+  }
+
+  // The router model's own GPU settings (models.json "gpu") apply to the routing instance too
+  if (modelConfig.gpu) {
+    routerStartConfig.gpu = modelConfig.gpu;
+  }
+
+  // So do its passthrough options
+  for (const key of ["extraArgs", "env", "builtinArgs"]) {
+    if (modelConfig[key] !== undefined) {
+      routerStartConfig[key] = modelConfig[key];
+    }
+  }
+
+  return routerStartConfig;
+}
+
 /**
  * Start the routing llama.cpp instance
  * This is a dedicated small model that runs permanently for fast routing decisions
  */
 async function startRouter() {
-  const modelsConfig = loadModels();
+  const modelsConfig = getModels();
 
   const routerSettings = modelsConfig.router;
   if (!routerSettings) {
@@ -68,14 +103,26 @@ async function startRouter() {
     return;
   }
 
+  const routerStartConfig = buildRouterStartConfig(routerSettings, modelConfig);
   routerConfig = {
     modelName: routerModelName,
     port: routerPort,
-    config: modelConfig
+    config: modelConfig,
+    startConfig: routerStartConfig
   };
 
   log.info("Starting routing model:", routerModelName, "on port", routerPort);
 
+  // Fetch the GGUF first so waitForRouter's timeout does not cover the download
+  const missing = getMissingFiles(routerStartConfig);
+  if (missing.length > 0) {
+    if (!isAutoDownloadEnabled()) {
+      throw new Error(`model not downloaded: ${routerModelName} (POST /admin/models/${routerModelName}/download)`);
+    }
+    log.info("Downloading routing model:", routerModelName);
+    await downloadModel(routerModelName, routerStartConfig);
+  }
+
   // Kill any existing process on this port
   await killPort(routerPort);
 
@@ -86,16 +133,8 @@ async function startRouter() {
   }
 
   // Start the router
-  const routerStartConfig = {
-    repo: modelConfig.repo,
-    file: modelConfig.file,
-    port: routerPort
-  };
-  
-  // Add context size if specified in router settings
-  if (routerSettings.context) {
-    routerStartConfig.context = routerSettings.context;
-    log.info("Router context size:", routerSettings.context);
+  if (routerStartConfig.context) {
+    log.info("Router context size:", routerStartConfig.context);
   }
   
   routerProc = startLlama(routerStartConfig);
@@ -115,6 +154,65 @@ async function startRouter() {
     });
     log.success("Registered router PID:", routerProc.pid);
   }
+
+  watchRouter(routerProc, routerModelName);
+}
+
+/**
+ * Treat an exit of the routing llama-server we did not ask for as a crash:
+ * lols-smart uses the default category until the router is restarted with backoff
+ */
+function watchRouter(proc, modelName) {
+  const onExit = exit => {
+    if (routerProc !== proc) return; // Stopped for a restart
+
+    routerProc = null;
+    routerConfig = null;
+    if (proc.pid && global.modelRegistry) {
+      global.modelRegistry.delete(proc.pid);
+    }
+
+    const plan = planRestart("router", true);
+    reportCrash({
+      model: modelName,
+      router: true,
+      ...describeExit(exit),
+      stderr: proc.stderrTail || [],
+      ...plan
+    });
+    if (plan.restartInMs !== null) {
+      scheduleRouterRestart(plan.restartInMs);
+    }
+  };
+  proc.then(onExit, onExit);
+}
+
+/**
+ * Start the routing model again after a crash; a failed start counts as another crash
+ */
+function scheduleRouterRestart(delayMs) {
+  setTimeout(async () => {
+    if (routerProc) return; // Already started again (reload)
+
+    try {
+      await startRouter();
+    } catch (err) {
+      log.error("Router restart failed:", err.message);
+      const proc = routerProc;
+      routerProc = null;
+      routerConfig = null;
+      if (proc) {
+        await stopLlama(proc);
+      }
+      const plan = planRestart("router", true);
+      if (plan.restartInMs !== null) {
+        log.warn(`Retrying router in ${plan.restartInMs}ms`);
+        scheduleRouterRestart(plan.restartInMs);
+      } else if (plan.crashLoop) {
+        log.error(`Router failed ${plan.crashes} times - giving up until lols-router is restarted`);
+      }
+    }
+  }, delayMs).unref();
 }
 
 async function waitForRouter(port, timeoutMs = 60000) {
@@ -135,8 +233,58 @@ function getRouterPort() {
   return routerConfig.port;
 }
 
+/**
+ * What the routing llama-server was started with (null when it isn't running or was adopted)
+ * @returns {{ modelName: string, pid: number, bin: string, args: string[] }|null}
+ */
+function getRouterCommand() {
+  if (!routerProc || !routerConfig || !routerProc.spawnargs) return null;
+  return {
+    modelName: routerConfig.modelName,
+    pid: routerProc.pid,
+    bin: routerProc.spawnfile,
+    args: routerProc.spawnargs.slice(1)
+  };
+}
+
 function isRouterRunning() {
   return routerConfig !== null;
 }
 
-module.exports = { startRouter, getRouterPort, isRouterRunning };
+/**
+ * Use a routing model that is already listening on a port instead of starting one
+ * (scripts/eval-routing.js against a running router, a scratch model or a stub server)
+ */
+function attachRouter(port, modelName = null) {
+  routerConfig = { modelName, port, config: null };
+  log.info("Using routing model on port", port + (modelName ? ` (${modelName})` : ""));
+}
+
+/**
+ * Restart the routing model after a reload changed how it is launched
+ * (router model, port, context or the router model's repo/file/path)
+ * Rules, prompts and thresholds are read per request and need no restart
+ */
+onReload(async () => {
+  if (!routerProc || !routerConfig) return;
+
+  const modelsConfig = getModels();
+  const routerSettings = modelsConfig.router;
+  const models = modelsConfig.models || modelsConfig["llama-models"] || {};
+  const modelConfig = routerSettings && models[routerSettings.model];
+  if (modelConfig && JSON.stringify(buildRouterStartConfig(routerSettings, modelConfig)) === JSON.stringify(routerConfig.startConfig)) {
+    return;
+  }
+
+  log.info("Router launch settings changed - restarting routing model");
+  const proc = routerProc;
+  routerProc = null;
+  routerConfig = null; // lols-smart uses the default category until the new router is ready
+  if (proc.pid && global.modelRegistry) {
+    global.modelRegistry.delete(proc.pid);
+  }
+  await stopLlama(proc);
+  await startRouter();
+});
+
+module.exports = { startRouter, attachRouter, getRouterPort, isRouterRunning, buildRouterStartConfig, getRouterCommand };
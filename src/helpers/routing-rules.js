@@ -0,0 +1,166 @@
+/**
+ * Rule-based Pre-Router
+ *
+ * Declarative rules from models.json ("router.rules") evaluated before the
+ * LLM classifier. A rule maps a request to a lols-smart category when every
+ * condition in its "match" object holds:
+ *
+ *   lastUserMessage      regex tested against the last user message ("/pattern/flags" or plain, case-insensitive)
+ *   hasTools             true/false - request defines tools
+ *   hasImages            true/false - any message contains an image
+ *   minMessages, maxMessages   message count
+ *   minTokens, maxTokens       estimated prompt tokens
+ *   headers              { "header-name": regex | true } - header present / value matches
+ *   keys                 API key names (see auth)
+ *   codeBlocks           code block languages or file extensions (```python, ```main.rs -> "rs")
+ *
+ * The matching rule with the highest confidence wins (earlier rules win ties).
+ */
+
+const { countMessageTokens } = require("./context-truncate");
+const { createLogger } = require("./logger");
+
+const log = createLogger("rules");
+
+const regexCache = new Map();
+
+/**
+ * Compile "/pattern/flags" or a plain pattern (case-insensitive); null if invalid
+ */
+function compileRegex(pattern) {
+  if (regexCache.has(pattern)) return regexCache.get(pattern);
+
+  let regex = null;
+  try {
+    const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+    regex = literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, "i");
+  } catch (err) {
+    log.warn(`invalid regex in routing rule: ${pattern} (${err.message})`);
+  }
+  regexCache.set(pattern, regex);
+  return regex;
+}
+
+function textOf(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === "text" && part.text).map(part => part.text).join("\n");
+  }
+  return "";
+}
+
+/**
+ * Text of the last user message (text parts joined), "" if there is none
+ */
+function lastUserText(payload) {
+  const messages = (payload && payload.messages) || [];
+  const lastUser = messages.filter(m => m.role === "user").pop();
+  return lastUser ? textOf(lastUser.content) : "";
+}
+
+/**
+ * Languages and file extensions named in fenced code block info strings
+ */
+function codeBlockLanguages(text) {
+  const languages = new Set();
+  const fence = /^\s*(```|~~~)\s*([^\s`]+)/gm;
+  let match;
+  while ((match = fence.exec(text)) !== null) {
+    const info = match[2].toLowerCase();
+    languages.add(info);
+    const dot = info.lastIndexOf(".");
+    if (dot !== -1 && dot < info.length - 1) {
+      languages.add(info.slice(dot + 1));
+    }
+  }
+  return languages;
+}
+
+/**
+ * Facts about a request that rules match against (computed once per request)
+ * @param {object} payload - OpenAI chat completion body
+ * @param {object} context - { headers, key } from the HTTP request
+ */
+function describeRequest(payload, context = {}) {
+  const messages = (payload && payload.messages) || [];
+  const allText = messages.map(m => textOf(m.content)).join("\n");
+
+  return {
+    lastUserMessage: lastUserText(payload),
+    hasTools: Array.isArray(payload && payload.tools) && payload.tools.length > 0,
+    hasImages: messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === "image_url" || part.type === "image")),
+    messageCount: messages.length,
+    tokens: messages.reduce((sum, m) => sum + countMessageTokens(m), 0),
+    headers: context.headers || {},
+    key: context.key || null,
+    codeBlocks: codeBlockLanguages(allText)
+  };
+}
+
+function matchesHeaders(expected, headers) {
+  return Object.entries(expected).every(([name, pattern]) => {
+    const value = headers[name.toLowerCase()];
+    if (value === undefined) return pattern === false;
+    if (pattern === true) return true;
+    if (pattern === false) return false;
+    const regex = compileRegex(String(pattern));
+    return !!regex && regex.test(String(value));
+  });
+}
+
+/**
+ * True when every condition of a rule's match object holds
+ */
+function ruleMatches(match, facts) {
+  if (match.lastUserMessage !== undefined) {
+    const regex = compileRegex(match.lastUserMessage);
+    if (!regex || !regex.test(facts.lastUserMessage)) return false;
+  }
+  if (match.hasTools !== undefined && match.hasTools !== facts.hasTools) return false;
+  if (match.hasImages !== undefined && match.hasImages !== facts.hasImages) return false;
+  if (match.minMessages !== undefined && facts.messageCount < match.minMessages) return false;
+  if (match.maxMessages !== undefined && facts.messageCount > match.maxMessages) return false;
+  if (match.minTokens !== undefined && facts.tokens < match.minTokens) return false;
+  if (match.maxTokens !== undefined && facts.tokens > match.maxTokens) return false;
+  if (match.headers && !matchesHeaders(match.headers, facts.headers)) return false;
+  if (match.keys && !match.keys.includes(facts.key)) return false;
+  if (match.codeBlocks && !match.codeBlocks.some(lang => facts.codeBlocks.has(String(lang).toLowerCase()))) return false;
+  return true;
+}
+
+/**
+ * Find the best matching routing rule
+ * @param {Array} rules - models.json router.rules
+ * @param {object} payload - OpenAI chat completion body
+ * @param {object} context - { headers, key }
+ * @param {object} categories - lols-smart config (rules for unknown categories are skipped)
+ * @returns {{ rule: string, category: string, confidence: number } | null}
+ */
+function matchRoutingRule(rules, payload, context, categories) {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+
+  const facts = describeRequest(payload, context);
+  let best = null;
+
+  rules.forEach((rule, index) => {
+    if (!rule || !rule.category || !categories[rule.category]) {
+      log.warn(`routing rule ${rule && rule.name || index} has no valid category - skipping`);
+      return;
+    }
+    if (!ruleMatches(rule.match || {}, facts)) return;
+
+    const confidence = rule.confidence === undefined ? 1 : rule.confidence;
+    if (!best || confidence > best.confidence) {
+      best = { rule: rule.name || `rule ${index + 1}`, category: rule.category, confidence };
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  matchRoutingRule,
+  describeRequest,
+  ruleMatches,
+  lastUserText
+};
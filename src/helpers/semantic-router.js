@@ -0,0 +1,210 @@
+/**
+ * Embedding-based Semantic Routing
+ *
+ * router.mode "embedding": each lols-smart category lists example utterances
+ * ("examples"). Their embeddings are averaged into one centroid per category
+ * (computed once, recomputed when the examples change). A request goes to the
+ * category whose centroid is most cosine-similar to its last user message,
+ * if the similarity reaches router.embedding.threshold.
+ *
+ * Embeddings come from router.embedding.model, a models.json model with
+ * "embedding": true loaded through the orchestrator. It is pinned on first
+ * use, so lols-smart requests never swap it against the chat models.
+ */
+
+const { fetch } = require("undici");
+const { createLogger } = require("./logger");
+
+const log = createLogger("semantic");
+
+const DEFAULT_THRESHOLD = 0.5;
+const EMBEDDING_TIMEOUT_MS = 5000;
+
+let centroidState = { key: null, promise: null };
+let pinnedModel = null;
+
+function getEmbeddingSettings(routerConfig) {
+  return {
+    model: null,
+    threshold: DEFAULT_THRESHOLD,
+    ...(routerConfig.embedding || {})
+  };
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length > 0 ? vector.map(v => v / length) : vector;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Mean of normalized vectors, normalized (cosine centroid)
+ */
+function centroid(vectors) {
+  const sum = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors.map(normalize)) {
+    vector.forEach((v, i) => { sum[i] += v; });
+  }
+  return normalize(sum);
+}
+
+/**
+ * One vector per input; token-level embeddings (no pooling on the server) are mean-pooled here
+ */
+function toVector(embedding) {
+  if (Array.isArray(embedding[0])) {
+    return embedding[0].map((_, i) => embedding.reduce((sum, token) => sum + token[i], 0) / embedding.length);
+  }
+  return embedding;
+}
+
+async function requestEmbeddings(port, texts) {
+  const response = await fetch(`http://127.0.0.1:${port}/v1/embeddings`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ input: texts }),
+    signal: AbortSignal.timeout(EMBEDDING_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`embeddings returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+
+  const result = await response.json();
+  const data = (result.data || []).slice().sort((a, b) => a.index - b.index);
+  if (data.length !== texts.length) {
+    throw new Error(`expected ${texts.length} embeddings, got ${data.length}`);
+  }
+  return data.map(item => toVector(item.embedding));
+}
+
+/**
+ * Embed texts with the configured embedding model
+ * @returns {Promise<number[][]>}
+ */
+async function embed(texts, settings, models) {
+  if (!settings.model) {
+    throw new Error("router.embedding.model is not set");
+  }
+
+  const modelConfig = models[settings.model];
+  if (!modelConfig) {
+    throw new Error(`unknown embedding model: ${settings.model}`);
+  }
+
+  const { acquireModel, getModelPort, getResidentModels, setPinned } = require("./orchestrator");
+
+  // Dry runs never load models: use the embedding model only if it is already resident
+  if (settings.dryRun) {
+    let port;
+    try {
+      port = getModelPort(settings.model);
+    } catch (err) {
+      throw new Error(`embedding model ${settings.model} is not loaded (dry run)`);
+    }
+    return requestEmbeddings(port, texts);
+  }
+
+  // Keep the embedding model loaded next to the chat models instead of evicting them per request
+  // (an admin unload drops the pin; it is set again here on the next request)
+  if (pinnedModel && pinnedModel !== settings.model) {
+    setPinned(pinnedModel, false);
+  }
+  const entry = getResidentModels().find(model => model.name === settings.model);
+  if (!entry || !entry.pinned) {
+    log.info(`pinning embedding model ${settings.model}`);
+    setPinned(settings.model, true);
+  }
+  pinnedModel = settings.model;
+
+  const lease = await acquireModel(settings.model, modelConfig, { id: "semantic-router" });
+  try {
+    return await requestEmbeddings(lease.port, texts);
+  } finally {
+    lease.release();
+  }
+}
+
+/**
+ * Category centroids, computed once per set of examples
+ * @returns {Promise<Map<string, number[]>>}
+ */
+function getCentroids(categories, settings, models) {
+  const examples = Object.entries(categories)
+    .filter(([, cfg]) => cfg && typeof cfg === "object" && Array.isArray(cfg.examples) && cfg.examples.length > 0)
+    .map(([name, cfg]) => [name, cfg.examples]);
+  const key = JSON.stringify([settings.model, examples]);
+
+  if (centroidState.key !== key) {
+    const startedAt = Date.now();
+    const promise = (async () => {
+      const texts = examples.flatMap(([, list]) => list);
+      const vectors = texts.length > 0 ? await embed(texts, settings, models) : [];
+
+      const byCategory = new Map();
+      let offset = 0;
+      for (const [name, list] of examples) {
+        byCategory.set(name, centroid(vectors.slice(offset, offset + list.length)));
+        offset += list.length;
+      }
+      log.info(`embedded ${texts.length} examples for ${byCategory.size} categories (${Date.now() - startedAt}ms)`);
+      return byCategory;
+    })();
+
+    centroidState = { key, promise };
+    // Retry on the next request if embedding failed
+    promise.catch(() => {
+      if (centroidState.promise === promise) centroidState = { key: null, promise: null };
+    });
+  }
+
+  return centroidState.promise;
+}
+
+/**
+ * Route text to the nearest category centroid
+ * @param {string} text - Last user message
+ * @param {object} categories - lols-smart config
+ * @param {object} routerConfig - models.json router config
+ * @param {object} models - models.json models (for router.embedding.model)
+ * @param {object} [options] - { dryRun } to only use an embedding model that is already loaded
+ * @returns {Promise<{ category: string|null, similarity: number, durationMs: number }>}
+ *   category is null when no centroid reaches the threshold (or no category has examples)
+ */
+async function classifyByEmbedding(text, categories, routerConfig, models, options = {}) {
+  const settings = { ...getEmbeddingSettings(routerConfig), dryRun: !!options.dryRun };
+  const startedAt = Date.now();
+
+  const centroids = await getCentroids(categories, settings, models);
+  if (centroids.size === 0) {
+    log.warn("router.mode is \"embedding\" but no lols-smart category has examples");
+    return { category: null, similarity: 0, durationMs: 0 };
+  }
+
+  const [vector] = await embed([text], settings, models);
+  const query = normalize(vector);
+
+  let best = { category: null, similarity: -1 };
+  for (const [name, center] of centroids) {
+    const similarity = dot(query, center);
+    if (similarity > best.similarity) best = { category: name, similarity };
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const similarity = Math.round(best.similarity * 1000) / 1000;
+  if (best.similarity < settings.threshold) {
+    log.info(`nearest category ${best.category} (similarity ${similarity}) is below threshold ${settings.threshold}`);
+    return { category: null, similarity, durationMs };
+  }
+  return { category: best.category, similarity, durationMs };
+}
+
+module.exports = {
+  classifyByEmbedding,
+  centroid,
+  normalize
+};
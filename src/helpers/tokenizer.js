@@ -0,0 +1,471 @@
+/**
+ * Tokenizer-based Token Counting
+ *
+ * Counts tokens with the model's real tokenizer instead of a character estimate.
+ * Sources, in order:
+ * 1. llama-server POST /tokenize - when the model is resident
+ * 2. GGUF vocabulary - pure-JS BPE (gpt2/qwen2/llama3) or SentencePiece (llama)
+ *    tokenizer loaded from the model file in the llama.cpp cache
+ * 3. Character estimate (estimateTokens) - remote models, or nothing else available
+ *
+ * Exact counts are cached per model, keyed by a hash of the text.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { fetch } = require("undici");
+const config = require("./config");
+const { readGgufMetadata } = require("./gguf");
+const { getModelFilePath } = require("./llama");
+const { createLogger } = require("./logger");
+const { estimateTokens } = require("./context-truncate");
+
+const log = createLogger("tokenizer");
+
+// Per-message framing added by chat templates (e.g. "<|im_start|>user\n" ... "<|im_end|>\n")
+const TEMPLATE_OVERHEAD_TOKENS = 5;
+// Framing when counts are estimated (same as the original estimator)
+const ESTIMATE_OVERHEAD_TOKENS = 10;
+// Images consume significant tokens (rough estimate: 256-512 tokens per image)
+const IMAGE_TOKENS = 400;
+
+function getTokenizerConfig() {
+  return {
+    enabled: true,
+    cacheEntries: 10000,
+    ...(config.tokenizer || {})
+  };
+}
+
+/**
+ * Text and image count of a message (text parts, string content and tool calls)
+ * @returns {{ text: string, images: number }}
+ */
+function messageParts(message) {
+  const texts = [];
+  let images = 0;
+
+  if (Array.isArray(message.content)) {
+    for (const item of message.content) {
+      if (item.type === "text" && item.text) {
+        texts.push(item.text);
+      } else if (item.type === "image_url") {
+        images++;
+      }
+    }
+  } else if (typeof message.content === "string") {
+    texts.push(message.content);
+  }
+
+  if (Array.isArray(message.tool_calls)) {
+    for (const call of message.tool_calls) {
+      if (call.function) {
+        texts.push(`${call.function.name || ""}(${call.function.arguments || ""})`);
+      }
+    }
+  }
+
+  return { text: texts.join("\n"), images };
+}
+
+/**
+ * Max-heap of candidate merges: highest score first, leftmost on ties
+ * Shared by both tokenizers (BPE queues the negated merge rank as score)
+ */
+class MergeQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  higher(a, b) {
+    return a.score > b.score || (a.score === b.score && a.left < b.left);
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.higher(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < items.length && this.higher(items[l], items[best])) best = l;
+        if (r < items.length && this.higher(items[r], items[best])) best = r;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Byte-level BPE (tokenizer.ggml.model = "gpt2")
+// ---------------------------------------------------------------------------
+
+// Pre-tokenizer patterns by tokenizer.ggml.pre (same splits as llama.cpp)
+const PRE_TOKENIZERS = {
+  "gpt-2": /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu,
+  "llama3": /(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu,
+  "qwen2": /(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+};
+
+const PRE_TOKENIZER_ALIASES = {
+  "default": "gpt-2",
+  "gpt2": "gpt-2",
+  "llama-bpe": "llama3",
+  "llama3": "llama3",
+  "smaug-bpe": "llama3",
+  "qwen2": "qwen2",
+  "deepseek-r1-qwen": "qwen2"
+};
+
+// GPT-2 byte <-> printable unicode mapping used by byte-level BPE vocabularies
+const BYTE_TO_UNICODE = (() => {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+
+  const map = new Array(256);
+  bytes.forEach(b => { map[b] = String.fromCharCode(b); });
+
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    if (map[b] === undefined) {
+      map[b] = String.fromCharCode(256 + extra);
+      extra++;
+    }
+  }
+  return map;
+})();
+
+class BpeTokenizer {
+  constructor({ tokens, merges, pre }) {
+    this.vocab = new Map(tokens.map((token, id) => [token, id]));
+    this.ranks = new Map(merges.map((merge, rank) => [merge, rank]));
+    this.pattern = PRE_TOKENIZERS[PRE_TOKENIZER_ALIASES[pre] || "llama3"];
+    this.wordCache = new Map();
+  }
+
+  bpe(word) {
+    const cached = this.wordCache.get(word);
+    if (cached) return cached;
+
+    // Symbols as a linked list, merges from a heap (lowest rank first): long words stay near-linear
+    const symbols = Array.from(word);
+    const prev = symbols.map((_, i) => i - 1);
+    const next = symbols.map((_, i) => (i + 1 < symbols.length ? i + 1 : -1));
+    const queue = new MergeQueue();
+
+    const tryAdd = (left, right) => {
+      if (left < 0 || right < 0) return;
+      const rank = this.ranks.get(symbols[left] + " " + symbols[right]);
+      if (rank === undefined) return;
+      queue.push({ left, right, score: -rank, leftText: symbols[left], rightText: symbols[right] });
+    };
+
+    for (let i = 0; i + 1 < symbols.length; i++) tryAdd(i, i + 1);
+
+    while (queue.size > 0) {
+      const { left, right, leftText, rightText } = queue.pop();
+      // Stale entry: one side was merged away since it was queued
+      if (next[left] !== right || symbols[left] !== leftText || symbols[right] !== rightText) continue;
+
+      symbols[left] = leftText + rightText;
+      symbols[right] = null;
+      next[left] = next[right];
+      if (next[right] >= 0) prev[next[right]] = left;
+
+      tryAdd(prev[left], left);
+      tryAdd(left, next[left]);
+    }
+
+    const ids = [];
+    for (let i = 0; i >= 0 && i < symbols.length; i = next[i]) {
+      const id = this.vocab.get(symbols[i]);
+      if (id !== undefined) ids.push(id);
+    }
+    if (this.wordCache.size > 50000) this.wordCache.clear();
+    this.wordCache.set(word, ids);
+    return ids;
+  }
+
+  encode(text) {
+    const ids = [];
+    for (const match of text.matchAll(this.pattern)) {
+      const mapped = Array.from(Buffer.from(match[0], "utf8"), b => BYTE_TO_UNICODE[b]).join("");
+      ids.push(...this.bpe(mapped));
+    }
+    return ids;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SentencePiece BPE (tokenizer.ggml.model = "llama")
+// ---------------------------------------------------------------------------
+
+class SpmTokenizer {
+  constructor({ tokens, scores, addSpacePrefix }) {
+    this.vocab = new Map(tokens.map((token, id) => [token, id]));
+    this.scores = scores || [];
+    this.addSpacePrefix = addSpacePrefix !== false;
+  }
+
+  encode(text) {
+    const normalized = ((this.addSpacePrefix ? " " : "") + text).replace(/ /g, "▁");
+    const symbols = Array.from(normalized);
+    const prev = symbols.map((_, i) => i - 1);
+    const next = symbols.map((_, i) => (i + 1 < symbols.length ? i + 1 : -1));
+    const queue = new MergeQueue();
+
+    const tryAdd = (left, right) => {
+      if (left < 0 || right < 0) return;
+      const merged = symbols[left] + symbols[right];
+      const id = this.vocab.get(merged);
+      if (id === undefined) return;
+      queue.push({ left, right, score: this.scores[id] || 0, text: merged });
+    };
+
+    for (let i = 0; i + 1 < symbols.length; i++) tryAdd(i, i + 1);
+
+    while (queue.size > 0) {
+      const { left, right, text } = queue.pop();
+      // Stale entry: one side was merged away since it was queued
+      if (symbols[left] === null || symbols[right] === null || symbols[left] + symbols[right] !== text) continue;
+
+      symbols[left] = text;
+      symbols[right] = null;
+      next[left] = next[right];
+      if (next[right] >= 0) prev[next[right]] = left;
+
+      tryAdd(prev[left], left);
+      tryAdd(left, next[left]);
+    }
+
+    const ids = [];
+    for (let i = 0; i >= 0 && i < symbols.length; i = next[i]) {
+      const id = this.vocab.get(symbols[i]);
+      if (id !== undefined) {
+        ids.push(id);
+        continue;
+      }
+      // Byte fallback: one <0xXX> token per UTF-8 byte
+      for (const byte of Buffer.from(symbols[i], "utf8")) {
+        const hex = "<0x" + byte.toString(16).toUpperCase().padStart(2, "0") + ">";
+        ids.push(this.vocab.has(hex) ? this.vocab.get(hex) : 0);
+      }
+    }
+    return ids;
+  }
+}
+
+/**
+ * Build a tokenizer from GGUF metadata
+ * @param {object} metadata - From readGgufMetadata()
+ * @returns {BpeTokenizer|SpmTokenizer}
+ */
+function createTokenizerFromMetadata(metadata) {
+  const type = metadata["tokenizer.ggml.model"];
+  const tokens = metadata["tokenizer.ggml.tokens"];
+  if (!tokens) throw new Error("GGUF has no tokenizer vocabulary");
+
+  if (type === "gpt2") {
+    return new BpeTokenizer({
+      tokens,
+      merges: metadata["tokenizer.ggml.merges"] || [],
+      pre: metadata["tokenizer.ggml.pre"] || "default"
+    });
+  }
+  if (type === "llama") {
+    return new SpmTokenizer({
+      tokens,
+      scores: metadata["tokenizer.ggml.scores"],
+      addSpacePrefix: metadata["tokenizer.ggml.add_space_prefix"]
+    });
+  }
+  throw new Error(`unsupported tokenizer type: ${type}`);
+}
+
+// GGUF path -> tokenizer (null when it could not be loaded)
+const ggufTokenizers = new Map();
+
+function getGgufTokenizer(modelConfig) {
+  const filePath = getModelFilePath(modelConfig);
+  if (!filePath) return null;
+  if (ggufTokenizers.has(filePath)) return ggufTokenizers.get(filePath);
+
+  let tokenizer = null;
+  if (fs.existsSync(filePath)) {
+    const started = Date.now();
+    try {
+      const { metadata } = readGgufMetadata(filePath, key => key.startsWith("tokenizer.ggml."));
+      tokenizer = createTokenizerFromMetadata(metadata);
+      log.info(`loaded ${metadata["tokenizer.ggml.model"]} tokenizer from ${filePath} (${Date.now() - started}ms)`);
+    } catch (err) {
+      log.warn(`cannot use tokenizer from ${filePath}:`, err.message);
+    }
+    ggufTokenizers.set(filePath, tokenizer);
+  }
+  return tokenizer;
+}
+
+// ---------------------------------------------------------------------------
+// Counting with cache
+// ---------------------------------------------------------------------------
+
+// sha1(model + text) -> { tokens, source }
+const countCache = new Map();
+
+function cacheKey(modelName, text) {
+  return crypto.createHash("sha1").update(modelName).update("\0").update(text).digest("hex");
+}
+
+function cacheSet(key, value) {
+  const { cacheEntries } = getTokenizerConfig();
+  if (countCache.size >= cacheEntries) {
+    // Maps iterate in insertion order: drop the oldest entry
+    countCache.delete(countCache.keys().next().value);
+  }
+  countCache.set(key, value);
+}
+
+async function tokenizeWithServer(port, text) {
+  const response = await fetch(`http://127.0.0.1:${port}/tokenize`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ content: text }),
+    signal: AbortSignal.timeout(5000)
+  });
+  if (!response.ok) throw new Error(`/tokenize returned ${response.status}`);
+  const data = await response.json();
+  return data.tokens.length;
+}
+
+function getResidentPort(modelName) {
+  try {
+    return require("./orchestrator").getModelPort(modelName);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Count tokens of several texts with the best tokenizer available for a model
+ * @param {string[]} texts - Texts to count
+ * @param {string} modelName - Model name (cache namespace and resident lookup)
+ * @param {object} modelConfig - Model configuration from models.json
+ * @returns {Promise<{ counts: number[], source: string }>} source: "llama-server", "gguf" or "estimate"
+ */
+async function countTexts(texts, modelName, modelConfig) {
+  const isLocal = modelConfig && (modelConfig.type || "llama-cpp") === "llama-cpp";
+  if (!getTokenizerConfig().enabled || !isLocal || !modelName) {
+    return { counts: texts.map(estimateTokens), source: "estimate" };
+  }
+
+  const counts = new Array(texts.length);
+  const keys = texts.map(text => cacheKey(modelName, text));
+  const missing = [];
+  let source = null;
+
+  texts.forEach((text, i) => {
+    const cached = countCache.get(keys[i]);
+    if (cached) {
+      counts[i] = cached.tokens;
+      source = source || cached.source;
+    } else {
+      missing.push(i);
+    }
+  });
+
+  if (missing.length === 0) {
+    return { counts, source: source || "estimate" };
+  }
+
+  // 1. Resident model: ask llama-server
+  const port = getResidentPort(modelName);
+  if (port) {
+    try {
+      const results = await Promise.all(missing.map(i => tokenizeWithServer(port, texts[i])));
+      missing.forEach((i, n) => {
+        counts[i] = results[n];
+        cacheSet(keys[i], { tokens: results[n], source: "llama-server" });
+      });
+      return { counts, source: "llama-server" };
+    } catch (err) {
+      log.warn(`llama-server tokenize failed for ${modelName}:`, err.message);
+    }
+  }
+
+  // 2. Vocabulary from the GGUF file
+  const tokenizer = getGgufTokenizer(modelConfig);
+  if (tokenizer) {
+    missing.forEach(i => {
+      counts[i] = tokenizer.encode(texts[i]).length;
+      cacheSet(keys[i], { tokens: counts[i], source: "gguf" });
+    });
+    return { counts, source: "gguf" };
+  }
+
+  // 3. Estimate (not cached - cheap, and a later call may have a real tokenizer)
+  missing.forEach(i => {
+    counts[i] = estimateTokens(texts[i]);
+  });
+  return { counts, source: "estimate" };
+}
+
+/**
+ * Count tokens for each message of a conversation
+ * @param {Array} messages - OpenAI-format messages
+ * @param {string} modelName - Model the messages will be sent to
+ * @param {object} modelConfig - Model configuration from models.json
+ * @returns {Promise<{ count: Function, source: string }>} count(message) returns the message's tokens
+ */
+async function createMessageCounter(messages, modelName, modelConfig) {
+  const parts = messages.map(messageParts);
+  const { counts, source } = await countTexts(parts.map(p => p.text), modelName, modelConfig);
+  const overhead = source === "estimate" ? ESTIMATE_OVERHEAD_TOKENS : TEMPLATE_OVERHEAD_TOKENS;
+
+  const byMessage = new Map();
+  messages.forEach((message, i) => {
+    byMessage.set(message, counts[i] + parts[i].images * IMAGE_TOKENS + overhead);
+  });
+
+  return {
+    source,
+    count(message) {
+      if (byMessage.has(message)) return byMessage.get(message);
+      const { text, images } = messageParts(message);
+      return estimateTokens(text) + images * IMAGE_TOKENS + ESTIMATE_OVERHEAD_TOKENS;
+    }
+  };
+}
+
+module.exports = {
+  messageParts,
+  countTexts,
+  createMessageCounter,
+  createTokenizerFromMetadata,
+  IMAGE_TOKENS,
+  ESTIMATE_OVERHEAD_TOKENS
+};
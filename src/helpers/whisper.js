@@ -2,6 +2,7 @@ const { execa } = require("execa");
 const { fetch } = require("undici");
 const fs = require("fs");
 const config = require("./config");
+const { captureStderr } = require("./crash-monitor");
 
 function expandTilde(filepath) {
   if (filepath && filepath.startsWith("~/")) {
@@ -70,16 +71,19 @@ function startWhisper(cfg) {
   console.log("[whisper] Model path:", modelPath);
   console.log("[whisper] Port:", cfg.port);
   
+  // stderr is piped (and forwarded) so crash reports can include its last lines
   const proc = execa(
     WHISPER_BIN,
     args,
     {
-      stdio: "inherit",
+      stdio: ["inherit", "inherit", "pipe"],
+      buffer: false,
       env: {
         ...process.env
       }
     }
   );
+  captureStderr(proc);
   
   // Handle process errors to prevent uncaught exceptions
   proc.catch(err => {
@@ -96,16 +100,22 @@ async function stopWhisper(proc) {
   } catch {}
 }
 
-async function waitReady(port) {
+/**
+ * Poll until the server answers on its port
+ * @param {number} port - Port to poll
+ * @param {AbortSignal} [signal] - Stops polling (e.g. when the process already exited)
+ */
+async function waitReady(port, signal) {
   const base = "http://127.0.0.1:" + port;
 
-  for (;;) {
+  while (!signal || !signal.aborted) {
     try {
       const r = await fetch(base + "/health", { method: "GET" });
       if (r.ok) return;
     } catch {}
     await new Promise(r => setTimeout(r, 150));
   }
+  throw new Error("waitReady aborted");
 }
 
 async function isWhisperOnPort(port) {
@@ -119,4 +129,4 @@ async function isWhisperOnPort(port) {
   }
 }
 
-module.exports = { startWhisper, stopWhisper, waitReady, isWhisperOnPort };
+module.exports = { startWhisper, stopWhisper, waitReady, isWhisperOnPort, getWhisperModels };
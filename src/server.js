@@ -8,11 +8,20 @@ const { cleanupModelPorts } = require("./helpers/cleanup");
 const { startRouter } = require("./helpers/router-manager");
 const { getSystemMetrics } = require("./helpers/system-metrics");
 const { startPeriodicCleanup } = require("./helpers/temp-cleanup");
+const { requireApiKey, requireAdmin, verifyWebSocketClient } = require("./helpers/auth");
+const { onReload, watchConfigFiles, getModels } = require("./helpers/config-store");
 const chat = require("./endpoint/chat");
+const messages = require("./endpoint/messages");
 const audio = require("./endpoint/audio");
 const models = require("./endpoint/models");
 const cleanup = require("./endpoint/cleanup");
 const logging = require("./endpoint/logging");
+const requests = require("./endpoint/requests");
+const metrics = require("./endpoint/metrics");
+const route = require("./endpoint/route");
+const admin = require("./endpoint/admin");
+const adminModels = require("./endpoint/admin-models");
+const adminCache = require("./endpoint/admin-cache");
 const wildcard = require("./endpoint/wildcard");
 const test = require("./endpoint/test");
 
@@ -27,6 +36,14 @@ global.modelRegistry = new Map();
 
 const log = createLogger("server");
 
+// Logging settings from a reloaded config.json replace runtime toggles (/v1/logging)
+onReload(summary => {
+  if (summary.config.includes("logging")) {
+    global.ENABLE_LOGGING = config.logging?.enabled !== false;
+    global.DEBUG = config.logging?.debug === true;
+  }
+});
+
 // Startup sequence
 (async () => {
   banner("LOLS-ROUTER STARTUP");
@@ -34,6 +51,16 @@ const log = createLogger("server");
   // Log configuration
   log.info(`Server: ${config.server.host}:${config.server.port}`);
   log.info(`Logging: ${config.logging.enabled ? 'enabled' : 'disabled'} (debug: ${config.logging.debug})`);
+
+  // Validate config.json and models.json (problems are reported; startup continues)
+  const configData = Object.fromEntries(Object.entries(config).filter(([, value]) => typeof value !== "function"));
+  const validation = config.validateConfig(configData, getModels());
+  validation.errors.forEach(issue => log.error(config.formatIssue(issue)));
+  validation.warnings.forEach(issue => log.warn(config.formatIssue(issue)));
+  if (validation.errors.length > 0) {
+    log.error(`${validation.errors.length} configuration error(s) - affected models and categories will fail at request time (npm run validate-config)`);
+  }
+  await require("./helpers/orchestrator").checkModelGpus();
   
   // Step 1: Clean up any residual model processes (if enabled)
   if (config.cleanup.enabled) {
@@ -53,11 +80,19 @@ const log = createLogger("server");
   } else {
     log.info("Router model disabled in config");
   }
+
+  // Step 3: Load config.json "preload" models so the first requests are not cold starts
+  const preload = config.preload || [];
+  if (preload.length > 0) {
+    log.info(`Preloading ${preload.length} model(s)...`);
+    await require("./helpers/orchestrator").preloadModels(preload);
+  }
 })();
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Web UI WebSocket requires an admin key (?key=) when auth is enabled
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
 
 // WebSocket clients
 const wsClients = new Set();
@@ -68,8 +103,9 @@ wss.on("connection", (ws) => {
   wsLog.success("Client connected");
   wsClients.add(ws);
   
-  // Send current model status immediately
+  // Send current model and queue status immediately
   broadcastModelStatus();
+  broadcastQueueStatus(require("./helpers/orchestrator").getQueueStatus());
   
   ws.on("close", () => {
     wsLog.info("Client disconnected");
@@ -85,6 +121,7 @@ wss.on("connection", (ws) => {
 function broadcastModelStatus() {
   const orchestrator = require("./helpers/orchestrator");
   const { resolveSystemPrompt } = require("./helpers/config");
+  const { resolveGpuSettings } = require("./helpers/llama");
   
   try {
     const current = orchestrator.getCurrentModel();
@@ -103,7 +140,9 @@ function broadcastModelStatus() {
       maxTokens: modelConfig.maxTokens || null,
       timeout: modelConfig.timeout || null,
       temperature: modelConfig.temperature || null,
-      topP: modelConfig.topP || null
+      topP: modelConfig.topP || null,
+      gpu: current.type === "llama-cpp" ? resolveGpuSettings(modelConfig) : null,
+      resident: orchestrator.getResidentModels()
     });
     
     wsClients.forEach(client => {
@@ -115,7 +154,8 @@ function broadcastModelStatus() {
     // No model running yet
     const message = JSON.stringify({
       type: "modelStatus",
-      model: null
+      model: null,
+      resident: orchestrator.getResidentModels()
     });
     
     wsClients.forEach(client => {
@@ -202,12 +242,104 @@ function broadcastSystemPromptUsed(systemPrompt, source) {
   });
 }
 
+// Broadcast GPU queue depth and positions (sent whenever the scheduler queue changes)
+function broadcastQueueStatus(status) {
+  const message = JSON.stringify({
+    type: "queueStatus",
+    ...status
+  });
+  
+  wsClients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Broadcast a finished request (summary of its audit log record, without bodies)
+function broadcastRequestLogged(record) {
+  const message = JSON.stringify({
+    type: "requestLogged",
+    record: record
+  });
+  
+  wsClients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Broadcast the result of a config reload (file watch or POST /admin/reload)
+function broadcastConfigReloaded(summary) {
+  const message = JSON.stringify({
+    type: "configReloaded",
+    ...summary
+  });
+  
+  wsClients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Broadcast model download progress (throttled by the downloader)
+function broadcastDownloadProgress(job) {
+  const message = JSON.stringify({
+    type: "downloadProgress",
+    ...job
+  });
+  
+  wsClients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Broadcast a model leaving VRAM (reason: requested, evicted, idle, reload or removed)
+function broadcastModelUnloaded(details) {
+  const message = JSON.stringify({
+    type: "modelUnloaded",
+    ...details,
+    timestamp: Date.now()
+  });
+  
+  wsClients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Broadcast a crashed llama/whisper process (exit code or signal, last stderr lines, restart plan)
+function broadcastModelCrashed(details) {
+  const message = JSON.stringify({
+    type: "modelCrashed",
+    ...details,
+    timestamp: Date.now()
+  });
+  
+  wsClients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
 // Make broadcast functions available globally
 global.broadcastModelStatus = broadcastModelStatus;
 global.broadcastCategoryStatus = broadcastCategoryStatus;
 global.broadcastSystemMetrics = broadcastSystemMetrics;
 global.broadcastLog = broadcastLog;
 global.broadcastSystemPromptUsed = broadcastSystemPromptUsed;
+global.broadcastQueueStatus = broadcastQueueStatus;
+global.broadcastRequestLogged = broadcastRequestLogged;
+global.broadcastConfigReloaded = broadcastConfigReloaded;
+global.broadcastDownloadProgress = broadcastDownloadProgress;
+global.broadcastModelUnloaded = broadcastModelUnloaded;
+global.broadcastModelCrashed = broadcastModelCrashed;
 
 // Broadcast system metrics (if enabled)
 if (config.systemMetrics.enabled) {
@@ -217,23 +349,28 @@ if (config.systemMetrics.enabled) {
 
 app.use(express.json({ limit: "10mb" }));
 
-// Accept any API key without validation (for OpenClaw compatibility)
-// OpenClaw can send Authorization headers, but we don't actually check them
-app.use((req, res, next) => {
-  // Just accept any Authorization header and move on
-  // This makes lols-router compatible with clients that expect auth
-  next();
-});
+// API key authentication (config.auth.enabled)
+// Disabled: any Authorization header is accepted (OpenClaw compatibility)
+// Enabled: /v1/* and /metrics need a valid key; admin routes need an admin-scoped key
+app.use(["/v1/cleanup", "/v1/logging", "/test", "/admin"], requireAdmin);
+app.use(["/v1", "/metrics"], requireApiKey);
 
 // Serve static files from webapp directory
 app.use(express.static(path.join(__dirname, "webapp")));
 
 // Order matters: specific routes before wildcards
 app.use(chat);      // /v1/chat/completions (specific)
+app.use(messages);  // /v1/messages (specific, Anthropic format)
 app.use(audio);     // /v1/audio/transcriptions (specific)
 app.use(models);    // /v1/models (specific)
 app.use(cleanup);   // /v1/cleanup (specific)
 app.use(logging);   // /v1/logging (specific)
+app.use(requests);  // /v1/requests (specific, audit log)
+app.use(metrics);   // /metrics (Prometheus)
+app.use(route);     // /v1/route (specific, routing dry run)
+app.use(admin);     // /admin/* (config reload)
+app.use(adminModels); // /admin/models/*, /admin/downloads (launch commands, downloads)
+app.use(adminCache);  // /admin/cache (cached model files)
 app.use(wildcard);  // /v1/* (catch-all for other endpoints)
 app.use(test);      // /test/*
 
@@ -243,6 +380,9 @@ server.listen(config.server.port, config.server.host, () => {
   
   // Start periodic temp file cleanup (every 30 min, files older than 60 min)
   startPeriodicCleanup(30, 60);
+
+  // Reload config.json, models.json, keys and prompts when they change
+  watchConfigFiles();
   
   banner("SERVER READY");
 });
@@ -14,6 +14,7 @@ const sendBtn = document.getElementById('sendBtn');
 const clearBtn = document.getElementById('clearBtn');
 const outputEl = document.getElementById('output');
 const currentCategoryEl = document.getElementById('currentCategory');
+const queueStatusEl = document.getElementById('queueStatus');
 const tokensPerSecEl = document.getElementById('tokensPerSec');
 const imageInput = document.getElementById('imageInput');
 const imagePreview = document.getElementById('imagePreview');
@@ -45,6 +46,26 @@ const timeoutDisplayEl = document.getElementById('timeoutDisplay');
 const systemPromptEl = document.getElementById('systemPrompt');
 const copyPromptBtn = document.getElementById('copyPromptBtn');
 
+// Request history elements
+const toggleHistoryBtn = document.getElementById('toggleHistory');
+const historyContent = document.getElementById('historyContent');
+const historyModelFilter = document.getElementById('historyModelFilter');
+const historyStatusFilter = document.getElementById('historyStatusFilter');
+const refreshHistoryBtn = document.getElementById('refreshHistoryBtn');
+const historyBody = document.getElementById('historyBody');
+const historyMoreBtn = document.getElementById('historyMoreBtn');
+const historyDetail = document.getElementById('historyDetail');
+const historyDetailId = document.getElementById('historyDetailId');
+const historyDetailText = document.getElementById('historyDetailText');
+const replayBtn = document.getElementById('replayBtn');
+
+// Model cache elements
+const toggleCacheBtn = document.getElementById('toggleCache');
+const cacheContent = document.getElementById('cacheContent');
+const cacheSummaryEl = document.getElementById('cacheSummary');
+const refreshCacheBtn = document.getElementById('refreshCacheBtn');
+const cacheBody = document.getElementById('cacheBody');
+
 // State
 let ws = null;
 let reconnectTimer = null;
@@ -76,6 +97,34 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// API key (only needed when the server has auth enabled)
+const API_KEY_STORAGE = 'lols-api-key';
+
+function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE) || '';
+}
+
+// fetch() with the stored API key; asks for a key once if the server answers 401/403
+async function apiFetch(url, options = {}, retried = false) {
+  const key = getApiKey();
+  const headers = { ...(options.headers || {}) };
+  if (key) {
+    headers['Authorization'] = `Bearer ${key}`;
+  }
+  
+  const response = await fetch(url, { ...options, headers });
+  
+  if ((response.status === 401 || response.status === 403) && !retried) {
+    const entered = prompt('This lols-router requires an admin API key:', key);
+    if (entered) {
+      localStorage.setItem(API_KEY_STORAGE, entered.trim());
+      return apiFetch(url, options, true);
+    }
+  }
+  
+  return response;
+}
+
 let streamContentDiv = null;
 
 // Initialize
@@ -91,7 +140,8 @@ function init() {
 // WebSocket setup
 function setupWebSocket() {
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-  const wsUrl = `${protocol}//${window.location.host}`;
+  const key = getApiKey();
+  const wsUrl = `${protocol}//${window.location.host}${key ? `/?key=${encodeURIComponent(key)}` : ''}`;
   
   ws = new WebSocket(wsUrl);
   
@@ -142,6 +192,9 @@ function handleWebSocketMessage(data) {
         currentModelEl.textContent += ` :${data.port || '?'}`;
       }
       
+      // Other models kept resident in VRAM (multi-model residency)
+      updateResidentModels(data.resident);
+      
       // Update context size
       if (data.context) {
         contextSizeEl.textContent = data.context.toLocaleString() + ' tokens';
@@ -187,6 +240,7 @@ function handleWebSocketMessage(data) {
       }
     } else {
       currentModelEl.textContent = 'No model loaded';
+      updateResidentModels(data.resident);
       contextSizeEl.textContent = '-';
       contextSizeEl.style.color = '#9ca3af';
       maxTokensDisplayEl.textContent = '-';
@@ -241,6 +295,27 @@ function handleWebSocketMessage(data) {
       currentCategoryEl.textContent = data.category.toUpperCase();
       // Routing info shown in category badge, no need to log
     }
+  } else if (data.type === 'queueStatus') {
+    updateQueueStatus(data);
+  } else if (data.type === 'requestLogged') {
+    addHistoryRecord(data.record);
+  } else if (data.type === 'configReloaded') {
+    if (data.ok) {
+      const restart = data.restartRequired && data.restartRequired.length > 0 ? ` (restart needed for: ${data.restartRequired.join(', ')})` : '';
+      log(`✓ Configuration reloaded (${data.reason})${restart}`, 'success');
+    } else {
+      log(`✗ Configuration reload rejected: ${data.errors.join('; ')}`, 'error');
+    }
+  } else if (data.type === 'modelUnloaded') {
+    const idle = data.reason === 'idle' ? ` after ${Math.round(data.idleMs / 60000)} min idle` : ` (${data.reason})`;
+    log(`⏏ Unloaded ${data.model}${idle}${data.vramMb ? `, ${data.vramMb} MB VRAM freed` : ''}`, 'info');
+  } else if (data.type === 'modelCrashed') {
+    const how = data.signal ? `signal ${data.signal}` : `exit code ${data.exitCode}`;
+    const next = data.restartInMs !== null ? `, restarting in ${Math.round(data.restartInMs / 1000)}s` : (data.crashLoop ? ', crash loop - not restarting' : '');
+    log(`💥 ${data.model}${data.router ? ' (router)' : ''} crashed (${how})${next}`, 'error');
+    data.stderr.slice(-3).forEach(line => log(`   ${line}`, 'error'));
+  } else if (data.type === 'downloadProgress') {
+    logDownloadProgress(data);
   } else if (data.type === 'systemMetrics') {
     updateSystemMetrics(data.metrics);
   } else if (data.type === 'log') {
@@ -251,6 +326,72 @@ function handleWebSocketMessage(data) {
   }
 }
 
+// Log model downloads at start, every 25% and when they finish (events arrive about once a second)
+const downloadMilestones = new Map();
+function logDownloadProgress(job) {
+  const size = job.total ? ` of ${(job.total / 1024 / 1024 / 1024).toFixed(2)} GB` : '';
+  if (job.status === 'done') {
+    downloadMilestones.delete(job.model);
+    log(`✓ Downloaded ${job.model}`, 'success');
+    if (cacheContent.style.display !== 'none') {
+      loadCache();
+    }
+  } else if (job.status === 'error') {
+    downloadMilestones.delete(job.model);
+    log(`✗ Download of ${job.model} failed: ${job.error}`, 'error');
+  } else if (!downloadMilestones.has(job.model)) {
+    downloadMilestones.set(job.model, 0);
+    log(`⬇ Downloading ${job.model} (${job.files.length} file(s)${size})`, 'info');
+  } else if (job.percent !== null) {
+    const milestone = Math.floor(job.percent / 25) * 25;
+    if (milestone > downloadMilestones.get(job.model) && milestone < 100) {
+      downloadMilestones.set(job.model, milestone);
+      log(`⬇ ${job.model}: ${milestone}%${size}`, 'info');
+    }
+  }
+}
+
+// Update GPU scheduler queue display (depth, with per-request positions on hover)
+function updateQueueStatus(status) {
+  if (!status.busy) {
+    queueStatusEl.textContent = 'idle';
+    queueStatusEl.title = '';
+    return;
+  }
+  
+  const loading = status.holder && status.holder.model ? `loading ${status.holder.model}` : 'busy';
+  queueStatusEl.textContent = status.depth > 0 ? `${loading} (+${status.depth} waiting)` : loading;
+  queueStatusEl.title = status.queue
+    .map(q => `#${q.position} ${q.model || '?'} (priority ${q.priority}, waited ${Math.round(q.waitedMs / 1000)}s)`)
+    .join('\n');
+}
+
+// GPU offload of a llama.cpp model, e.g. " GPU0 20 layers"
+function formatGpu(gpu) {
+  if (!gpu) return '';
+  if (!gpu.enabled || gpu.layers === 0) return ' CPU';
+  const layers = gpu.layers === -1 ? 'all layers' : `${gpu.layers} layers`;
+  const moe = gpu.cpuMoe ? `, MoE on CPU${gpu.cpuMoe === true ? '' : ` (${gpu.cpuMoe})`}` : '';
+  const split = gpu.tensorSplit ? `, split ${gpu.tensorSplit.join(':')}` : '';
+  return ` GPU${gpu.device} ${layers}${moe}${split}`;
+}
+
+// Show resident model count next to the current model, with details on hover
+function updateResidentModels(resident) {
+  if (!resident || resident.length === 0) {
+    currentModelEl.title = '';
+    return;
+  }
+  
+  if (resident.length > 1) {
+    currentModelEl.textContent += ` (+${resident.length - 1} resident)`;
+  }
+  
+  currentModelEl.title = resident
+    .map(m => `${m.pinned ? '📌 ' : ''}${m.name} :${m.port}${m.vramMb ? ` (${m.vramMb} MB)` : ''}${formatGpu(m.gpu)}${m.inFlight ? ` [${m.inFlight} active]` : ''}${m.idleUnloadAt ? ` - unloads if idle at ${new Date(m.idleUnloadAt).toLocaleTimeString()}` : ''}`)
+    .join('\n');
+}
+
 // Update system metrics display
 function updateSystemMetrics(metrics) {
   if (!metrics) return;
@@ -407,6 +548,18 @@ function setupEventListeners() {
   
   // Copy system prompt
   copyPromptBtn.addEventListener('click', copySystemPrompt);
+  
+  // Request history
+  toggleHistoryBtn.addEventListener('click', toggleHistory);
+  refreshHistoryBtn.addEventListener('click', () => loadHistory(true));
+  historyModelFilter.addEventListener('change', () => loadHistory(true));
+  historyStatusFilter.addEventListener('change', () => loadHistory(true));
+  historyMoreBtn.addEventListener('click', () => loadHistory(false));
+  replayBtn.addEventListener('click', replayRequest);
+  
+  // Model cache
+  toggleCacheBtn.addEventListener('click', toggleCache);
+  refreshCacheBtn.addEventListener('click', loadCache);
 }
 
 // Toggle model info visibility
@@ -445,6 +598,212 @@ async function copySystemPrompt() {
   }
 }
 
+// Request history (audit log)
+let historyOffset = 0;
+let selectedRecord = null;
+
+function toggleHistory() {
+  const isHidden = historyContent.style.display === 'none';
+  historyContent.style.display = isHidden ? 'block' : 'none';
+  toggleHistoryBtn.textContent = isHidden ? 'Hide History' : 'Show History';
+  
+  if (isHidden) {
+    loadHistory(true);
+  }
+}
+
+// Load a page of logged requests (reset = start again from the newest)
+async function loadHistory(reset) {
+  if (reset) {
+    historyOffset = 0;
+    historyBody.innerHTML = '';
+  }
+  
+  const params = new URLSearchParams({ limit: '25', offset: String(historyOffset) });
+  if (historyModelFilter.value.trim()) {
+    params.set('model', historyModelFilter.value.trim());
+  }
+  if (historyStatusFilter.value) {
+    params.set('status', historyStatusFilter.value);
+  }
+  
+  try {
+    const response = await apiFetch(`/v1/requests?${params}`);
+    const data = await response.json();
+    
+    (data.data || []).forEach(record => historyBody.appendChild(createHistoryRow(record)));
+    historyOffset += (data.data || []).length;
+    historyMoreBtn.style.display = data.has_more ? 'inline-block' : 'none';
+  } catch (err) {
+    console.error('Failed to load request history:', err);
+  }
+}
+
+function createHistoryRow(record) {
+  const row = document.createElement('tr');
+  const time = new Date(record.timestamp).toLocaleTimeString();
+  const model = record.model || record.requestedModel;
+  const isError = record.status >= 400;
+  const tokens = record.usage ? record.usage.total_tokens : '-';
+  
+  row.innerHTML = `
+    <td>${escapeHtml(time)}</td>
+    <td title="requested: ${escapeHtml(record.requestedModel)}">${escapeHtml(model)}${record.fallbackFrom ? ' ↩' : ''}</td>
+    <td>${escapeHtml(record.category || '-')}</td>
+    <td class="${isError ? 'status-error' : 'status-ok'}" title="${escapeHtml(record.error || '')}">${record.status}</td>
+    <td title="queue ${record.latency.queueMs}ms, load ${record.latency.loadMs}ms, first token ${record.latency.firstTokenMs ?? '-'}ms">${(record.latency.totalMs / 1000).toFixed(1)}s</td>
+    <td>${tokens}</td>
+  `;
+  row.addEventListener('click', () => showHistoryDetail(record.id, row));
+  return row;
+}
+
+// New request finished (WebSocket) - show it on top when no filter is active
+function addHistoryRecord(record) {
+  if (historyContent.style.display === 'none') return;
+  if (historyModelFilter.value.trim() || historyStatusFilter.value) return;
+  
+  historyBody.insertBefore(createHistoryRow(record), historyBody.firstChild);
+  historyOffset++;
+}
+
+async function showHistoryDetail(id, row) {
+  historyBody.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
+  row.classList.add('selected');
+  
+  try {
+    const response = await apiFetch(`/v1/requests/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    selectedRecord = await response.json();
+    
+    historyDetailId.textContent = id;
+    historyDetailText.textContent = JSON.stringify(selectedRecord, null, 2);
+    replayBtn.disabled = !selectedRecord.request;
+    historyDetail.style.display = 'block';
+  } catch (err) {
+    console.error('Failed to load request:', err);
+  }
+}
+
+// Model cache (disk usage of downloaded models)
+function toggleCache() {
+  const isHidden = cacheContent.style.display === 'none';
+  cacheContent.style.display = isHidden ? 'block' : 'none';
+  toggleCacheBtn.textContent = isHidden ? 'Hide Cache' : 'Show Cache';
+  
+  if (isHidden) {
+    loadCache();
+  }
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+async function loadCache() {
+  try {
+    const response = await apiFetch('/admin/cache');
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    
+    const llamaDir = data.dirs.find(dir => dir.location === 'llama');
+    const free = llamaDir && llamaDir.disk ? `, ${formatBytes(llamaDir.disk.free)} free` : '';
+    cacheSummaryEl.textContent = `${data.files.length} files, ${formatBytes(data.totalBytes)} (${formatBytes(data.unreferencedBytes)} unreferenced)${free}`;
+    cacheSummaryEl.title = data.dirs.map(dir => `${dir.location}: ${dir.path}`).join('\n');
+    
+    cacheBody.innerHTML = '';
+    data.files.forEach(file => cacheBody.appendChild(createCacheRow(file)));
+  } catch (err) {
+    console.error('Failed to load model cache:', err);
+    cacheSummaryEl.textContent = `Failed to load: ${err.message}`;
+  }
+}
+
+function createCacheRow(file) {
+  const row = document.createElement('tr');
+  const usedBy = file.referencedBy.length > 0 ? file.referencedBy.join(', ') : 'unreferenced';
+  const inUse = file.inUse.length > 0;
+  
+  row.innerHTML = `
+    <td title="${escapeHtml(file.path)}">${escapeHtml(file.name)}${file.partial ? ' (partial)' : ''}</td>
+    <td class="${file.referencedBy.length > 0 ? 'status-ok' : 'status-error'}">${escapeHtml(usedBy)}${inUse ? ' ●' : ''}</td>
+    <td>${formatBytes(file.bytes)}</td>
+    <td>${new Date(file.lastUsedAt).toLocaleString()}</td>
+    <td></td>
+  `;
+  
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'btn btn-danger btn-small';
+  deleteBtn.textContent = '🗑';
+  deleteBtn.title = inUse ? `Loaded by ${file.inUse.join(', ')}` : 'Delete this file';
+  deleteBtn.disabled = inUse;
+  deleteBtn.addEventListener('click', () => deleteCacheFile(file));
+  row.lastElementChild.appendChild(deleteBtn);
+  return row;
+}
+
+async function deleteCacheFile(file) {
+  const note = file.referencedBy.length > 0 ? `\n\nUsed by ${file.referencedBy.join(', ')} - it will be downloaded again on next use.` : '';
+  if (!confirm(`Delete ${file.name} (${formatBytes(file.bytes)})?${note}`)) {
+    return;
+  }
+  
+  try {
+    const params = new URLSearchParams({ location: file.location });
+    const response = await apiFetch(`/admin/cache/${encodeURIComponent(file.name)}?${params}`, { method: 'DELETE' });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error ? data.error.message : `HTTP ${response.status}`);
+    }
+    log(`✓ Deleted ${data.deleted} (${formatBytes(data.bytes)})`, 'success');
+  } catch (err) {
+    log(`✗ Delete failed: ${err.message}`, 'error');
+  }
+  loadCache();
+}
+
+// Send a logged request again (OpenAI format - /v1/messages requests were logged after conversion)
+async function replayRequest() {
+  if (!selectedRecord || !selectedRecord.request) return;
+  
+  const payload = selectedRecord.request;
+  log(`→ REPLAY ${selectedRecord.id}: POST /v1/chat/completions`, 'request');
+  log(JSON.stringify(payload, null, 2), 'request');
+  
+  replayBtn.disabled = true;
+  const startTime = Date.now();
+  
+  try {
+    const response = await apiFetch('/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Lols-Replay-Of': selectedRecord.id
+      },
+      body: JSON.stringify(payload)
+    });
+    
+    log(`← RESPONSE: ${response.status} ${response.statusText} (${Date.now() - startTime}ms)`, 'response');
+    
+    if (payload.stream) {
+      await handleStreamResponse(response);
+    } else {
+      await handleJsonResponse(response);
+    }
+  } catch (err) {
+    log(`✗ REPLAY ERROR: ${err.message}`, 'error');
+  } finally {
+    replayBtn.disabled = false;
+  }
+}
+
 // Handle image upload
 function handleImageUpload(event) {
   const file = event.target.files[0];
@@ -564,7 +923,7 @@ async function testTranscription() {
     formData.append('model', modelName);
     formData.append('response_format', 'verbose_json');
     
-    const response = await fetch('/v1/audio/transcriptions', {
+    const response = await apiFetch('/v1/audio/transcriptions', {
       method: 'POST',
       body: formData
     });
@@ -607,7 +966,7 @@ async function testTranscription() {
 // Load available models
 async function loadAvailableModels() {
   try {
-    const response = await fetch('/v1/models');
+    const response = await apiFetch('/v1/models');
     const data = await response.json();
     
     if (data.data && Array.isArray(data.data)) {
@@ -641,7 +1000,7 @@ async function fetchWithTimeout(url, options, timeoutMs) {
   const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
   
   try {
-    const response = await fetch(url, {
+    const response = await apiFetch(url, {
       ...options,
       signal: controller.signal
     });
@@ -931,7 +1290,7 @@ killModelsBtn.addEventListener('click', async () => {
   killModelsBtn.textContent = '⏳ Killing...';
   
   try {
-    const response = await fetch('/v1/cleanup', {
+    const response = await apiFetch('/v1/cleanup', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -978,7 +1337,7 @@ killModelsBtn.addEventListener('click', async () => {
 // Logging toggle functionality
 async function loadLoggingState() {
   try {
-    const response = await fetch('/v1/logging');
+    const response = await apiFetch('/v1/logging');
     const data = await response.json();
     updateLoggingUI(data.enabled);
   } catch (error) {
@@ -1005,7 +1364,7 @@ loggingToggleBtn.addEventListener('click', async () => {
   loggingStateEl.textContent = '...';
   
   try {
-    const response = await fetch('/v1/logging/toggle', {
+    const response = await apiFetch('/v1/logging/toggle', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Anthropic converter tests for lols-router
+ * Tests request/response conversion for /v1/messages without starting the server
+ */
+
+const {
+  convertAnthropicToOpenAI,
+  convertOpenAIToAnthropic,
+  AnthropicStreamConverter
+} = require('../src/helpers/anthropic-converter');
+
+console.log('🧪 Running Anthropic converter tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+// Parse SSE text into [{ event, data }]
+function parseEvents(sse) {
+  return sse.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+  });
+}
+
+test('System field becomes leading system message', () => {
+  const body = convertAnthropicToOpenAI({
+    model: 'lols-smart',
+    system: [{ type: 'text', text: 'Be brief.' }],
+    max_tokens: 100,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+  assertEqual(body.messages[0], { role: 'system', content: 'Be brief.' }, 'system message');
+  assertEqual(body.messages[1], { role: 'user', content: 'Hi' }, 'user message');
+  assertEqual(body.max_tokens, 100, 'max_tokens');
+});
+
+test('stop_sequences map to stop', () => {
+  const body = convertAnthropicToOpenAI({
+    messages: [{ role: 'user', content: 'Hi' }],
+    stop_sequences: ['END']
+  });
+  assertEqual(body.stop, ['END'], 'stop');
+});
+
+test('Base64 image blocks become image_url data URLs', () => {
+  const body = convertAnthropicToOpenAI({
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: 'AAAA' } }
+      ]
+    }]
+  });
+  const content = body.messages[0].content;
+  assertEqual(content[1], { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }, 'image part');
+});
+
+test('tool_use and tool_result blocks map to tool_calls and tool messages', () => {
+  const body = convertAnthropicToOpenAI({
+    messages: [
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '18C' }] }] }
+    ],
+    tools: [{ name: 'get_weather', description: 'Get weather', input_schema: { type: 'object' } }],
+    tool_choice: { type: 'any' }
+  });
+  assertEqual(body.messages[1].tool_calls[0].function, { name: 'get_weather', arguments: '{"city":"Paris"}' }, 'tool call');
+  assertEqual(body.messages[2], { role: 'tool', tool_call_id: 'toolu_1', content: '18C' }, 'tool result');
+  assertEqual(body.tools[0].function.parameters, { type: 'object' }, 'tool schema');
+  assertEqual(body.tool_choice, 'required', 'tool_choice');
+});
+
+test('Non-streaming response converts tool calls', () => {
+  const converted = convertOpenAIToAnthropic({
+    id: 'chatcmpl-1',
+    model: 'test',
+    choices: [{
+      finish_reason: 'tool_calls',
+      message: { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'f', arguments: '{"a":1}' } }] }
+    }],
+    usage: { prompt_tokens: 5, completion_tokens: 3 }
+  });
+  assertEqual(converted.stop_reason, 'tool_use', 'stop_reason');
+  assertEqual(converted.content[0].input, { a: 1 }, 'tool input');
+  assertEqual(converted.usage, { input_tokens: 5, output_tokens: 3 }, 'usage');
+});
+
+test('Stream converter emits a complete event sequence across split chunks', () => {
+  const converter = new AnthropicStreamConverter({ model: 'test' });
+  const chunk1 = 'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":{"con';
+  const chunk2 = 'tent":"lo"},"finish_reason":"stop"}]}\n\ndata: [DONE]\n\n';
+  const events = parseEvents(converter.convert(chunk1) + converter.convert(chunk2) + converter.finish());
+  assertEqual(events.map(e => e.event), [
+    'message_start',
+    'content_block_start',
+    'content_block_delta',
+    'content_block_delta',
+    'content_block_stop',
+    'message_delta',
+    'message_stop'
+  ], 'event order');
+  assertEqual(events[3].data.delta.text, 'lo', 'split delta text');
+  assertEqual(events[5].data.delta.stop_reason, 'end_turn', 'stop_reason');
+});
+
+test('Stream converter gives tool_use blocks their own index', () => {
+  const converter = new AnthropicStreamConverter();
+  const sse = converter.convert(
+    'data: {"choices":[{"delta":{"content":"Let me check."}}]}\n' +
+    'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"c1","function":{"name":"f","arguments":""}}]}}]}\n' +
+    'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{}"}}]},"finish_reason":"tool_calls"}]}\n' +
+    'data: [DONE]\n'
+  );
+  const events = parseEvents(sse);
+  const toolStart = events.find(e => e.event === 'content_block_start' && e.data.content_block.type === 'tool_use');
+  assertEqual(toolStart.data.index, 1, 'tool block index');
+  const stops = events.filter(e => e.event === 'content_block_stop').map(e => e.data.index);
+  assertEqual(stops, [0, 1], 'block stops');
+  assertEqual(events.find(e => e.event === 'message_delta').data.delta.stop_reason, 'tool_use', 'stop_reason');
+});
+
+test('Stop sequence hits report stop_sequence and the matched sequence', () => {
+  const response = text => ({
+    model: 'test',
+    choices: [{ finish_reason: 'stop', message: { role: 'assistant', content: text } }],
+    usage: { completion_tokens: 2 }
+  });
+  const reported = convertOpenAIToAnthropic({ ...response('Hi'), stopping_word: 'END' }, { stopSequences: ['STOP', 'END'], inputTokens: 12 });
+  assertEqual([reported.stop_reason, reported.stop_sequence], ['stop_sequence', 'END'], 'reported by upstream');
+  assertEqual(reported.usage, { input_tokens: 12, output_tokens: 2 }, 'counted input tokens');
+
+  const inText = convertOpenAIToAnthropic(response('Hi\nObservation:'), { stopSequences: ['Observation:'] });
+  assertEqual([inText.stop_reason, inText.stop_sequence], ['stop_sequence', 'Observation:'], 'found in text');
+
+  const natural = convertOpenAIToAnthropic(response('Hi'), { stopSequences: ['STOP'] });
+  assertEqual([natural.stop_reason, natural.stop_sequence], ['end_turn', null], 'natural end');
+});
+
+test('Stream converter reports input tokens and stop sequence hits', () => {
+  const converter = new AnthropicStreamConverter({ model: 'test', stopSequences: ['STOP'], inputTokens: 42 });
+  const events = parseEvents(converter.convert(
+    'data: {"choices":[{"delta":{"content":"Hello"}}]}\n' +
+    'data: {"choices":[{"delta":{},"finish_reason":"stop"}],"stopping_word":"STOP"}\n' +
+    'data: [DONE]\n'
+  ));
+  assertEqual(events[0].data.message.usage.input_tokens, 42, 'message_start input_tokens');
+  const delta = events.find(e => e.event === 'message_delta').data.delta;
+  assertEqual([delta.stop_reason, delta.stop_sequence], ['stop_sequence', 'STOP'], 'message_delta');
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  console.log('\n❌ Tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Request audit log tests for lols-router
+ * Writes records to a temporary directory and queries them back
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/helpers/config');
+const { createRecord, finishRecord, flushAuditLog, queryRecords, findRecord, StreamCapture } = require('../src/helpers/audit-log');
+
+console.log('🧪 Running audit log tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lols-audit-'));
+config.audit = { enabled: true, dir: tmpDir, maxFileMb: 1, maxFiles: 2, includeBodies: true };
+
+function logRequest(id, model, status) {
+  const req = { originalUrl: '/v1/chat/completions', headers: {}, apiKey: null };
+  const record = createRecord(req, id, { model, messages: [{ role: 'user', content: 'hi' }] });
+  record.model = model;
+  finishRecord(record, status);
+}
+
+(async () => {
+  logRequest('req1', 'qwen', 200);
+  logRequest('req2', 'gpt-4', 502);
+  logRequest('req3', 'qwen', 200);
+
+  await test('Records are listed newest first without bodies', async () => {
+    const { data, hasMore, limit, offset } = await queryRecords({});
+    assertEqual(data.map(r => r.id), ['req3', 'req2', 'req1'], 'order');
+    assertEqual([hasMore, limit, offset], [false, 50, 0], 'hasMore and paging defaults');
+    assertEqual('request' in data[0], false, 'no request body');
+  });
+
+  await test('Filters by model and status', async () => {
+    assertEqual((await queryRecords({ model: 'qwen' })).data.map(r => r.id), ['req3', 'req1'], 'model filter');
+    assertEqual((await queryRecords({ status: 'error' })).data.map(r => r.id), ['req2'], 'status filter');
+  });
+
+  await test('Paginates with limit and offset', async () => {
+    const page = await queryRecords({ limit: 1, offset: 1 });
+    assertEqual(page.data.map(r => r.id), ['req2'], 'page');
+    assertEqual(page.hasMore, true, 'hasMore');
+    assertEqual((await queryRecords({ limit: 2, offset: 1 })).hasMore, false, 'last page');
+  });
+
+  await test('Finds one record with its request body', async () => {
+    const record = await findRecord('req2');
+    assertEqual(record.request.model, 'gpt-4', 'request body');
+    assertEqual(record.status, 502, 'status');
+    assertEqual(await findRecord('missing'), null, 'missing record');
+  });
+
+  await test('Active file rotates past maxFileMb and old records stay queryable', async () => {
+    const record = createRecord({ originalUrl: '/v1/chat/completions', headers: {} }, 'big', {
+      model: 'qwen',
+      messages: [{ role: 'user', content: 'x'.repeat(1024 * 1024) }]
+    });
+    finishRecord(record, 200);
+    await flushAuditLog();
+    assertEqual(fs.existsSync(path.join(tmpDir, 'requests.1.jsonl')), true, 'rotated file');
+    assertEqual((await queryRecords({})).data.map(r => r.id), ['big', 'req3', 'req2', 'req1'], 'all records');
+    assertEqual((await queryRecords({ limit: 2, offset: 1 })).data.map(r => r.id), ['req3', 'req2'], 'page across files');
+  });
+
+  await test('StreamCapture collects streamed content and usage across split chunks', () => {
+    const capture = new StreamCapture();
+    capture.push('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":{"con');
+    capture.push('tent":"lo"}}]}\n\ndata: {"choices":[],"usage":{"total_tokens":12}}\n\ndata: [DONE]\n\n');
+    assertEqual(capture.content, 'Hello', 'content');
+    assertEqual(capture.usage, { total_tokens: 12 }, 'usage');
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
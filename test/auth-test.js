@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * API key auth tests for lols-router
+ * Tests allowlists and token quotas without starting the server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/helpers/config');
+const { requireApiKey, checkModelAllowed, checkTokenQuota, recordTokens } = require('../src/helpers/auth');
+const { createRecord } = require('../src/helpers/audit-log');
+
+console.log('🧪 Running auth tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Minimal Express response stand-in
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+config.auth = { enabled: true };
+
+const limited = {
+  key: 'sk-test',
+  name: 'test',
+  models: ['lols-smart', 'qwen3-coder'],
+  categories: ['code'],
+  tokensPerDay: 100
+};
+
+test('Everything is allowed when auth is disabled', () => {
+  config.auth.enabled = false;
+  try {
+    assert(checkModelAllowed(limited, 'gpt-4') === null, 'model should be allowed');
+  } finally {
+    config.auth.enabled = true;
+  }
+});
+
+test('Direct model outside the allowlist is rejected', () => {
+  assert(checkModelAllowed(limited, 'qwen3-coder') === null, 'listed model should be allowed');
+  assert(checkModelAllowed(limited, 'gpt-4') !== null, 'unlisted model should be rejected');
+});
+
+test('Missing model is treated as lols-smart', () => {
+  assert(checkModelAllowed(limited, undefined, { model: 'qwen3-coder', category: 'code' }) === null, 'lols-smart should be allowed');
+});
+
+test('lols-smart category outside the allowlist is rejected', () => {
+  const message = checkModelAllowed(limited, 'lols-smart', { model: 'qwen3-coder', category: 'chat' });
+  assert(message && message.includes("'chat'"), `expected category error, got ${message}`);
+});
+
+test('Admin keys skip allowlists', () => {
+  assert(checkModelAllowed({ ...limited, admin: true }, 'gpt-4') === null, 'admin should be allowed');
+});
+
+test('Token quota rejects once the daily total is reached', () => {
+  const req = { apiKey: limited, originalUrl: '/v1/chat/completions' };
+  assert(checkTokenQuota(req, mockRes()) === true, 'fresh key should pass');
+
+  recordTokens(limited, 100);
+  const res = mockRes();
+  assert(checkTokenQuota(req, res) === false, 'exhausted key should be rejected');
+  assert(res.statusCode === 429, `expected 429, got ${res.statusCode}`);
+  assert(res.body.error.code === 'tokens_exceeded', `expected tokens_exceeded, got ${res.body.error.code}`);
+});
+
+test('Unnamed keys get distinct key ids for request history scoping', () => {
+  // Keys files are looked up relative to .env/
+  const keysFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lols-auth-')), 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({ keys: { 'sk-first': {}, 'sk-second': {} } }));
+  config.auth.keysFile = path.relative(path.join(__dirname, '../.env'), keysFile);
+
+  const authenticate = key => {
+    const req = { headers: { authorization: `Bearer ${key}` }, method: 'GET', originalUrl: '/v1/requests' };
+    let called = false;
+    requireApiKey(req, mockRes(), () => { called = true; });
+    assert(called, `${key} should be accepted`);
+    return req;
+  };
+  const first = authenticate('sk-first');
+  const second = authenticate('sk-second');
+
+  assert(first.apiKey.name === 'unnamed' && second.apiKey.name === 'unnamed', 'both keys should be unnamed');
+  assert(first.apiKey.keyId !== second.apiKey.keyId, 'key ids should differ');
+  assert(authenticate('sk-first').apiKey.keyId === first.apiKey.keyId, 'key id should be stable');
+  assert(!first.apiKey.keyId.includes('sk-first'), 'key id should not contain the key');
+
+  const record = createRecord(first, 'req-first', {});
+  assert(record.keyId === first.apiKey.keyId, `record should carry the key id, got ${record.keyId}`);
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  console.log('\n❌ Tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Config store tests for lols-router
+ * Change summaries for hot reload of config.json / models.json
+ * (validation itself is covered by config-validation-test.js)
+ */
+
+const config = require('../src/helpers/config');
+const { reload, onReload, getModels, getLastReload } = require('../src/helpers/config-store');
+
+console.log('🧪 Running config store tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+test('reloading unchanged files reports only the prompt change and keeps config helpers', () => {
+  const calls = [];
+  onReload(summary => calls.push(summary));
+  const modelsBefore = JSON.stringify(getModels());
+
+  const summary = reload({ reason: 'test', files: ['prompts/coding-expert.md'] });
+
+  assertEqual(summary.ok, true, 'ok');
+  assertEqual(summary.errors, [], 'errors');
+  assertEqual(Array.isArray(summary.warnings), true, 'warnings list');
+  assertEqual(summary.config, [], 'changed config keys');
+  assertEqual(summary.models, { added: [], removed: [], changed: [] }, 'models');
+  assertEqual(summary.prompts, ['prompts/coding-expert.md'], 'prompts');
+  assertEqual(summary.changed, true, 'changed (prompt file)');
+  assertEqual(calls.length, 1, 'listener calls');
+  assertEqual(JSON.stringify(getModels()), modelsBefore, 'models.json');
+  assertEqual(typeof config.resolveSystemPrompt, 'function', 'config helper kept');
+  assertEqual(getLastReload(), summary, 'last reload');
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  console.log('\n❌ Tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Config validation tests for lols-router
+ * Schema checks, unknown-key warnings and cross-references between config.json and models.json
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { validateConfig, formatIssue } = require('../src/helpers/config');
+
+const SCRIPT = path.join(__dirname, '../scripts/validate-config.js');
+
+console.log('🧪 Running config validation tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+const WHISPER_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-config-'));
+fs.writeFileSync(path.join(WHISPER_DIR, 'ggml-base.bin'), '');
+
+function configFile(overrides = {}) {
+  return { server: { port: 3000 }, whisper: { models: WHISPER_DIR }, ...overrides };
+}
+
+function modelsFile(overrides = {}) {
+  return {
+    models: {
+      small: { type: 'llama-cpp', repo: 'org/small', file: 'small.gguf', port: 8001 },
+      whisper: { type: 'whisper-cpp', file: 'ggml-base.bin', port: 8002 },
+      cloud: { type: 'remote', endpoint: 'https://api.example.com/v1/chat/completions', model: 'gpt-4' }
+    },
+    'lols-smart': { default: 'small', code: { model: 'small', systemPromptPath: 'prompts/coding-expert.md' } },
+    router: { model: 'small', port: 3001 },
+    ...overrides
+  };
+}
+
+function issues(list) {
+  return list.map(formatIssue);
+}
+
+function runScript(args) {
+  return new Promise(resolve => {
+    execFile('node', [SCRIPT, ...args], { timeout: 30000 }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, stdout });
+    });
+  });
+}
+
+(async () => {
+  await test('valid files pass without warnings', () => {
+    const result = validateConfig(configFile(), modelsFile());
+    assertEqual(result, { valid: true, errors: [], warnings: [] }, 'result');
+  });
+
+  await test('type, enum and range errors carry precise paths', () => {
+    const result = validateConfig(configFile({ context: { overflow: 'drop' } }), modelsFile({
+      models: {
+        'qwen2.5-7b': { repo: 'org/q', file: 'q.gguf', port: 'abc', context: 4096.5 },
+        odd: { type: 'vllm', port: 70000 }
+      },
+      'lols-smart': {},
+      router: { model: 'qwen2.5-7b', rules: [{ category: 'code', confidence: 2 }] }
+    }));
+
+    assertEqual(issues(result.errors), [
+      'config.json context.overflow: must be one of "truncate", "error", got "drop"',
+      'models.json models["qwen2.5-7b"].port: must be an integer, got "abc"',
+      'models.json models["qwen2.5-7b"].context: must be an integer, got 4096.5',
+      'models.json models.odd.type: must be one of "llama-cpp", "whisper-cpp", "remote", got "vllm"',
+      'models.json models.odd.port: must be at most 65535, got 70000',
+      'models.json router.rules[0].confidence: must be at most 1, got 2'
+    ], 'errors');
+    assertEqual(result.valid, false, 'valid');
+  });
+
+  await test('unknown keys are warnings with a suggestion', () => {
+    const files = modelsFile();
+    files.models.small.performance = { mainGpu: 1, flashAtention: true };
+    files.models.small.contextSize = 8192;
+    const result = validateConfig(configFile({ logging: { debg: true } }), files);
+
+    assertEqual(result.valid, true, 'valid');
+    assertEqual(issues(result.warnings), [
+      'config.json logging.debg: unknown key, ignored (did you mean "debug"?)',
+      'models.json models.small.performance.mainGpu: unknown key, ignored',
+      'models.json models.small.performance.flashAtention: unknown key, ignored (did you mean "flashAttention"?)',
+      'models.json models.small.contextSize: unknown key, ignored (did you mean "context"?)'
+    ], 'warnings');
+  });
+
+  await test('model references, required fields and ports are cross-checked', () => {
+    const result = validateConfig(configFile({ context: { summarizer: { model: 'tiny' } } }), modelsFile({
+      models: {
+        small: { type: 'llama-cpp', repo: 'org/small', file: 'small.gguf', port: 3000, fallback: ['cloud'] },
+        other: { type: 'llama-cpp', repo: 'org/other', port: 3001 },
+        cloud: { type: 'remote', endpoint: 'https://example.com' }
+      },
+      'lols-smart': { default: 'small', code: { model: 'missing', fallback: ['gone'] } },
+      router: { model: 'nope', port: 3001, embedding: { model: 'small' } }
+    }));
+
+    assertEqual(issues(result.errors), [
+      'models.json models.small.port: port 3000 is already used by config.json server.port',
+      'models.json models.other.file: is required for llama-cpp models (or set "path")',
+      'models.json models.cloud.model: is required for remote models',
+      'models.json lols-smart.code.model: unknown model "missing"',
+      'models.json lols-smart.code.fallback[0]: unknown model "gone"',
+      'models.json router.model: unknown model "nope"',
+      'models.json router.embedding.model: "small" is not an embedding model (set "embedding": true)',
+      'models.json router.port: port 3001 is already used by models.other.port',
+      'config.json context.summarizer.model: unknown model "tiny"'
+    ], 'errors');
+  });
+
+  await test('embedding mode needs a dedicated embedding model', () => {
+    const missing = validateConfig(configFile(), modelsFile({ router: { model: 'small', port: 3001, mode: 'embedding' } }));
+    assertEqual(issues(missing.errors), [
+      'models.json router.embedding.model: is required when router.mode is "embedding"'
+    ], 'errors without embedding.model');
+
+    const files = modelsFile({ router: { model: 'small', port: 3001, mode: 'embedding', embedding: { model: 'embed' } } });
+    files.models.embed = { type: 'llama-cpp', repo: 'org/embed', file: 'embed.gguf', port: 8003, embedding: true };
+    const result = validateConfig(configFile(), files);
+    assertEqual(result.valid, true, 'valid with an embedding model');
+  });
+
+  await test('missing whisper files and prompt paths are warnings', () => {
+    const files = modelsFile();
+    files.models.whisper.file = 'ggml-large.bin';
+    files['lols-smart'].code.systemPromptPath = 'prompts/does-not-exist.md';
+    const result = validateConfig(configFile(), files);
+
+    assertEqual(result.valid, true, 'valid');
+    assertEqual(issues(result.warnings), [
+      `models.json models.whisper.file: not found in ${WHISPER_DIR}`,
+      'models.json lols-smart.code.systemPromptPath: file not found: prompts/does-not-exist.md'
+    ], 'warnings');
+  });
+
+  await test('local model files replace repo/file and are checked', () => {
+    const files = modelsFile();
+    files.models.local = { type: 'llama-cpp', path: path.join(WHISPER_DIR, 'ggml-base.bin'), port: 8003 };
+    files.models.split = { path: path.join(WHISPER_DIR, 'big-00001-of-00002.gguf'), mmprojPath: path.join(WHISPER_DIR, 'mmproj.gguf'), repo: 'org/big', port: 8004 };
+    const result = validateConfig(configFile(), files);
+
+    assertEqual(result.valid, true, 'valid');
+    assertEqual(issues(result.warnings), [
+      `models.json models.split.path: missing 2 of 2 shard(s): ${path.join(WHISPER_DIR, 'big-00001-of-00002.gguf')}, ${path.join(WHISPER_DIR, 'big-00002-of-00002.gguf')}`,
+      'models.json models.split.path: "repo" and "file" are ignored when "path" is set',
+      `models.json models.split.mmprojPath: file not found: ${path.join(WHISPER_DIR, 'mmproj.gguf')}`
+    ], 'warnings');
+  });
+
+  await test('preload entries must name local models', () => {
+    const result = validateConfig(configFile({ preload: ['small', { model: 'whisper', pin: true }, 'cloud', { model: 'gone' }, { pin: true }] }), modelsFile());
+
+    assertEqual(issues(result.errors), [
+      'config.json preload[4].model: is required',
+      'config.json preload[2]: "cloud" is a remote model and cannot be preloaded',
+      'config.json preload[3]: unknown model "gone"'
+    ], 'errors');
+  });
+
+  await test('non-object files are rejected', () => {
+    assertEqual(issues(validateConfig([], null).errors), [
+      'config.json: must be an object, got an array',
+      'models.json: must be an object, got null'
+    ], 'errors');
+  });
+
+  await test('validate-config CLI exits 1 on errors and writes a JSON report', async () => {
+    const configPath = path.join(WHISPER_DIR, 'config.json');
+    const modelsPath = path.join(WHISPER_DIR, 'models.json');
+    const jsonPath = path.join(WHISPER_DIR, 'report.json');
+    fs.writeFileSync(configPath, JSON.stringify(configFile()));
+
+    fs.writeFileSync(modelsPath, JSON.stringify(modelsFile()));
+    const ok = await runScript(['--config', configPath, '--models', modelsPath]);
+    assertEqual(ok.code, 0, 'exit code (valid)');
+
+    fs.writeFileSync(modelsPath, JSON.stringify(modelsFile({ router: { model: 'gone', port: 3001 } })));
+    const bad = await runScript(['--config', configPath, '--models', modelsPath, '--json', jsonPath]);
+    assertEqual(bad.code, 1, 'exit code (invalid)');
+    if (!bad.stdout.includes('models.json router.model: unknown model "gone"')) throw new Error('error line missing');
+    const report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    assertEqual(report.valid, false, 'report valid');
+    assertEqual(report.errors[0].path, 'router.model', 'report path');
+  });
+
+  fs.rmSync(WHISPER_DIR, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Context compaction tests for lols-router
+ * Strategies, settings precedence and the summarize fallback
+ */
+
+const config = require('../src/helpers/config');
+const { truncateContext } = require('../src/helpers/context-truncate');
+const { compactContext, resolveCompaction } = require('../src/helpers/context-compaction');
+
+console.log('🧪 Running context compaction tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+// Every message costs 100 tokens, so budgets are easy to reason about
+const countTokens = () => 100;
+
+function conversation(count) {
+  const messages = [{ role: 'system', content: 'You are helpful.' }];
+  for (let i = 0; i < count; i++) {
+    messages.push({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i}` });
+  }
+  return messages;
+}
+
+const contents = messages => messages.map(m => m.content);
+
+(async () => {
+  await test('drop-oldest keeps the system prompt and the most recent messages', () => {
+    // 1000 - 100 (system) - 500 (margin) = 400 tokens -> 4 messages
+    const { messages, stats } = truncateContext(conversation(10), 1000, { countTokens });
+    assertEqual(stats.removed, 6, 'removed');
+    assertEqual(stats.strategy, 'drop-oldest', 'strategy');
+    assertEqual(contents(messages.slice(2)), ['turn 6', 'turn 7', 'turn 8', 'turn 9'], 'kept');
+  });
+
+  await test('keep-first-and-last-N keeps the task setup', async () => {
+    const { messages, stats } = await compactContext(conversation(10), 1000, {
+      countTokens,
+      compaction: { strategy: 'keep-first-and-last-N', keepFirst: 1, keepLast: 2 }
+    });
+    assertEqual(stats.removed, 7, 'removed');
+    assertEqual(messages[1].content.startsWith('[Context truncated: 7 earlier messages'), true, 'notice');
+    assertEqual(contents(messages.slice(2)), ['turn 0', 'turn 8', 'turn 9'], 'kept');
+  });
+
+  await test('keepLast does not remove anything when the conversation fits', async () => {
+    const { messages, stats } = await compactContext(conversation(3), 1000, {
+      countTokens,
+      compaction: { strategy: 'keep-first-and-last-N', keepFirst: 1, keepLast: 1 }
+    });
+    assertEqual(stats.removed, 0, 'removed');
+    assertEqual(messages.length, 4, 'messages');
+  });
+
+  await test('Category compaction overrides model, model overrides config', () => {
+    config.context = { ...config.context, compaction: { strategy: 'drop-oldest', keepFirst: 3 } };
+    const fromModel = resolveCompaction({ compaction: { strategy: 'summarize' } }, null);
+    assertEqual([fromModel.strategy, fromModel.keepFirst], ['summarize', 3], 'model');
+
+    const fromCategory = resolveCompaction(
+      { compaction: { strategy: 'summarize' } },
+      { compaction: { strategy: 'keep-first-and-last-N', keepLast: 4 } }
+    );
+    assertEqual([fromCategory.strategy, fromCategory.keepLast], ['keep-first-and-last-N', 4], 'category');
+
+    assertEqual(resolveCompaction({ compaction: { strategy: 'bogus' } }).strategy, 'drop-oldest', 'unknown strategy');
+  });
+
+  await test('summarize falls back to drop-oldest when no summarizer is available', async () => {
+    config.context = { ...config.context, summarizer: { model: null } };
+    const { messages, stats } = await compactContext(conversation(10), 1500, {
+      countTokens,
+      compaction: { strategy: 'summarize' }
+    });
+    assertEqual(stats.summaryError, 'router model is not running', 'error');
+    assertEqual(stats.removed, 1, 'removed');
+    assertEqual(messages[1].content.startsWith('[Context truncated'), true, 'notice');
+  });
+
+  await test('Tool results are never kept without their tool_calls', () => {
+    const messages = [
+      { role: 'user', content: 'list files' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'a', type: 'function', function: { name: 'ls', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'a', content: 'one.js' },
+      { role: 'tool', tool_call_id: 'a', content: 'two.js' },
+      { role: 'assistant', content: 'Two files.' }
+    ];
+    // 800 - 500 (margin) = 300 tokens: the last message fits, the tool group of 3 does not
+    const { messages: kept, stats } = truncateContext(messages, 800, { countTokens });
+    assertEqual(stats.removed, 4, 'removed');
+    assertEqual(kept.map(m => m.role), ['system', 'assistant'], 'roles');
+
+    // 1000 tokens: the whole tool group fits
+    const wider = truncateContext(messages, 1000, { countTokens });
+    assertEqual(wider.messages.map(m => m.role), ['user', 'assistant', 'tool', 'tool', 'assistant'], 'group kept');
+  });
+
+  await test('Oversized tool results are shortened before messages are dropped', () => {
+    const output = 'x'.repeat(5000);
+    const messages = [
+      { role: 'user', content: 'read the log' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'a', type: 'function', function: { name: 'cat', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'a', content: output },
+      { role: 'user', content: 'what failed?' }
+    ];
+    const { messages: kept, stats } = truncateContext(messages, 1200, { maxToolResultTokens: 200 });
+    assertEqual(stats.removed, 0, 'removed');
+    assertEqual(stats.toolResultsShortened, 1, 'shortened');
+    const shortened = kept.find(m => m.role === 'tool').content;
+    assertEqual(/\[… \d+ characters elided …\]/.test(shortened), true, 'elision marker');
+    assertEqual(shortened.length < output.length, true, 'shorter');
+    assertEqual(messages[2].content, output, 'original untouched');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Download manager tests for lols-router
+ * Serves files from a local HTTP stand-in for Hugging Face (downloads.baseUrl) with Range and ETag support
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../src/helpers/config');
+const { getDownloadFiles, getMissingFiles, downloadModel, getDownload, getDownloads } = require('../src/helpers/downloader');
+const { acquireModel } = require('../src/helpers/orchestrator');
+
+console.log('🧪 Running download manager tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+async function assertRejects(promise, pattern, label) {
+  try {
+    await promise;
+  } catch (err) {
+    if (!pattern.test(err.message)) {
+      throw new Error(`${label}: unexpected error "${err.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${label}: expected a rejection`);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Files served by the stand-in: "/<repo>/resolve/main/<file>" -> { data, etag }
+const served = new Map();
+const requests = [];
+
+function serve(repo, file, data, { etag = sha256(data) } = {}) {
+  served.set(`/${repo}/resolve/main/${file}`, { data, etag });
+}
+
+const hub = http.createServer((req, res) => {
+  requests.push({ method: req.method, url: req.url, range: req.headers.range || null, auth: req.headers.authorization || null });
+  const entry = served.get(req.url);
+  if (!entry) {
+    res.writeHead(404);
+    return res.end('Entry not found');
+  }
+
+  const headers = { etag: `"${entry.etag}"`, 'accept-ranges': 'bytes' };
+  const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+  const start = match ? parseInt(match[1], 10) : 0;
+  if (start >= entry.data.length && match) {
+    res.writeHead(416, headers);
+    return res.end();
+  }
+  const body = entry.data.subarray(start);
+  res.writeHead(match ? 206 : 200, { ...headers, 'content-length': body.length });
+  res.end(req.method === 'HEAD' ? undefined : body);
+});
+
+(async () => {
+  await new Promise(resolve => hub.listen(0, '127.0.0.1', resolve));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lols-downloads-'));
+  const savedLlama = config.llama;
+  const savedDownloads = config.downloads;
+  config.llama = { ...savedLlama, cache: tmpDir };
+  config.downloads = { auto: true, baseUrl: `http://127.0.0.1:${hub.address().port}`, verifyChecksum: true, stallTimeoutMs: 5000, progressIntervalMs: 0 };
+
+  const events = [];
+  global.broadcastDownloadProgress = job => events.push(job);
+
+  const weights = crypto.randomBytes(256 * 1024);
+  const projector = crypto.randomBytes(4096);
+  serve('org/tiny-GGUF', 'tiny-Q4_K_M.gguf', weights);
+  serve('org/tiny-GGUF', 'mmproj-tiny.gguf', projector);
+  const tiny = { type: 'llama-cpp', repo: 'org/tiny-GGUF', file: 'tiny-Q4_K_M.gguf', mmproj: 'mmproj-tiny.gguf', port: 8200 };
+
+  await test('files are named the way llama-server caches them', async () => {
+    assertEqual(getDownloadFiles(tiny).map(file => path.basename(file.path)), ['org_tiny-GGUF_tiny-Q4_K_M.gguf', 'org_tiny-GGUF_mmproj-tiny.gguf'], 'paths');
+    assertEqual(getDownloadFiles({ ...tiny, path: '/models/tiny.gguf' }), [], 'local path');
+    assertEqual(getDownloadFiles({ type: 'remote', endpoint: 'http://x' }), [], 'remote');
+
+    const split = getDownloadFiles({ repo: 'org/big-GGUF', file: 'big-00001-of-00003.gguf' });
+    assertEqual(split.map(file => file.file), ['big-00001-of-00003.gguf', 'big-00002-of-00003.gguf', 'big-00003-of-00003.gguf'], 'shards');
+    assertEqual(path.basename(split[2].path), 'org_big-GGUF_big-00003-of-00003.gguf', 'shard path');
+  });
+
+  await test('downloadModel fetches the GGUF and mmproj and reports progress', async () => {
+    const job = await downloadModel('tiny', tiny);
+    assertEqual([job.status, job.bytes, job.total, job.percent], ['done', weights.length + projector.length, weights.length + projector.length, 100], 'job');
+    assertEqual(fs.readFileSync(getDownloadFiles(tiny)[0].path).equals(weights), true, 'GGUF content');
+    assertEqual(fs.readFileSync(getDownloadFiles(tiny)[1].path).equals(projector), true, 'mmproj content');
+    assertEqual(fs.existsSync(`${getDownloadFiles(tiny)[0].path}.partial`), false, 'no partial file left');
+    assertEqual(getMissingFiles(tiny), [], 'nothing missing');
+    assertEqual(events[0].status, 'downloading', 'first event');
+    assertEqual(events[events.length - 1].status, 'done', 'last event');
+    assertEqual(events.some(event => event.files.some(file => file.status === 'verifying')), true, 'verifying event');
+  });
+
+  await test('a second download of a complete model does nothing', async () => {
+    const before = requests.length;
+    const job = await downloadModel('tiny', tiny);
+    assertEqual([job.status, job.files.length, requests.length], ['done', 0, before], 'no requests');
+  });
+
+  await test('an interrupted download resumes with a Range request', async () => {
+    const data = crypto.randomBytes(128 * 1024);
+    serve('org/resume-GGUF', 'resume.gguf', data);
+    const model = { repo: 'org/resume-GGUF', file: 'resume.gguf' };
+    const target = getDownloadFiles(model)[0].path;
+    fs.writeFileSync(`${target}.partial`, data.subarray(0, 50000));
+
+    requests.length = 0;
+    const job = await downloadModel('resume', model);
+    const get = requests.find(req => req.method === 'GET');
+    assertEqual(get.range, 'bytes=50000-', 'range header');
+    assertEqual([job.bytes, job.total], [data.length, data.length], 'sizes');
+    assertEqual(fs.readFileSync(target).equals(data), true, 'content');
+  });
+
+  await test('a checksum mismatch fails the download and removes the partial file', async () => {
+    const data = crypto.randomBytes(8192);
+    serve('org/bad-GGUF', 'bad.gguf', data, { etag: sha256(Buffer.from('something else')) });
+    const model = { repo: 'org/bad-GGUF', file: 'bad.gguf' };
+
+    await assertRejects(downloadModel('bad', model), /checksum mismatch/, 'server checksum');
+    const target = getDownloadFiles(model)[0].path;
+    assertEqual([fs.existsSync(target), fs.existsSync(`${target}.partial`)], [false, false], 'files removed');
+    assertEqual(getDownload('bad').status, 'error', 'job status');
+    assertEqual(getDownload('bad').files[0].status, 'error', 'file status');
+
+    // A sha256 in models.json wins over the server's ETag
+    await downloadModel('bad', { ...model, sha256: sha256(data) });
+    assertEqual(fs.readFileSync(target).equals(data), true, 'configured checksum');
+  });
+
+  await test('a missing file fails with the HTTP status', async () => {
+    await assertRejects(downloadModel('gone', { repo: 'org/gone-GGUF', file: 'gone.gguf' }), /gone\.gguf: HTTP 404/, '404');
+  });
+
+  await test('concurrent downloads of one model share a job', async () => {
+    serve('org/shared-GGUF', 'shared.gguf', crypto.randomBytes(64 * 1024));
+    const model = { repo: 'org/shared-GGUF', file: 'shared.gguf' };
+    requests.length = 0;
+    const [a, b] = await Promise.all([downloadModel('shared', model), downloadModel('shared', model)]);
+    assertEqual(a, b, 'same result');
+    assertEqual(requests.filter(req => req.method === 'GET').length, 1, 'one GET');
+    assertEqual(getDownloads().map(job => job.model).includes('shared'), true, 'listed');
+  });
+
+  await test('downloads.token is sent as a bearer token', async () => {
+    serve('org/gated-GGUF', 'gated.gguf', crypto.randomBytes(1024));
+    config.downloads.token = 'hf_secret';
+    requests.length = 0;
+    await downloadModel('gated', { repo: 'org/gated-GGUF', file: 'gated.gguf' });
+    assertEqual(requests.every(req => req.auth === 'Bearer hf_secret'), true, 'authorization');
+    delete config.downloads.token;
+  });
+
+  await test('with downloads.auto off a missing model fails fast', async () => {
+    config.downloads.auto = false;
+    const model = { type: 'llama-cpp', repo: 'org/absent-GGUF', file: 'absent.gguf', port: 8201 };
+    await assertRejects(acquireModel('absent', model), /^model not downloaded: absent .*POST \/admin\/models\/absent\/download/, 'acquireModel');
+    config.downloads.auto = true;
+  });
+
+  config.llama = savedLlama;
+  config.downloads = savedDownloads;
+  hub.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
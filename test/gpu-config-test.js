@@ -103,13 +103,48 @@ function testDefaultValues() {
   return allEnabled;
 }
 
+// Test 4: Per-model GPU settings override the global ones
+function testPerModelOverrides() {
+  const config = require('../src/helpers/config');
+  const { resolveGpuSettings, checkGpuSettings } = require('../src/helpers/llama');
+  const savedGpu = config.llama?.gpu;
+  config.llama = { ...config.llama, gpu: { enabled: true, layers: -1, device: 0 } };
+
+  const checks = [];
+  const check = (ok, label) => checks.push(`${ok ? '✅' : '❌'} ${label}`);
+
+  const small = resolveGpuSettings({ repo: 'org/small', file: 'small.gguf' });
+  check(small.layers === -1 && small.device === 0 && small.source === 'global', 'model without "gpu" uses llama.gpu');
+
+  const moe = resolveGpuSettings({ gpu: { layers: 20, device: 1, cpuMoe: 12, tensorSplit: [3, 1], mmap: false } });
+  check(moe.layers === 20 && moe.device === 1 && moe.source === 'model', 'gpu.layers and gpu.device override llama.gpu');
+  check(moe.cpuMoe === 12 && moe.mmap === false && moe.mlock === false, 'cpuMoe, mmap and mlock per model');
+
+  const legacy = resolveGpuSettings({ performance: { gpuLayers: 28 } });
+  check(legacy.layers === 28, 'performance.gpuLayers is honored');
+  check(resolveGpuSettings({ gpu: { layers: 10 }, performance: { gpuLayers: 28 } }).layers === 10, 'gpu.layers wins over performance.gpuLayers');
+
+  const gpus = [{ index: 0, name: 'GPU A' }];
+  check(checkGpuSettings(small, gpus).length === 0, 'settings for detected GPU pass');
+  check(checkGpuSettings(moe, gpus).length === 2, 'missing device and oversized tensorSplit are reported');
+  check(checkGpuSettings(moe, []).length === 0, 'nothing is checked without nvidia-smi');
+
+  config.llama.gpu = savedGpu;
+
+  console.log('\n📋 Per-Model GPU Settings:');
+  checks.forEach(line => console.log(`  ${line}`));
+
+  return checks.every(c => c.startsWith('✅'));
+}
+
 // Run tests
 const test1 = testConfigHasGPUSettings();
 const test2 = testEnvConfigHasGPUSettings();
 const test3 = testDefaultValues();
+const test4 = testPerModelOverrides();
 
 console.log('\n' + '='.repeat(50));
-if (test1 && test2 && test3) {
+if (test1 && test2 && test3 && test4) {
   console.log('✅ All GPU configuration tests passed!');
   process.exit(0);
 } else {
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * llama-server command tests for lols-router
+ * Built-in flags, extraArgs/env passthrough, local model files and the launch preview (no llama-server needed)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/helpers/config');
+const { buildLlamaCommand, formatCommand, checkModelFiles, getModelFilePath } = require('../src/helpers/llama');
+const { ggufShards } = require('../src/helpers/gguf');
+const { buildLaunchConfig } = require('../src/helpers/orchestrator');
+
+console.log('🧪 Running llama-server command tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+function optionValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+const savedLlama = config.llama;
+config.llama = { bin: '/opt/llama/llama-server', cache: '/tmp/llama-cache', gpu: { enabled: true, layers: -1, device: 0 } };
+
+const model = {
+  type: 'llama-cpp',
+  repo: 'org/model-GGUF',
+  file: 'model-Q4_K_M.gguf',
+  port: 8100,
+  context: 8192,
+  maxTokens: 1024,
+  performance: { batch: 2048, contBatching: true }
+};
+
+test('built-in flags are on by default', () => {
+  const { bin, args, env } = buildLlamaCommand(buildLaunchConfig(model));
+  assertEqual(bin, '/opt/llama/llama-server', 'bin');
+  assertEqual(args.includes('--jinja'), true, '--jinja');
+  assertEqual(optionValue(args, '--cache-ram'), '16384', '--cache-ram');
+  assertEqual(optionValue(args, '--cache-reuse'), '2048', '--cache-reuse');
+  assertEqual(args.includes('--override-kv'), true, '--override-kv');
+  assertEqual(env, { LLAMA_CACHE: '/tmp/llama-cache' }, 'env');
+});
+
+test('builtinArgs turn flags off or change their value, model over global', () => {
+  config.llama.builtinArgs = { cacheRam: 4096, jinja: false };
+  const globalOnly = buildLlamaCommand(buildLaunchConfig(model)).args;
+  assertEqual(optionValue(globalOnly, '--cache-ram'), '4096', 'global --cache-ram');
+  assertEqual(globalOnly.includes('--jinja'), false, 'global jinja off');
+
+  const own = buildLlamaCommand(buildLaunchConfig({ ...model, builtinArgs: { jinja: true, cacheRam: false, cacheReuse: 256, overrideContext: false } })).args;
+  assertEqual(own.includes('--jinja'), true, 'model jinja on');
+  assertEqual(own.includes('--cache-ram'), false, 'model --cache-ram off');
+  assertEqual(optionValue(own, '--cache-reuse'), '256', 'model --cache-reuse');
+  assertEqual(own.includes('--override-kv'), false, 'model --override-kv off');
+  delete config.llama.builtinArgs;
+});
+
+test('extraArgs are appended last, global before model', () => {
+  config.llama.extraArgs = ['--metrics'];
+  const { args } = buildLlamaCommand(buildLaunchConfig({ ...model, extraArgs: ['--slot-save-path', '/tmp/slots', '--ctx-size', 4096] }));
+  assertEqual(args.slice(-5), ['--metrics', '--slot-save-path', '/tmp/slots', '--ctx-size', '4096'], 'tail');
+  delete config.llama.extraArgs;
+});
+
+test('env maps merge global and model values on top of LLAMA_CACHE', () => {
+  config.llama.env = { CUDA_VISIBLE_DEVICES: '0,1', HF_TOKEN: 'global' };
+  const { env, notes } = buildLlamaCommand(buildLaunchConfig({ ...model, env: { HF_TOKEN: 'model', GGML_CUDA_NO_PINNED: 1 } }));
+  assertEqual(env, { LLAMA_CACHE: '/tmp/llama-cache', CUDA_VISIBLE_DEVICES: '0,1', HF_TOKEN: 'model', GGML_CUDA_NO_PINNED: '1' }, 'env');
+  assertEqual(notes[notes.length - 1], 'Extra environment: CUDA_VISIBLE_DEVICES, HF_TOKEN, GGML_CUDA_NO_PINNED', 'note');
+  delete config.llama.env;
+});
+
+test('passthrough settings are part of the launch config (a change restarts the model)', () => {
+  const launch = buildLaunchConfig({ ...model, extraArgs: ['--metrics'], env: { A: '1' }, builtinArgs: { jinja: false } });
+  assertEqual([launch.extraArgs, launch.env, launch.builtinArgs], [['--metrics'], { A: '1' }, { jinja: false }], 'launch config');
+  assertEqual(buildLaunchConfig(model).maxTokens, undefined, 'request settings stay out');
+});
+
+test('formatCommand quotes arguments for a shell', () => {
+  assertEqual(formatCommand('/bin/llama-server', ['--alias', "my model's", '-c', '8192']), "/bin/llama-server --alias 'my model'\\''s' -c 8192", 'command');
+});
+
+test('a local path replaces the Hugging Face download', () => {
+  const { args } = buildLlamaCommand(buildLaunchConfig({ ...model, repo: undefined, file: undefined, path: '/models/model.gguf', mmprojPath: '~/models/mmproj.gguf' }));
+  assertEqual(optionValue(args, '--model'), '/models/model.gguf', '--model');
+  assertEqual(args.includes('--hf-repo'), false, 'no --hf-repo');
+  assertEqual(optionValue(args, '--mmproj'), path.join(os.homedir(), 'models/mmproj.gguf'), '--mmproj');
+  assertEqual(getModelFilePath({ path: 'models/local.gguf' }), path.join(__dirname, '..', 'models/local.gguf'), 'relative path');
+});
+
+test('ggufShards lists every shard of a split model', () => {
+  assertEqual(ggufShards('/m/big-00002-of-00003.gguf'), {
+    index: 2,
+    count: 3,
+    files: ['/m/big-00001-of-00003.gguf', '/m/big-00002-of-00003.gguf', '/m/big-00003-of-00003.gguf']
+  }, 'shards');
+  assertEqual(ggufShards('/m/small.gguf'), null, 'single file');
+});
+
+test('checkModelFiles reports missing files and shards before launch', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llama-files-'));
+  fs.writeFileSync(path.join(dir, 'big-00001-of-00002.gguf'), '');
+  fs.writeFileSync(path.join(dir, 'single.gguf'), '');
+
+  assertEqual(checkModelFiles({ path: path.join(dir, 'single.gguf') }), [], 'single file present');
+  assertEqual(checkModelFiles({ path: path.join(dir, 'big-00001-of-00002.gguf') }), [
+    `missing 1 of 2 shard(s): ${path.join(dir, 'big-00002-of-00002.gguf')}`
+  ], 'missing shard');
+  fs.writeFileSync(path.join(dir, 'big-00002-of-00002.gguf'), '');
+  assertEqual(checkModelFiles({ path: path.join(dir, 'big-00001-of-00002.gguf') }), [], 'all shards present');
+  assertEqual(checkModelFiles({ path: path.join(dir, 'big-00002-of-00002.gguf') }), [
+    `${path.join(dir, 'big-00002-of-00002.gguf')} is shard 2 of 2; point "path" at the first shard`
+  ], 'not the first shard');
+  assertEqual(checkModelFiles({ path: path.join(dir, 'gone.gguf'), mmprojPath: path.join(dir, 'mmproj.gguf') }), [
+    `model file not found: ${path.join(dir, 'gone.gguf')}`,
+    `mmproj file not found: ${path.join(dir, 'mmproj.gguf')}`
+  ], 'missing files');
+  assertEqual(checkModelFiles(model), [], 'Hugging Face models are not checked');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+config.llama = savedLlama;
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  console.log('\n❌ Tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests passed!');
+  process.exit(0);
+}
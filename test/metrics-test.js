@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Prometheus metrics tests for lols-router
+ * Tests the exposition format without starting the server
+ */
+
+const { Counter, Histogram, observeRequest, renderMetrics } = require('../src/helpers/metrics');
+
+console.log('🧪 Running metrics tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertIncludes(text, expected) {
+  if (!text.includes(expected)) {
+    throw new Error(`expected output to include ${JSON.stringify(expected)}\n${text}`);
+  }
+}
+
+(async () => {
+  await test('Counter renders HELP, TYPE and labelled series', () => {
+    const counter = new Counter('test_requests_total', 'Test requests', ['model', 'status']);
+    counter.inc({ model: 'qwen', status: 200 });
+    counter.inc({ model: 'qwen', status: 200 }, 2);
+    const out = counter.render();
+    assertIncludes(out, '# HELP test_requests_total Test requests\n# TYPE test_requests_total counter\n');
+    assertIncludes(out, 'test_requests_total{model="qwen",status="200"} 3\n');
+  });
+
+  await test('Label values are escaped', () => {
+    const counter = new Counter('test_escape_total', 'Escaping', ['name']);
+    counter.inc({ name: 'a "quoted"\\path\nline' });
+    assertIncludes(counter.render(), 'test_escape_total{name="a \\"quoted\\"\\\\path\\nline"} 1\n');
+  });
+
+  await test('Histogram renders cumulative buckets, sum and count', () => {
+    const histogram = new Histogram('test_duration_seconds', 'Durations', ['model'], [1, 5]);
+    histogram.observe({ model: 'qwen' }, 0.5);
+    histogram.observe({ model: 'qwen' }, 3);
+    histogram.observe({ model: 'qwen' }, 10);
+    const out = histogram.render();
+    assertIncludes(out, 'test_duration_seconds_bucket{model="qwen",le="1"} 1\n');
+    assertIncludes(out, 'test_duration_seconds_bucket{model="qwen",le="5"} 2\n');
+    assertIncludes(out, 'test_duration_seconds_bucket{model="qwen",le="+Inf"} 3\n');
+    assertIncludes(out, 'test_duration_seconds_sum{model="qwen"} 13.5\n');
+    assertIncludes(out, 'test_duration_seconds_count{model="qwen"} 3\n');
+  });
+
+  await test('Histogram without labels renders bare le label', () => {
+    const histogram = new Histogram('test_wait_seconds', 'Waits', [], [1]);
+    histogram.observe({}, 2);
+    assertIncludes(histogram.render(), 'test_wait_seconds_bucket{le="1"} 0\n');
+    assertIncludes(histogram.render(), 'test_wait_seconds_count 1\n');
+  });
+
+  await test('Requests that did not resolve to a model are labelled "unknown"', async () => {
+    const record = model => ({
+      endpoint: '/v1/chat/completions',
+      requestedModel: 'client-typo-123',
+      model,
+      category: null,
+      status: model ? 200 : 400,
+      latency: { totalMs: 5, firstTokenMs: null, queueMs: 0, loadMs: 0 },
+      usage: null
+    });
+    observeRequest(record(null));
+    observeRequest(record('qwen'));
+    const out = await renderMetrics();
+    assertIncludes(out, 'lols_requests_total{endpoint="/v1/chat/completions",model="unknown",category="",status="400"} 1\n');
+    assertIncludes(out, 'model="qwen"');
+    if (out.includes('client-typo-123')) throw new Error('client model string became a label value');
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
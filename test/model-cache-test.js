@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Model cache inventory tests for lols-router
+ * Maps models.json entries to files in temporary llama.cpp cache and whisper.cpp model directories
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/helpers/config');
+const { getReferencedFiles, getCacheInventory, findCacheFile, getDeleteBlocker, deleteCacheFile } = require('../src/helpers/model-cache');
+
+console.log('🧪 Running model cache tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lols-cache-'));
+const cacheDir = path.join(tmpDir, 'llama');
+const whisperDir = path.join(tmpDir, 'whisper');
+fs.mkdirSync(cacheDir);
+fs.mkdirSync(whisperDir);
+
+const savedLlama = config.llama;
+const savedWhisper = config.whisper;
+config.llama = { ...savedLlama, cache: cacheDir };
+config.whisper = { ...savedWhisper, models: whisperDir };
+
+function writeFile(dir, name, bytes) {
+  fs.writeFileSync(path.join(dir, name), Buffer.alloc(bytes));
+}
+
+writeFile(cacheDir, 'org_chat-GGUF_chat-Q4_K_M.gguf', 4000);
+writeFile(cacheDir, 'org_vision-GGUF_vision.gguf', 3000);
+writeFile(cacheDir, 'org_vision-GGUF_mmproj.gguf', 500);
+writeFile(cacheDir, 'org_big-GGUF_big-00001-of-00002.gguf', 2000);
+writeFile(cacheDir, 'org_big-GGUF_big-00002-of-00002.gguf.partial', 700);
+writeFile(cacheDir, 'old_model-GGUF_old.gguf', 6000);
+writeFile(cacheDir, 'org_chat-GGUF_chat-Q4_K_M.gguf.json', 10);
+writeFile(whisperDir, 'ggml-base.bin', 1000);
+writeFile(whisperDir, 'README.md', 10);
+
+const modelsConfig = {
+  models: {
+    chat: { type: 'llama-cpp', repo: 'org/chat-GGUF', file: 'chat-Q4_K_M.gguf', port: 8100 },
+    'chat-long': { repo: 'org/chat-GGUF', file: 'chat-Q4_K_M.gguf', port: 8101, context: 32768 },
+    vision: { type: 'llama-cpp', repo: 'org/vision-GGUF', file: 'vision.gguf', mmproj: 'mmproj.gguf', port: 8102 },
+    big: { type: 'llama-cpp', repo: 'org/big-GGUF', file: 'big-00001-of-00002.gguf', port: 8103 },
+    whisper: { type: 'whisper-cpp', file: 'ggml-base.bin', port: 8104 },
+    remote: { type: 'remote', endpoint: 'https://api.example.com/v1' }
+  },
+  router: { model: 'chat', port: 3001 }
+};
+
+test('referenced files cover shards, mmproj and whisper models', () => {
+  const referenced = getReferencedFiles(modelsConfig);
+  assertEqual(referenced.get(path.join(cacheDir, 'org_chat-GGUF_chat-Q4_K_M.gguf')), ['chat', 'chat-long'], 'shared file');
+  assertEqual(referenced.get(path.join(cacheDir, 'org_vision-GGUF_mmproj.gguf')), ['vision'], 'mmproj');
+  assertEqual(referenced.get(path.join(cacheDir, 'org_big-GGUF_big-00002-of-00002.gguf')), ['big'], 'second shard');
+  assertEqual(referenced.get(path.join(whisperDir, 'ggml-base.bin')), ['whisper'], 'whisper model');
+  assertEqual(referenced.size, 6, 'count');
+});
+
+test('inventory lists model files with size and referencing models', () => {
+  const inventory = getCacheInventory(modelsConfig);
+  assertEqual(inventory.files.map(file => file.name), [
+    'old_model-GGUF_old.gguf',
+    'org_chat-GGUF_chat-Q4_K_M.gguf',
+    'org_vision-GGUF_vision.gguf',
+    'org_big-GGUF_big-00001-of-00002.gguf',
+    'ggml-base.bin',
+    'org_big-GGUF_big-00002-of-00002.gguf.partial',
+    'org_vision-GGUF_mmproj.gguf'
+  ], 'files, largest first (no metadata or README)');
+  assertEqual(inventory.files[0].referencedBy, [], 'unreferenced');
+  assertEqual([inventory.files[5].partial, inventory.files[5].referencedBy], [true, ['big']], 'partial download');
+  assertEqual(inventory.files[4].location, 'whisper', 'location');
+  assertEqual([inventory.totalBytes, inventory.referencedBytes, inventory.unreferencedBytes], [17200, 11200, 6000], 'totals');
+  assertEqual(inventory.dirs.map(dir => [dir.location, dir.exists]), [['llama', true], ['whisper', true]], 'dirs');
+  assertEqual(typeof inventory.dirs[0].disk.free, 'number', 'free disk space');
+});
+
+test('loaded models mark their files in use and set the last use', () => {
+  const lastUsed = Date.now() + 60000;
+  const inventory = getCacheInventory(modelsConfig, { running: [{ name: 'chat-long', lastUsed }] });
+  const chat = findCacheFile(inventory, 'org_chat-GGUF_chat-Q4_K_M.gguf');
+  assertEqual([chat.inUse, chat.lastUsedAt], [['chat-long'], lastUsed], 'in use');
+  assertEqual(findCacheFile(inventory, 'org_vision-GGUF_vision.gguf').inUse, [], 'not loaded');
+});
+
+test('findCacheFile only accepts file names', () => {
+  const inventory = getCacheInventory(modelsConfig);
+  assertEqual(findCacheFile(inventory, '../llama/old_model-GGUF_old.gguf'), null, 'relative path');
+  assertEqual(findCacheFile(inventory, path.join(cacheDir, 'old_model-GGUF_old.gguf')), null, 'absolute path');
+  assertEqual(findCacheFile(inventory, 'org_chat-GGUF_chat-Q4_K_M.gguf.json'), null, 'not a model file');
+  assertEqual(findCacheFile(inventory, 'ggml-base.bin', 'llama'), null, 'other location');
+  assertEqual(findCacheFile(inventory, 'ggml-base.bin', 'whisper').name, 'ggml-base.bin', 'location');
+});
+
+test('entries that cannot be stat\'ed are skipped', () => {
+  const link = path.join(cacheDir, 'org_gone-GGUF_gone.gguf');
+  fs.symlinkSync(path.join(tmpDir, 'missing.gguf'), link);
+  try {
+    const inventory = getCacheInventory(modelsConfig);
+    assertEqual(findCacheFile(inventory, 'org_gone-GGUF_gone.gguf'), null, 'dangling symlink');
+    assertEqual(inventory.files.length, 7, 'other files');
+  } finally {
+    fs.unlinkSync(link);
+  }
+});
+
+test('files of loaded models, the router and running downloads cannot be deleted', () => {
+  const inventory = getCacheInventory(modelsConfig);
+  const chat = findCacheFile(inventory, 'org_chat-GGUF_chat-Q4_K_M.gguf');
+  const shard = findCacheFile(inventory, 'org_big-GGUF_big-00002-of-00002.gguf.partial');
+  const old = findCacheFile(inventory, 'old_model-GGUF_old.gguf');
+
+  assertEqual(getDeleteBlocker(chat, { running: [{ name: 'chat', router: true }] }),
+    'org_chat-GGUF_chat-Q4_K_M.gguf is used by the routing model (chat)', 'router');
+  assertEqual(getDeleteBlocker(chat, { running: [{ name: 'chat-long' }] }),
+    'org_chat-GGUF_chat-Q4_K_M.gguf is used by loaded model(s): chat-long (unload first)', 'loaded model');
+  assertEqual(getDeleteBlocker(chat, { running: [{ name: 'vision' }] }), null, 'other model loaded');
+  assertEqual(getDeleteBlocker(shard, { downloading: [path.join(cacheDir, 'org_big-GGUF_big-00002-of-00002.gguf')] }),
+    'org_big-GGUF_big-00002-of-00002.gguf.partial is being downloaded', 'download');
+  assertEqual(getDeleteBlocker(shard), null, 'interrupted download');
+  assertEqual(getDeleteBlocker(old, { running: [{ name: 'chat', router: true }] }), null, 'unreferenced');
+});
+
+test('deleteCacheFile removes the file and llama.cpp metadata', () => {
+  const inventory = getCacheInventory(modelsConfig);
+  const chat = findCacheFile(inventory, 'org_chat-GGUF_chat-Q4_K_M.gguf');
+  assertEqual(deleteCacheFile(chat), 4000, 'bytes freed');
+  assertEqual(fs.existsSync(chat.path), false, 'file removed');
+  assertEqual(fs.existsSync(`${chat.path}.json`), false, 'metadata removed');
+  assertEqual(getCacheInventory(modelsConfig).files.length, 6, 'inventory');
+});
+
+config.llama = savedLlama;
+config.whisper = savedWhisper;
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  console.log('\n❌ Tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Model lifecycle tests for lols-router
+ * Pinning, explicit unloads and preload against stub llama-servers the orchestrator adopts (never kills);
+ * idle unload and crash handling against a fake llama-server binary it starts and stops itself
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const config = require('../src/helpers/config');
+const orchestrator = require('../src/helpers/orchestrator');
+const { getModels } = require('../src/helpers/config-store');
+
+console.log('🧪 Running model lifecycle tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+// Answers /v1/models like a running llama-server
+function startStub() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ data: [] }));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// Stand-in for llama-server: answers every request and logs chat requests (keep-warm pings) to a file
+const FAKE_LLAMA = `#!/usr/bin/env node
+const args = process.argv.slice(2);
+const port = Number(args[args.indexOf('--port') + 1]);
+process.stderr.write('fake llama-server listening on ' + port + '\\n');
+require('http').createServer((req, res) => {
+  if (req.method === 'POST') require('fs').appendFileSync(process.env.FAKE_LLAMA_LOG, req.url + '\\n');
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ data: [], choices: [] }));
+}).listen(port, '127.0.0.1');
+`;
+
+function freePort() {
+  return new Promise(resolve => {
+    const server = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function residentNames() {
+  return orchestrator.getResidentModels().map(entry => entry.name).sort();
+}
+
+async function use(name, model) {
+  const { release } = await orchestrator.acquireModel(name, model);
+  release();
+}
+
+(async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lols-lifecycle-'));
+  const stubs = await Promise.all([startStub(), startStub(), startStub()]);
+  const savedGpu = config.gpu;
+  const savedIdle = config.idleUnload;
+  config.gpu = { ...savedGpu, vramBudgetMb: 1000 };
+  config.idleUnload = { seconds: 0, exemptRouter: true, checkIntervalSeconds: 0.1 };
+
+  // Local files keep the downloader out of the way; two 600 MB models never fit together
+  const [a, b, c] = stubs.map((stub, i) => {
+    const file = path.join(tmpDir, `model-${i}.gguf`);
+    fs.writeFileSync(file, '');
+    return { type: 'llama-cpp', path: file, port: stub.address().port, vramMb: 600 };
+  });
+
+  await test('a pinned model is not evicted for another model', async () => {
+    await use('a', a);
+    orchestrator.setPinned('a', true);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await use('b', b);
+    assertEqual(residentNames(), ['a', 'b'], 'resident');
+    assertEqual(orchestrator.getResidentModels().find(entry => entry.name === 'a').pinned, true, 'pinned flag');
+  });
+
+  await test('after unpinning, LRU eviction applies again', async () => {
+    orchestrator.setPinned('a', false);
+    await use('c', c);
+    assertEqual(residentNames(), ['c'], 'resident');
+  });
+
+  await test('stopModel unloads a resident model and reports missing ones', async () => {
+    orchestrator.setPinned('c', true);
+    assertEqual(await orchestrator.stopModel('c'), true, 'unloaded');
+    assertEqual(residentNames(), [], 'resident');
+    assertEqual(await orchestrator.stopModel('c'), false, 'not loaded');
+
+    await use('c', c);
+    assertEqual(orchestrator.getResidentModels()[0].pinned, false, 'unload dropped the pin');
+    await orchestrator.stopModel('c');
+  });
+
+  await test('x-lols-priority integers are clamped to the named range', () => {
+    assertEqual(['high', 'batch', '999999', '-50', '3', 'junk'].map(orchestrator.parsePriority), [10, -10, 10, -10, 3, 0], 'priorities');
+  });
+
+  await test('loadModel refuses unknown models', async () => {
+    let error = null;
+    await orchestrator.loadModel('no-such-model').catch(err => { error = err; });
+    assertEqual(error && error.message, 'unknown model: no-such-model', 'error');
+  });
+
+  await test('preload skips failing entries', async () => {
+    await orchestrator.preloadModels(['no-such-model', { model: 'also-missing', pin: true }]);
+    assertEqual(residentNames(), [], 'nothing loaded');
+  });
+
+  // Idle unload: owned processes started from the fake binary
+  const fakeBin = path.join(tmpDir, 'llama-server');
+  fs.writeFileSync(fakeBin, FAKE_LLAMA, { mode: 0o755 });
+  process.env.FAKE_LLAMA_LOG = path.join(tmpDir, 'requests.log');
+  const savedLlama = config.llama;
+  config.llama = { ...savedLlama, bin: fakeBin, extraArgs: [], env: {} };
+  config.gpu = { ...savedGpu, vramBudgetMb: 100000 };
+
+  const unloaded = [];
+  global.broadcastModelUnloaded = details => unloaded.push(details);
+  const owned = async (extra = {}) => ({ type: 'llama-cpp', path: a.path, port: await freePort(), vramMb: 100, ...extra });
+
+  await test('idle models are stopped; keep-warm pings do not count as requests', async () => {
+    const model = await owned({ idleUnloadSeconds: 0.8, keepWarm: 0.2 });
+    await use('sleepy', model);
+    const entry = orchestrator.getResidentModels().find(e => e.name === 'sleepy');
+    assertEqual(entry.owned && entry.idleUnloadAt > Date.now(), true, 'idleUnloadAt');
+
+    await sleep(1500);
+    assertEqual(residentNames().includes('sleepy'), false, 'unloaded');
+    assertEqual(fs.readFileSync(process.env.FAKE_LLAMA_LOG, 'utf8').includes('/v1/chat/completions'), true, 'keep-warm pings were sent');
+    const event = unloaded.find(e => e.model === 'sleepy');
+    assertEqual([event.reason, event.idleMs >= 800, event.vramMb], ['idle', true, 100], 'modelUnloaded event');
+  });
+
+  await test('requests in flight and pins keep a model loaded', async () => {
+    const busy = await owned({ idleUnloadSeconds: 0.3 });
+    const held = await owned({ idleUnloadSeconds: 0.3 });
+    const lease = await orchestrator.acquireModel('busy', busy);
+    await use('held', held);
+    orchestrator.setPinned('held', true);
+
+    await sleep(700);
+    assertEqual(residentNames(), ['busy', 'held'], 'both still loaded');
+    assertEqual(orchestrator.getResidentModels().find(e => e.name === 'held').idleUnloadAt, null, 'pinned: no idle unload');
+
+    lease.release();
+    await sleep(700);
+    assertEqual(residentNames(), ['held'], 'released model unloaded');
+    await orchestrator.stopModel('held');
+  });
+
+  await test('config.idleUnload.seconds is the default; the routing model is exempt unless exemptRouter is false', async () => {
+    const routerName = getModels().router?.model || 'router-model';
+    config.idleUnload.seconds = 0.3;
+    await use(routerName, await owned());
+    await use('plain', await owned());
+    await use('never', await owned({ idleUnloadSeconds: 0 }));
+
+    await sleep(700);
+    assertEqual(residentNames(), [routerName, 'never'].sort(), 'router model and opted-out model stay');
+
+    config.idleUnload.exemptRouter = false;
+    await sleep(500);
+    assertEqual(residentNames(), ['never'], 'router model unloaded');
+    await orchestrator.stopModel('never');
+  });
+
+  // Crash handling: processes killed behind the orchestrator's back
+  global.modelRegistry = new Map();
+  const crashed = [];
+  global.broadcastModelCrashed = details => crashed.push(details);
+  const savedCrashRestart = config.crashRestart;
+  config.crashRestart = { enabled: true, initialDelayMs: 100, maxDelayMs: 1000, maxRestarts: 2, windowSeconds: 60, stderrLines: 20 };
+  const pidOf = name => orchestrator.getLaunchedCommand(name).pid;
+
+  await test('a crashed model is dropped and reported with its last stderr lines', async () => {
+    const model = await owned();
+    await use('fragile', model);
+    const pid = pidOf('fragile');
+    assertEqual(global.modelRegistry.has(pid), true, 'registered');
+
+    process.kill(pid, 'SIGKILL');
+    await sleep(300);
+    assertEqual(residentNames(), [], 'dropped');
+    assertEqual(global.modelRegistry.has(pid), false, 'PID unregistered');
+    let error = null;
+    try { orchestrator.getCurrentModel(); } catch (err) { error = err; }
+    assertEqual(error && error.message, 'no model running', 'current cleared');
+
+    const event = crashed.find(e => e.model === 'fragile');
+    assertEqual([event.signal, event.exitCode, event.restartInMs, event.crashLoop], ['SIGKILL', null, null, false], 'modelCrashed event (not pinned: no restart)');
+    assertEqual(event.stderr.includes(`fake llama-server listening on ${model.port}`), true, 'stderr lines');
+
+    await use('fragile', model);
+    assertEqual(residentNames(), ['fragile'], 'next request starts it again');
+    await orchestrator.stopModel('fragile');
+    assertEqual(crashed.filter(e => e.model === 'fragile').length, 1, 'a requested unload is not a crash');
+  });
+
+  await test('pinned models restart with backoff until the crash-loop breaker trips', async () => {
+    getModels().models.sturdy = await owned();
+    await orchestrator.loadModel('sturdy', { pin: true });
+
+    for (const expectedDelay of [100, 200]) {
+      const pid = pidOf('sturdy');
+      process.kill(pid, 'SIGKILL');
+      await sleep(expectedDelay + 800);
+      assertEqual(crashed[crashed.length - 1].restartInMs, expectedDelay, 'backoff');
+      assertEqual(residentNames().includes('sturdy') && pidOf('sturdy') !== pid, true, 'restarted');
+    }
+
+    process.kill(pidOf('sturdy'), 'SIGKILL');
+    await sleep(500);
+    const last = crashed[crashed.length - 1];
+    assertEqual([last.crashes, last.restartInMs, last.crashLoop], [3, null, true], 'crash loop');
+    assertEqual(residentNames().includes('sturdy'), false, 'not restarted');
+    orchestrator.setPinned('sturdy', false);
+    delete getModels().models.sturdy;
+  });
+
+  await test('POST /v1/cleanup stops pinned models without reporting a crash or restarting them', async () => {
+    // Only the test model: cleanup kills whatever listens on the configured ports
+    const models = getModels().models;
+    const savedModels = { ...models };
+    Object.keys(models).forEach(name => delete models[name]);
+    models.tidy = await owned();
+    const app = require('express')();
+    app.use(require('../src/endpoint/cleanup'));
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    try {
+      await orchestrator.loadModel('tidy', { pin: true });
+      const crashes = crashed.length;
+
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/cleanup`, { method: 'POST' });
+      const body = await response.json();
+      assertEqual([body.cleaned, body.results[0].name], [1, 'tidy'], 'cleaned');
+
+      await sleep(500);
+      assertEqual(crashed.length, crashes, 'no modelCrashed event');
+      assertEqual(residentNames().includes('tidy'), false, 'stopped and not restarted');
+    } finally {
+      server.close();
+      delete models.tidy;
+      Object.assign(models, savedModels);
+    }
+  });
+
+  for (const name of residentNames()) {
+    await orchestrator.stopModel(name);
+  }
+  config.crashRestart = savedCrashRestart;
+  config.llama = savedLlama;
+  config.idleUnload = savedIdle;
+  config.gpu = savedGpu;
+  stubs.forEach(stub => stub.close());
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
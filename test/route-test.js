@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Routing explanation tests for lols-router
+ * x-lols-* headers and the dry-run request preparation behind POST /v1/route
+ */
+
+const config = require('../src/helpers/config');
+const { preparePayload, routeHeaders } = require('../src/endpoint/chat');
+
+console.log('🧪 Running route explanation tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+const quiet = () => {};
+
+function conversation(turns) {
+  const messages = [];
+  for (let i = 0; i < turns; i++) {
+    messages.push({ role: 'user', content: `question ${i} ` + 'lorem ipsum dolor sit amet '.repeat(5) });
+    messages.push({ role: 'assistant', content: `answer ${i} ` + 'consectetur adipiscing elit '.repeat(5) });
+  }
+  messages.push({ role: 'user', content: 'and finally?' });
+  return messages;
+}
+
+(async () => {
+  await test('routeHeaders explains routing, context, max_tokens and timeout', () => {
+    const plan = { model: 'm', category: 'code', routing: { method: 'rule', rule: 'python', confidence: 0.9 } };
+    const prepared = {
+      payload: { max_tokens: 1024 },
+      systemPromptSource: 'category-level',
+      truncation: { systemTokens: 10, conversationTokens: 90, limit: 500, removed: 2, tokenizer: 'estimate', strategy: 'drop-oldest' },
+      timeoutSeconds: 120
+    };
+    assertEqual(routeHeaders(plan, prepared), {
+      'x-lols-category': 'code',
+      'x-lols-routing': 'rule',
+      'x-lols-rule': 'python',
+      'x-lols-confidence': '0.9',
+      'x-lols-system-prompt': 'category-level',
+      'x-lols-context': 'tokens=100; limit=500; removed=2; tokenizer=estimate; strategy=drop-oldest',
+      'x-lols-max-tokens': '1024',
+      'x-lols-timeout': '120'
+    }, 'headers');
+  });
+
+  await test('routeHeaders omits what a direct model request does not have', () => {
+    assertEqual(routeHeaders({ model: 'm' }, { payload: { max_tokens: 64 } }), { 'x-lols-max-tokens': '64' }, 'headers');
+  });
+
+  await test('routeHeaders replaces non-ASCII characters in rule names', () => {
+    const headers = routeHeaders({ model: 'm', routing: { method: 'rule', rule: 'café' } }, {});
+    assertEqual(headers['x-lols-rule'], 'caf?', 'rule header');
+  });
+
+  await test('dry run reports the input budget and does not call the summarizer', async () => {
+    const plan = { model: 'test-model', config: { context: 8192, compaction: { strategy: 'summarize' } } };
+    const req = { headers: { 'x-max-input-tokens': '2000' } };
+    const prepared = await preparePayload({ messages: conversation(40), max_tokens: 256 }, plan, req, quiet, { dryRun: true });
+
+    assertEqual(prepared.inputBudget.source, 'header', 'budget source');
+    assertEqual(prepared.inputBudget.maxInputTokens, 2000, 'budget');
+    assertEqual(prepared.truncation.dryRun, true, 'dry run flag');
+    if (!(prepared.truncation.removed > 0)) throw new Error('expected messages to be compacted');
+    if (prepared.truncation.summaryError) throw new Error(`summarizer was called: ${prepared.truncation.summaryError}`);
+  });
+
+  await test('dry run in "error" overflow mode reports the rejection', async () => {
+    const plan = { model: 'test-model', config: { context: 4096, contextOverflow: 'error' } };
+    const req = { headers: { 'x-max-input-tokens': '100' } };
+    const prepared = await preparePayload({ messages: conversation(6) }, plan, req, quiet, { dryRun: true });
+
+    if (!prepared.contextError) throw new Error('expected a context error');
+    assertEqual(prepared.inputBudget.maxInputTokens, 100, 'budget');
+  });
+
+  await test('a summary of a conversation without a system message is not taken for the client\'s system prompt', async () => {
+    const plan = { model: 'test-model', config: { context: 8192, systemPrompt: 'You are the model prompt.', compaction: { strategy: 'summarize' } } };
+    const req = { headers: { 'x-max-input-tokens': '2000' } };
+    const savedSystemPrompt = config.systemPrompt;
+    try {
+      for (const ignoreRoleSystem of [false, true]) {
+        config.systemPrompt = { ...savedSystemPrompt, ignoreRoleSystem };
+        const prepared = await preparePayload({ messages: conversation(40), max_tokens: 256 }, plan, req, quiet, { dryRun: true });
+        const { messages } = prepared.payload;
+
+        assertEqual(prepared.systemPromptSource, 'model-level', `source (ignoreRoleSystem=${ignoreRoleSystem})`);
+        assertEqual(messages[0].content, 'You are the model prompt.', 'configured prompt first');
+        assertEqual(messages[1].role === 'system' && messages[1].content.startsWith('[Summary of the'), true, 'summary kept after it');
+      }
+    } finally {
+      config.systemPrompt = savedSystemPrompt;
+    }
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Routing evaluation harness tests for lols-router
+ * Runs scripts/eval-routing.js against a stub routing model (no llama-server needed)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { loadDataset, evaluate, summarize, compareReports, percentile } = require('../scripts/eval-routing');
+const { attachRouter } = require('../src/helpers/router-manager');
+
+const SAMPLE = path.join(__dirname, 'routing-eval-sample.jsonl');
+const SCRIPT = path.join(__dirname, '../scripts/eval-routing.js');
+
+console.log('🧪 Running routing evaluation tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Keyword "routing model"; a prompt containing NO-CHAT never answers chat
+ */
+function startStubRouter() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/v1/models') {
+      res.setHeader('content-type', 'application/json');
+      return res.end(JSON.stringify({ data: [{ id: 'stub' }] }));
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { messages } = JSON.parse(body);
+      const system = messages[0].content;
+      const text = messages[1].content.toLowerCase();
+
+      let category = 'default';
+      if (/pros and cons|compare|puzzle|evaluate|train/.test(text)) category = 'reason';
+      else if (/python|rust|javascript|sql|segfault/.test(text)) category = 'code';
+      else if (/^hi!|tell me|chat|explain/.test(text)) category = 'chat';
+      if (category === 'chat' && system.includes('NO-CHAT')) category = 'default';
+
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: category } }] }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function runScript(args) {
+  return new Promise(resolve => {
+    execFile('node', [SCRIPT, ...args], { timeout: 60000 }, (err, stdout) => {
+      resolve({ code: err ? err.code : 0, stdout });
+    });
+  });
+}
+
+(async () => {
+  const server = await startStubRouter();
+  const port = server.address().port;
+  const examples = loadDataset(SAMPLE);
+
+  await test('loadDataset separates labels from the chat completion body', () => {
+    assertEqual(examples.length, 20, 'examples');
+    assertEqual(examples[0].expected, 'code', 'expected category');
+    assertEqual(Object.keys(examples[0].payload), ['messages'], 'payload keys');
+  });
+
+  await test('summarize computes confusion matrix, precision and recall', () => {
+    const report = summarize([
+      { expected: 'code', predicted: 'code', method: 'classifier', ms: 10 },
+      { expected: 'code', predicted: 'chat', method: 'classifier', ms: 20 },
+      { expected: 'chat', predicted: 'chat', method: 'rule', ms: 30 },
+      { expected: 'chat', predicted: 'chat', method: 'classifier', ms: 40 }
+    ], 'test');
+
+    assertEqual(report.accuracy, 0.75, 'accuracy');
+    assertEqual(report.confusion, { chat: { chat: 2, code: 0 }, code: { chat: 1, code: 1 } }, 'confusion');
+    assertEqual(report.perCategory.code.recall, 0.5, 'code recall');
+    assertEqual(report.perCategory.code.precision, 1, 'code precision');
+    assertEqual(Math.round(report.perCategory.chat.precision * 100), 67, 'chat precision');
+    assertEqual(report.methods, { classifier: 3, rule: 1 }, 'methods');
+    assertEqual([report.latencyMs.p50, report.latencyMs.max], [20, 40], 'latency');
+  });
+
+  await test('percentile uses nearest rank', () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+    assertEqual([percentile(values, 50), percentile(values, 90), percentile(values, 99)], [50, 90, 99], 'percentiles');
+    assertEqual(percentile([], 50), 0, 'empty');
+  });
+
+  await test('evaluate runs examples through detectCategory against the stub router', async () => {
+    attachRouter(port, 'stub');
+    const report = await evaluate(examples, { label: 'stub' });
+
+    assertEqual(report.accuracy, 1, 'accuracy');
+    assertEqual(report.methods, { classifier: 19, image: 1 }, 'methods');
+  });
+
+  await test('compareReports lists examples a second prompt broke', async () => {
+    attachRouter(port, 'stub');
+    const before = await evaluate(examples, { label: 'before' });
+    const after = await evaluate(examples, { label: 'after', routerPrompt: 'NO-CHAT. Categories: {CATEGORIES}' });
+    const diff = compareReports(before, after);
+
+    assertEqual(diff.broken.length, 5, 'broken');
+    assertEqual(diff.fixed.length, 0, 'fixed');
+    assertEqual(diff.broken.every(entry => entry.expected === 'chat' && entry.after === 'default'), true, 'broken entries');
+    assertEqual(Math.round(diff.perCategory.chat.recall * 100), -100, 'chat recall delta');
+  });
+
+  await test('CLI diff mode writes JSON and fails --min-accuracy', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-routing-'));
+    const prompt = path.join(dir, 'no-chat.md');
+    const json = path.join(dir, 'report.json');
+    fs.writeFileSync(prompt, 'NO-CHAT. Categories: {CATEGORIES}');
+
+    const ok = await runScript([SAMPLE, '--port', String(port)]);
+    assertEqual(ok.code, 0, 'exit code (single run)');
+    if (!ok.stdout.includes('Accuracy: 100.0% (20/20)')) throw new Error('accuracy line missing');
+
+    const diffRun = await runScript([SAMPLE, '--port', String(port), '--compare-prompt', prompt, '--json', json, '--min-accuracy', '0.9']);
+    assertEqual(diffRun.code, 1, 'exit code (below min accuracy)');
+    const report = JSON.parse(fs.readFileSync(json, 'utf8'));
+    assertEqual(report.runs.map(r => r.accuracy), [1, 0.75], 'run accuracies');
+    assertEqual(report.diff.broken.length, 5, 'broken');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  server.close();
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Routing rules tests for lols-router
+ * Declarative pre-router conditions and rule selection
+ */
+
+const { matchRoutingRule, describeRequest, ruleMatches } = require('../src/helpers/routing-rules');
+
+console.log('🧪 Running routing rules tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+const categories = { default: 'm', chat: 'm', code: 'm', reason: 'm' };
+
+function request(text, extra = {}) {
+  return { messages: [{ role: 'user', content: text }], ...extra };
+}
+
+test('lastUserMessage regex is case-insensitive, /pattern/flags is literal', () => {
+  const facts = describeRequest(request('Hello there'));
+  assertEqual(ruleMatches({ lastUserMessage: '^hello' }, facts), true, 'plain');
+  assertEqual(ruleMatches({ lastUserMessage: '/^hello/' }, facts), false, 'literal without i');
+  assertEqual(ruleMatches({ lastUserMessage: '/^Hello/' }, facts), true, 'literal');
+  assertEqual(ruleMatches({ lastUserMessage: '([' }, facts), false, 'invalid regex never matches');
+});
+
+test('Tools, message count, tokens, headers and keys', () => {
+  const payload = request('do it', { tools: [{ type: 'function', function: { name: 'ls' } }] });
+  const facts = describeRequest(payload, { headers: { 'x-client': 'openclaw/1.2' }, key: 'agent' });
+  assertEqual(ruleMatches({ hasTools: true, maxMessages: 1, maxTokens: 100 }, facts), true, 'tools');
+  assertEqual(ruleMatches({ hasTools: false }, facts), false, 'no tools');
+  assertEqual(ruleMatches({ minTokens: 1000 }, facts), false, 'min tokens');
+  assertEqual(ruleMatches({ headers: { 'X-Client': '^openclaw/' } }, facts), true, 'header regex');
+  assertEqual(ruleMatches({ headers: { 'x-other': false } }, facts), true, 'header absent');
+  assertEqual(ruleMatches({ keys: ['agent'] }, facts), true, 'key');
+  assertEqual(ruleMatches({ keys: ['someone-else'] }, facts), false, 'other key');
+});
+
+test('Code block languages and file extensions', () => {
+  const facts = describeRequest(request('Fix this:\n```src/main.rs\nfn main() {}\n```\nand\n```Python\nprint(1)\n```'));
+  assertEqual(ruleMatches({ codeBlocks: ['rs'] }, facts), true, 'extension');
+  assertEqual(ruleMatches({ codeBlocks: ['python'] }, facts), true, 'language');
+  assertEqual(ruleMatches({ codeBlocks: ['go'] }, facts), false, 'other language');
+});
+
+test('Highest confidence wins, earlier rules win ties, unknown categories are skipped', () => {
+  const rules = [
+    { name: 'first', match: { lastUserMessage: 'bug' }, category: 'chat', confidence: 0.8 },
+    { name: 'unknown', match: {}, category: 'nope', confidence: 1 },
+    { name: 'best', match: { lastUserMessage: 'bug' }, category: 'code', confidence: 0.9 },
+    { name: 'tie', match: { lastUserMessage: 'bug' }, category: 'reason', confidence: 0.9 }
+  ];
+  assertEqual(matchRoutingRule(rules, request('a bug'), {}, categories), { rule: 'best', category: 'code', confidence: 0.9 }, 'match');
+  assertEqual(matchRoutingRule(rules, request('hi'), {}, categories), null, 'no match');
+  assertEqual(matchRoutingRule(undefined, request('hi'), {}, categories), null, 'no rules');
+});
+
+// Summary
+console.log('\n' + '='.repeat(50));
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log('='.repeat(50));
+
+if (failed > 0) {
+  console.log('\n❌ Tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✅ All tests passed!');
+  process.exit(0);
+}
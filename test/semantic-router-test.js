@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Semantic routing tests for lols-router
+ * Centroid math and behaviour without examples or an embedding server
+ */
+
+const { classifyByEmbedding, centroid, normalize } = require('../src/helpers/semantic-router');
+
+console.log('🧪 Running semantic routing tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertClose(actual, expected, label) {
+  if (Math.abs(actual - expected) > 1e-9) {
+    throw new Error(`${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+(async () => {
+  await test('normalize produces unit vectors', () => {
+    const [x, y] = normalize([3, 4]);
+    assertClose(x, 0.6, 'x');
+    assertClose(y, 0.8, 'y');
+  });
+
+  await test('Centroid weights examples equally regardless of their length', () => {
+    const [x, y] = centroid([[10, 0], [0, 1]]);
+    assertClose(x, Math.SQRT1_2, 'x');
+    assertClose(y, Math.SQRT1_2, 'y');
+  });
+
+  await test('No category with examples means no semantic match', async () => {
+    const result = await classifyByEmbedding('hello', { chat: 'some-model', code: { model: 'm' } }, { mode: 'embedding' }, {});
+    if (result.category !== null) throw new Error(`expected no category, got ${result.category}`);
+  });
+
+  await test('Embedding failures are reported to the caller', async () => {
+    let error = null;
+    try {
+      await classifyByEmbedding('hello', { chat: { model: 'm', examples: ['hi'] } }, { mode: 'embedding' }, {});
+    } catch (err) {
+      error = err.message;
+    }
+    if (error !== 'router.embedding.model is not set') throw new Error(`unexpected error: ${error}`);
+  });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();
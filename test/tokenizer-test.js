@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Tokenizer tests for lols-router
+ * Builds small GGUF files with toy vocabularies and counts tokens from them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/helpers/config');
+const { readGgufMetadata } = require('../src/helpers/gguf');
+const { createTokenizerFromMetadata, countTexts, createMessageCounter } = require('../src/helpers/tokenizer');
+
+console.log('🧪 Running tokenizer tests...\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ PASS: ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`❌ FAIL: ${name}`);
+    console.log(`   Error: ${err.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+}
+
+// Minimal GGUF v3 writer (metadata only, no tensors)
+function ggufString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const length = Buffer.alloc(8);
+  length.writeBigUInt64LE(BigInt(bytes.length));
+  return Buffer.concat([length, bytes]);
+}
+
+function ggufValue(value) {
+  const u32 = n => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+  if (typeof value === 'string') return Buffer.concat([u32(8), ggufString(value)]);
+  if (typeof value === 'boolean') return Buffer.concat([u32(7), Buffer.from([value ? 1 : 0])]);
+  if (Array.isArray(value) && typeof value[0] === 'number') {
+    const items = value.map(v => { const b = Buffer.alloc(4); b.writeFloatLE(v); return b; });
+    const count = Buffer.alloc(8);
+    count.writeBigUInt64LE(BigInt(value.length));
+    return Buffer.concat([u32(9), u32(6), count, ...items]);
+  }
+  if (Array.isArray(value)) {
+    const count = Buffer.alloc(8);
+    count.writeBigUInt64LE(BigInt(value.length));
+    return Buffer.concat([u32(9), u32(8), count, ...value.map(ggufString)]);
+  }
+  return Buffer.concat([u32(4), u32(value)]);
+}
+
+function writeGguf(filePath, metadata) {
+  const header = Buffer.alloc(24);
+  header.writeUInt32LE(0x46554747, 0);
+  header.writeUInt32LE(3, 4);
+  header.writeBigUInt64LE(0n, 8);
+  header.writeBigUInt64LE(BigInt(Object.keys(metadata).length), 16);
+  const kvs = Object.entries(metadata).map(([key, value]) => Buffer.concat([ggufString(key), ggufValue(value)]));
+  fs.writeFileSync(filePath, Buffer.concat([header, ...kvs]));
+}
+
+// Byte-level BPE vocabulary: the 256 byte symbols plus merges for "hello" and " hello"
+function byteSymbols() {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+  const symbols = bytes.map(b => String.fromCharCode(b));
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    if (!bytes.includes(b)) symbols.push(String.fromCharCode(256 + extra++));
+  }
+  return symbols;
+}
+
+const bpeMetadata = {
+  'general.architecture': 'qwen2',
+  'tokenizer.ggml.model': 'gpt2',
+  'tokenizer.ggml.pre': 'qwen2',
+  'tokenizer.ggml.tokens': [...byteSymbols(), 'he', 'hel', 'hell', 'hello', 'Ġhello'],
+  'tokenizer.ggml.merges': ['h e', 'he l', 'hel l', 'hell o', 'Ġ hello']
+};
+
+const spmMetadata = {
+  'tokenizer.ggml.model': 'llama',
+  'tokenizer.ggml.tokens': ['<unk>', '▁', 'h', 'e', 'l', 'o', 'he', 'll', '▁he', '▁hell', '▁hello', '<0xC3>', '<0xA9>'],
+  'tokenizer.ggml.scores': [0, -1, -2, -2, -2, -2, -0.5, -0.6, -0.4, -0.3, -0.1, -5, -5],
+  'tokenizer.ggml.add_space_prefix': true
+};
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lols-tokenizer-'));
+
+(async () => {
+  await test('GGUF reader returns scalars and requested arrays only', () => {
+    const file = path.join(tmpDir, 'meta.gguf');
+    writeGguf(file, bpeMetadata);
+    const { version, metadata } = readGgufMetadata(file, key => key === 'tokenizer.ggml.merges');
+    assertEqual(version, 3, 'version');
+    assertEqual(metadata['general.architecture'], 'qwen2', 'scalar');
+    assertEqual(metadata['tokenizer.ggml.merges'].length, 5, 'requested array');
+    assertEqual('tokenizer.ggml.tokens' in metadata, false, 'skipped array');
+  });
+
+  await test('BPE tokenizer applies pre-tokenizer splits and merges', () => {
+    const tokenizer = createTokenizerFromMetadata(bpeMetadata);
+    const ids = tokenizer.encode('hello hello!');
+    const vocab = bpeMetadata['tokenizer.ggml.tokens'];
+    assertEqual(ids.map(id => vocab[id]), ['hello', 'Ġhello', '!'], 'tokens');
+  });
+
+  await test('BPE tokenizer encodes a long word without whitespace quickly', () => {
+    const tokenizer = createTokenizerFromMetadata(bpeMetadata);
+    const started = Date.now();
+    const ids = tokenizer.encode('hello'.repeat(4000));
+    const elapsed = Date.now() - started;
+    assertEqual(ids.length, 4000, 'tokens');
+    if (elapsed > 1000) throw new Error(`20k-character word took ${elapsed}ms`);
+  });
+
+  await test('SentencePiece tokenizer merges by score and falls back to bytes', () => {
+    const tokenizer = createTokenizerFromMetadata(spmMetadata);
+    const vocab = spmMetadata['tokenizer.ggml.tokens'];
+    assertEqual(tokenizer.encode('hello').map(id => vocab[id]), ['▁hello'], 'merged word');
+    assertEqual(tokenizer.encode('hello é').map(id => vocab[id]), ['▁hello', '▁', '<0xC3>', '<0xA9>'], 'byte fallback');
+  });
+
+  await test('Counts come from the cached GGUF file and are cached by content', async () => {
+    config.llama = { ...config.llama, cache: tmpDir };
+    const modelConfig = { type: 'llama-cpp', repo: 'Org/Model-GGUF', file: 'model.gguf' };
+    const file = path.join(tmpDir, 'Org_Model-GGUF_model.gguf');
+    writeGguf(file, bpeMetadata);
+
+    const first = await countTexts(['hello hello'], 'toy', modelConfig);
+    assertEqual(first, { counts: [2], source: 'gguf' }, 'first count');
+
+    fs.unlinkSync(file);
+    const second = await countTexts(['hello hello'], 'toy', modelConfig);
+    assertEqual(second, { counts: [2], source: 'gguf' }, 'cached count');
+  });
+
+  await test('Remote models use the estimate', async () => {
+    const counter = await createMessageCounter([{ role: 'user', content: 'hello' }], 'gpt-4', { type: 'remote' });
+    assertEqual(counter.source, 'estimate', 'source');
+    assertEqual(counter.count({ role: 'user', content: 'hello' }), 13, 'estimated tokens');
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  // Summary
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+
+  if (failed > 0) {
+    console.log('\n❌ Tests failed!');
+    process.exit(1);
+  } else {
+    console.log('\n✅ All tests passed!');
+    process.exit(0);
+  }
+})();